@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import ApiKey from '../models/apiKey.js';
+import { issueApiKey, validateApiKeyOptions } from '../services/apiKeys.js';
+import { getUsage } from '../services/quotas.js';
+
+const describeApiKey = apiKey => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimitPerMinute: apiKey.rateLimitPerMinute,
+  quotas: apiKey.quotas,
+  urlPolicy: apiKey.urlPolicy,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+});
+
+export const listApiKeys = async (req, res) => {
+  try {
+    const filter = req.query.revoked === 'true' ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    const withUsage = await Promise.all(apiKeys.map(async apiKey => ({
+      ...describeApiKey(apiKey),
+      usage: await getUsage(apiKey._id),
+    })));
+    res.json({ apiKeys: withUsage });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+};
+
+export const createApiKey = async (req, res) => {
+  const { name, scopes, rateLimitPerMinute, quotas, urlPolicy } = req.body;
+  const errors = validateApiKeyOptions({ name, scopes, rateLimitPerMinute, quotas, urlPolicy });
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid API key', details: errors });
+
+  try {
+    const { apiKey, key } = await issueApiKey({ name, scopes, rateLimitPerMinute, quotas, urlPolicy });
+    // The plain key is only ever returned here
+    res.status(201).json({ apiKey: { ...describeApiKey(apiKey), key } });
+  } catch (error) {
+    console.error('Error issuing API key:', error);
+    res.status(500).json({ error: 'Failed to issue API key' });
+  }
+};
+
+// Change name, scopes, limits or URL policy of an active key
+export const updateApiKey = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: 'API key not found' });
+
+  const changes = {};
+  for (const field of ['name', 'scopes', 'rateLimitPerMinute', 'quotas', 'urlPolicy']) {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  }
+  const errors = validateApiKeyOptions(changes, { partial: true });
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid API key', details: errors });
+
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate({ _id: id, revokedAt: null }, { $set: changes }, { new: true });
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+    res.json({ apiKey: describeApiKey(apiKey) });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+};
+
+export const revokeApiKey = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: 'API key not found' });
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+    res.json({ apiKey: describeApiKey(apiKey) });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+};
@@ -1,76 +1,172 @@
+import mongoose from 'mongoose';
 import Analysis from '../models/analysis.js';
-import { analyzeBusiness } from '../services/businessAnalyzer.js';
-import { sendToMake } from '../utils/sendToMake.js';
+import Batch from '../models/batch.js';
+import { enqueueAnalysis, settleBatch } from '../services/analysisQueue.js';
+import { buildAnalysisQuery } from '../services/analysisSearch.js';
+import { loadCustomFieldGroups, resolveFieldGroups } from '../services/fieldGroups.js';
+import { validateLlmOptions } from '../services/llm/index.js';
+import { validateAuditOptions } from '../services/audits.js';
+import { formatResult, outputSchemaVersion, validateOutputOptions } from '../services/exportAdapters/index.js';
+import { ownerFilter, urlPolicyOf } from '../services/apiKeys.js';
+import { releaseAnalyses, reserveAnalyses } from '../services/quotas.js';
+import { checkUrl } from '../services/urlPolicy.js';
+import { progressEvents } from '../services/progress.js';
+import {
+  analysisCacheKey,
+  findCachedAnalysis,
+  findInflightAnalysis,
+  validateCacheOptions,
+} from '../services/analysisCache.js';
+
+const PROGRESS_POLL_MS = parseInt(process.env.PROGRESS_POLL_INTERVAL_MS, 10) || 2000;
+const HEARTBEAT_MS = 15000;
+const FINISHED_STATUSES = ['completed', 'error'];
+
+// Completed analyses are reused when no newer than this (seconds); maxAge overrides it per request
+const DEFAULT_CACHE_MAX_AGE = parseInt(process.env.ANALYSIS_CACHE_MAX_AGE, 10) || 0;
+
+// Answer with an existing analysis instead of a new run
+const reuseAnalysis = async (res, analysis, reuse) => {
+  await Analysis.updateOne({ _id: analysis._id }, { $inc: { cacheHits: 1 } })
+    .catch(error => console.warn('Failed to count cache hit:', error.message));
+  res.status(reuse === 'cached' ? 200 : 202).json({
+    status: analysis.status,
+    analysisId: analysis._id,
+    reused: reuse, // 'cached' (recent completed analysis) or 'in_flight' (attached to a running one)
+    completedTime: analysis.completedTime,
+  });
+};
+
+const rejectUrl = (res, field, check) =>
+  res.status(check.status).json({ error: `${field} rejected by URL policy`, code: check.code, reason: check.reason });
 
 export const startAnalysis = async (req, res) => {
-  const { url } = req.body;
+  const { url, options, output, callbackUrl, maxAge = DEFAULT_CACHE_MAX_AGE, force = false } = req.body;
   if (!url) return res.status(400).json({ error: 'URL is required' });
 
-  let newAnalysis;
+  // Reuse: maxAge (seconds) allows a recent completed analysis, force always starts a new run
+  const cacheErrors = validateCacheOptions({ maxAge, force });
+  if (cacheErrors.length > 0) return res.status(400).json({ error: 'Invalid cache options', details: cacheErrors });
+
+  // fieldGroups may be an array or a comma-separated string
+  let { fieldGroups = [] } = req.body;
+  if (typeof fieldGroups === 'string') fieldGroups = fieldGroups.split(',').map(name => name.trim()).filter(Boolean);
+  if (!Array.isArray(fieldGroups)) return res.status(400).json({ error: 'fieldGroups must be an array' });
+
+  // Per-request model settings: options.llm = { provider, model, temperature, maxTokens }
+  const llmErrors = validateLlmOptions(options?.llm);
+  if (llmErrors.length > 0) return res.status(400).json({ error: 'Invalid LLM options', details: llmErrors });
+
+  // Optional audits: options.performanceAudit = true | ['desktop', 'mobile'],
+  // options.seoAudit = true, options.securityAudit = true
+  const auditErrors = validateAuditOptions(options);
+  if (auditErrors.length > 0) return res.status(400).json({ error: 'Invalid audit options', details: auditErrors });
+
+  // Result shape: output = { format: 'json' | 'make' | 'flat', schemaVersion }
+  const outputErrors = validateOutputOptions(output);
+  if (outputErrors.length > 0) return res.status(400).json({ error: 'Invalid output options', details: outputErrors });
+
   try {
-    // Create a new analysis record with initial status
-    newAnalysis = await Analysis.create({ url, status: 'processing', startTime: new Date() });
-    res.status(202).json({ status: 'processing', analysisId: newAnalysis._id });
+    // URL policy: public http(s) targets only, within the key's domain lists
+    const urlPolicy = urlPolicyOf(req.apiKey);
+    const target = await checkUrl(url, urlPolicy);
+    if (!target.ok) return rejectUrl(res, 'url', target);
+    if (callbackUrl !== undefined) {
+      const callback = await checkUrl(callbackUrl);
+      if (!callback.ok) return rejectUrl(res, 'callbackUrl', callback);
+    }
 
-    // Perform analysis asynchronously
-    await performAnalysis(newAnalysis);
-  } catch (error) {
-    console.error('Error starting analysis:', error);
-    if (newAnalysis) {
-      newAnalysis.status = 'error';
-      newAnalysis.error = error.message;
-      await newAnalysis.save();
+    const customFieldGroups = fieldGroups.length > 0 ? await loadCustomFieldGroups(fieldGroups) : {};
+    try {
+      resolveFieldGroups(fieldGroups, customFieldGroups);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
-    res.status(500).json({ error: 'Failed to start analysis' });
-  }
-};
 
-const performAnalysis = async (analysis) => {
-  try {
-    console.log('Starting analysis:', analysis._id, analysis.url, process.env.ANTHROPIC_API_KEY);
-
-    // Call the business analyzer service
-    const result = await analyzeBusiness({
-      url: analysis.url,
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      options: {
-        checkSocial: true,
-        checkTechnical: true,
-        timeout: 90000,
-      },
+    // Requests with their own callbackUrl always run, so the callback fires for them
+    const cacheKey = callbackUrl ? undefined : analysisCacheKey({
+      owner: req.apiKey._id,
+      url: target.url,
+      fieldGroups,
+      customFieldGroups,
+      options,
+      urlPolicy,
     });
+    if (cacheKey && !force) {
+      const inflight = await findInflightAnalysis(cacheKey);
+      if (inflight) return reuseAnalysis(res, inflight, 'in_flight');
+      const cached = maxAge > 0 && await findCachedAnalysis(cacheKey, maxAge);
+      if (cached) return reuseAnalysis(res, cached, 'cached');
+    }
 
-    // Update the analysis record with the result
-    analysis.status = 'completed';
-    analysis.completedTime = new Date();
-    analysis.result = result;
-    await analysis.save();
+    const exceeded = await reserveAnalyses(req.apiKey);
+    if (exceeded) return res.status(429).json({ error: 'Quota exceeded', quota: exceeded.quota, limit: exceeded.limit });
 
-    // Notify via external service
-    await sendToMake(result);
+    // Queue the analysis; a worker from the pool picks it up
+    let newAnalysis;
+    try {
+      newAnalysis = await enqueueAnalysis({
+        url: target.url,
+        owner: req.apiKey._id,
+        urlPolicy,
+        cacheKey,
+        // A forced run may overlap one already in flight, so it doesn't claim the key
+        inflightKey: force ? undefined : cacheKey,
+        options,
+        fieldGroups,
+        customFieldGroups,
+        output,
+        callbackUrl,
+      });
+    } catch (error) {
+      await releaseAnalyses(req.apiKey._id);
+      // Another request queued the same analysis in the meantime
+      if (error.code === 11000 && cacheKey) {
+        const inflight = await findInflightAnalysis(cacheKey);
+        if (inflight) return reuseAnalysis(res, inflight, 'in_flight');
+      }
+      throw error;
+    }
+    res.status(202).json({
+      status: newAnalysis.status,
+      analysisId: newAnalysis._id,
+      // Verifies X-Webhook-Signature on callbackUrl deliveries; only returned here
+      callbackSecret: newAnalysis.callbackSecret,
+    });
   } catch (error) {
-    // Handle errors during the analysis process
-    analysis.status = 'error';
-    analysis.error = error.message;
-    analysis.completedTime = new Date();
-    await analysis.save();
-    console.error('Error analyzing business:', error);
+    console.error('Error starting analysis:', error);
+    res.status(500).json({ error: 'Failed to start analysis' });
   }
 };
 
 export const getAnalysisStatus = async (req, res) => {
   const { id } = req.params;
   try {
-    // Fetch analysis by ID
-    const analysis = await Analysis.findById(id);
+    // Fetch analysis by ID (keys only see their own analyses)
+    const analysis = mongoose.isValidObjectId(id) && await Analysis.findOne({ _id: id, ...ownerFilter(req.apiKey) });
     if (!analysis) return res.status(404).json({ error: 'Analysis not found' });
 
+    // ?format= and ?schemaVersion= override what was requested with the analysis
+    const output = { ...analysis.output };
+    if (req.query.format) output.format = req.query.format;
+    if (req.query.schemaVersion) output.schemaVersion = req.query.schemaVersion;
+    const outputErrors = validateOutputOptions(output);
+    if (outputErrors.length > 0) return res.status(400).json({ error: 'Invalid output options', details: outputErrors });
+
     // Respond with analysis details
     res.json({
       status: analysis.status,
+      attempts: analysis.attempts,
+      nextRunAt: analysis.status === 'queued' ? analysis.nextRunAt : undefined,
       startTime: analysis.startTime,
       completedTime: analysis.completedTime,
-      result: analysis.result,
+      stage: analysis.stage,
+      progress: analysis.progress?.[analysis.progress.length - 1],
+      batchId: analysis.batchId,
+      metadata: analysis.metadata,
+      schemaVersion: analysis.result ? outputSchemaVersion(output) : undefined,
+      result: formatResult(analysis.result, output),
+      validationReport: analysis.validationReport,
       error: analysis.error,
     });
   } catch (error) {
@@ -78,17 +174,188 @@ export const getAnalysisStatus = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch analysis' });
   }
 };
-export const receiveAnalysis = async (req, res) => {
-  const { url } = req.query;
-  console.log(req.body, 'req.body', url);
-  if (!url) return res.status(400).json({ error: 'URL is required' });
 
+// Server-Sent Events: every progress event (`event: progress`, id = seq),
+// then `event: end` with the final status. Reconnecting clients resume after
+// Last-Event-ID (or ?lastEventId=).
+export const streamAnalysisEvents = async (req, res) => {
+  const { id } = req.params;
+  let analysis;
   try {
-    const analysis = await MakeAnalysis.create({ url, result: req.body });
-
-    res.status(200).json({ message: 'Analysis received', analysis });
+    analysis = mongoose.isValidObjectId(id) &&
+      await Analysis.findOne({ _id: id, ...ownerFilter(req.apiKey) }).select('status error progress').lean();
   } catch (error) {
     console.error('Error fetching analysis:', error);
-    res.status(500).json({ error: 'Failed to fetch analysis' });
+    return res.status(500).json({ error: 'Failed to fetch analysis' });
+  }
+  if (!analysis) return res.status(404).json({ error: 'Analysis not found' });
+
+  let lastSeq = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  let closed = false;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (closed || event.seq <= lastSeq) return;
+    lastSeq = event.seq;
+    res.write(`id: ${event.seq}\nevent: progress\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Events this process records arrive right away; the poll covers other workers and the end of the run
+  const catchUp = (doc) => {
+    if (closed) return;
+    (doc.progress || []).forEach(send);
+    if (FINISHED_STATUSES.includes(doc.status)) {
+      res.write(`event: end\ndata: ${JSON.stringify({ status: doc.status, error: doc.error })}\n\n`);
+      cleanup();
+      res.end();
+    }
+  };
+  const check = async () => {
+    try {
+      const doc = await Analysis.findById(id).select('status error progress').lean();
+      if (doc) catchUp(doc);
+    } catch (error) {
+      console.warn(`Failed to poll progress of analysis ${id}:`, error.message);
+    }
+  };
+  const onEvent = (event) => {
+    send(event);
+    if (event.stage === 'completed' || event.stage === 'failed') check();
+  };
+
+  const poll = setInterval(check, PROGRESS_POLL_MS);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  function cleanup() {
+    closed = true;
+    clearInterval(poll);
+    clearInterval(heartbeat);
+    progressEvents.off(id, onEvent);
+  }
+
+  progressEvents.on(id, onEvent);
+  req.on('close', cleanup);
+  catchUp(analysis);
+};
+
+const describeAnalysis = analysis => ({
+  id: analysis._id,
+  url: analysis.url,
+  domain: analysis.domain,
+  status: analysis.status,
+  stage: analysis.stage,
+  businessName: analysis.businessName,
+  industry: analysis.industry,
+  description: analysis.description,
+  error: analysis.error,
+  attempts: analysis.attempts,
+  startTime: analysis.startTime,
+  completedTime: analysis.completedTime,
+  expiresAt: analysis.expiresAt,
+  schemaVersion: analysis.resultSchemaVersion,
+  batchId: analysis.batchId,
+  scheduleId: analysis.scheduleId,
+  rerunOf: analysis.rerunOf,
+  score: analysis.score, // text search relevance
+});
+
+// ?status=&url=&domain=&industry=&from=&to=&hasError=&q=&sort=&page=&limit=
+// (see services/analysisSearch.js); results are summaries, /status/:id has the full result
+export const listAnalyses = async (req, res) => {
+  const { filter, sort, page, limit, projection, errors } = buildAnalysisQuery(req.query, ownerFilter(req.apiKey));
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid query', details: errors });
+
+  try {
+    const [analyses, total] = await Promise.all([
+      Analysis.find(filter, projection)
+        .select('-result -progress -validationReport -customFieldGroups -urlPolicy -callbackSecret -changes')
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Analysis.countDocuments(filter),
+    ]);
+    res.json({ analyses: analyses.map(describeAnalysis), page, limit, total });
+  } catch (error) {
+    console.error('Error listing analyses:', error);
+    res.status(500).json({ error: 'Failed to list analyses' });
+  }
+};
+
+// Running analyses can't be deleted; queued ones are cancelled
+export const deleteAnalysis = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: 'Analysis not found' });
+  try {
+    const analysis = await Analysis.findOneAndDelete({ _id: id, status: { $ne: 'processing' }, ...ownerFilter(req.apiKey) });
+    if (!analysis) {
+      const running = await Analysis.exists({ _id: id, ...ownerFilter(req.apiKey) });
+      return running
+        ? res.status(409).json({ error: 'Analysis is running; delete it once it has finished' })
+        : res.status(404).json({ error: 'Analysis not found' });
+    }
+    // A cancelled analysis that never ran gives its quota slot back, in the
+    // period it was reserved in (startTime is when it was queued)
+    if (analysis.status === 'queued' && !analysis.attempts) {
+      await releaseAnalyses(analysis.owner, 1, analysis.startTime);
+    }
+    if (analysis.batchId) {
+      await Batch.updateOne({ _id: analysis.batchId }, { $inc: { total: -1 } });
+      await settleBatch(analysis);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting analysis:', error);
+    res.status(500).json({ error: 'Failed to delete analysis' });
+  }
+};
+
+// New run with the same URL and settings, billed to the caller. The
+// callbackUrl isn't carried over: its secret was only handed out once.
+export const rerunAnalysis = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: 'Analysis not found' });
+
+  try {
+    const original = await Analysis.findOne({ _id: id, ...ownerFilter(req.apiKey) });
+    if (!original) return res.status(404).json({ error: 'Analysis not found' });
+
+    const urlPolicy = urlPolicyOf(req.apiKey);
+    const target = await checkUrl(original.url, urlPolicy);
+    if (!target.ok) return rejectUrl(res, 'url', target);
+
+    const exceeded = await reserveAnalyses(req.apiKey);
+    if (exceeded) return res.status(429).json({ error: 'Quota exceeded', quota: exceeded.quota, limit: exceeded.limit });
+
+    const settings = {
+      fieldGroups: original.fieldGroups || [],
+      customFieldGroups: original.customFieldGroups || {},
+      options: original.options || {},
+    };
+    let newAnalysis;
+    try {
+      newAnalysis = await enqueueAnalysis({
+        url: target.url,
+        owner: req.apiKey._id,
+        urlPolicy,
+        cacheKey: analysisCacheKey({ owner: req.apiKey._id, url: target.url, urlPolicy, ...settings }),
+        ...settings,
+        output: original.output,
+        rerunOf: original._id,
+      });
+    } catch (error) {
+      await releaseAnalyses(req.apiKey._id);
+      throw error;
+    }
+    res.status(202).json({ status: newAnalysis.status, analysisId: newAnalysis._id, rerunOf: original._id });
+  } catch (error) {
+    console.error('Error re-running analysis:', error);
+    res.status(500).json({ error: 'Failed to re-run analysis' });
   }
 };
@@ -0,0 +1,235 @@
+import mongoose from 'mongoose';
+import Analysis from '../models/analysis.js';
+import Batch from '../models/batch.js';
+import { enqueueAnalyses } from '../services/analysisQueue.js';
+import { loadCustomFieldGroups, resolveFieldGroups } from '../services/fieldGroups.js';
+import { validateLlmOptions } from '../services/llm/index.js';
+import { validateAuditOptions } from '../services/audits.js';
+import { outputSchemaVersion, validateOutputOptions } from '../services/exportAdapters/index.js';
+import { LEGACY_SCHEMA_VERSION } from '../services/resultSchema.js';
+import { ownerFilter, urlPolicyOf } from '../services/apiKeys.js';
+import { releaseAnalyses, reserveAnalyses } from '../services/quotas.js';
+import {
+  MAX_BATCH_SIZE,
+  parseCsvBatch,
+  parseJsonBatch,
+  prepareBatchRows,
+  batchProgress,
+  batchResults,
+} from '../services/batches.js';
+import { toCell } from '../services/exportAdapters/flatAdapter.js';
+import { csvLine } from '../utils/csv.js';
+
+const MAX_PAGE_SIZE = 100;
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+const isObjectId = value => mongoose.isValidObjectId(value);
+
+const pageSize = value => Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(value, 10) || 50));
+
+const describeBatch = (batch, progress) => ({
+  id: batch._id,
+  name: batch.name,
+  status: batch.status,
+  progress,
+  fieldGroups: batch.fieldGroups,
+  output: batch.output,
+  rejected: batch.rejected,
+  duplicates: batch.duplicates,
+  createdAt: batch.createdAt,
+  completedAt: batch.completedAt,
+});
+
+// Body: a JSON array of rows, { items, name, fieldGroups, options, output },
+// or a text/csv file (settings then come from ?name=&fieldGroups=)
+export const createBatch = async (req, res) => {
+  const isCsv = req.is('text/csv');
+  const settings = isCsv ? req.query : (Array.isArray(req.body) ? {} : req.body || {});
+  const { name, options, output } = settings;
+  const { rows, errors } = isCsv ? parseCsvBatch(req.body) : parseJsonBatch(Array.isArray(req.body) ? req.body : settings.items);
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid batch', details: errors });
+  if (rows.length === 0) return res.status(400).json({ error: 'Batch has no rows' });
+  if (rows.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({ error: `Batch has ${rows.length} rows, the limit is ${MAX_BATCH_SIZE}` });
+  }
+
+  let { fieldGroups = [] } = settings;
+  if (typeof fieldGroups === 'string') fieldGroups = fieldGroups.split(',').map(group => group.trim()).filter(Boolean);
+  if (!Array.isArray(fieldGroups)) return res.status(400).json({ error: 'fieldGroups must be an array' });
+  if (name !== undefined && typeof name !== 'string') return res.status(400).json({ error: 'name must be a string' });
+
+  const llmErrors = validateLlmOptions(options?.llm);
+  if (llmErrors.length > 0) return res.status(400).json({ error: 'Invalid LLM options', details: llmErrors });
+  const auditErrors = validateAuditOptions(options);
+  if (auditErrors.length > 0) return res.status(400).json({ error: 'Invalid audit options', details: auditErrors });
+  const outputErrors = validateOutputOptions(output);
+  if (outputErrors.length > 0) return res.status(400).json({ error: 'Invalid output options', details: outputErrors });
+
+  try {
+    const customFieldGroups = fieldGroups.length > 0 ? await loadCustomFieldGroups(fieldGroups) : {};
+    try {
+      resolveFieldGroups(fieldGroups, customFieldGroups);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const urlPolicy = urlPolicyOf(req.apiKey);
+    const { accepted, rejected, duplicates } = await prepareBatchRows(rows, urlPolicy);
+    if (accepted.length === 0) {
+      return res.status(422).json({ error: 'No valid URLs in batch', rejected, duplicates });
+    }
+
+    const exceeded = await reserveAnalyses(req.apiKey, accepted.length);
+    if (exceeded) {
+      return res.status(429).json({ error: 'Quota exceeded', quota: exceeded.quota, limit: exceeded.limit, requested: accepted.length });
+    }
+
+    let batch;
+    try {
+      batch = await Batch.create({
+        owner: req.apiKey._id,
+        name,
+        total: accepted.length,
+        fieldGroups,
+        options,
+        output,
+        rejected,
+        duplicates,
+      });
+      await enqueueAnalyses(accepted.map(({ row, url, metadata }) => ({
+        url,
+        owner: req.apiKey._id,
+        urlPolicy,
+        options,
+        fieldGroups,
+        customFieldGroups,
+        output,
+        batchId: batch._id,
+        batchRow: row,
+        metadata,
+      })));
+    } catch (error) {
+      await releaseAnalyses(req.apiKey._id, accepted.length);
+      if (batch) {
+        await Analysis.deleteMany({ batchId: batch._id, status: 'queued' }).catch(() => {});
+        await Batch.deleteOne({ _id: batch._id }).catch(() => {});
+      }
+      throw error;
+    }
+
+    res.status(202).json({
+      batchId: batch._id,
+      status: batch.status,
+      total: batch.total,
+      rejected,
+      duplicates,
+    });
+  } catch (error) {
+    console.error('Error creating batch:', error);
+    res.status(500).json({ error: 'Failed to create batch' });
+  }
+};
+
+// ?status=processing|completed&limit=&before=<ISO date>
+export const listBatches = async (req, res) => {
+  const { status, before, limit } = req.query;
+  const filter = ownerFilter(req.apiKey);
+  if (status) filter.status = status;
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) return res.status(400).json({ error: 'before must be a date' });
+    filter.createdAt = { $lt: date };
+  }
+
+  try {
+    const batches = await Batch.find(filter)
+      .select('-rejected -duplicates -options')
+      .sort({ createdAt: -1 })
+      .limit(pageSize(limit));
+    res.json({
+      batches: batches.map(batch => ({
+        id: batch._id,
+        name: batch.name,
+        status: batch.status,
+        total: batch.total,
+        createdAt: batch.createdAt,
+        completedAt: batch.completedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error listing batches:', error);
+    res.status(500).json({ error: 'Failed to list batches' });
+  }
+};
+
+export const getBatch = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Batch not found' });
+  try {
+    const batch = await Batch.findOne({ _id: id, ...ownerFilter(req.apiKey) });
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    res.json({ batch: describeBatch(batch, await batchProgress(batch)) });
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({ error: 'Failed to fetch batch' });
+  }
+};
+
+// Combined results: ?format=csv|jsonl (default jsonl). Only once the batch
+// has finished unless ?partial=true.
+export const getBatchResults = async (req, res) => {
+  const { id } = req.params;
+  const { format = 'jsonl', partial } = req.query;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Batch not found' });
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const batch = await Batch.findOne({ _id: id, ...ownerFilter(req.apiKey) });
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    if (batch.status !== 'completed' && partial !== 'true') {
+      return res.status(409).json({ error: 'Batch is still running', progress: await batchProgress(batch) });
+    }
+
+    const filename = `batch-${batch._id}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'jsonl') {
+      res.type('application/x-ndjson');
+      for await (const row of batchResults(batch)) res.write(`${JSON.stringify(row)}\n`);
+      return res.end();
+    }
+
+    // CSV cells need flat columns: the Make.com shape for 1.0.0 output, dotted paths otherwise.
+    // The header is the union of every row's columns, so rows are collected first.
+    const legacy = outputSchemaVersion(batch.output || {}) === LEGACY_SCHEMA_VERSION;
+    const rows = [];
+    const metadataColumns = new Set();
+    const resultColumns = new Set();
+    for await (const row of batchResults(batch, { format: legacy ? 'make' : 'flat' })) {
+      Object.keys(row.metadata || {}).forEach(column => metadataColumns.add(column));
+      Object.keys(row.result || {}).forEach(column => resultColumns.add(column));
+      rows.push(row);
+    }
+
+    res.type('text/csv');
+    res.write(csvLine([
+      'row', 'url', 'analysis_id', 'status', 'error',
+      ...[...metadataColumns].map(column => `metadata.${column}`),
+      ...resultColumns,
+    ]));
+    for (const row of rows) {
+      res.write(csvLine([
+        row.row, row.url, row.analysisId, row.status, row.error,
+        ...[...metadataColumns].map(column => toCell(row.metadata?.[column])),
+        ...[...resultColumns].map(column => row.result?.[column]),
+      ]));
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting batch results:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to export batch results' });
+  }
+};
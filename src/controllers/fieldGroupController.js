@@ -0,0 +1,55 @@
+import FieldGroup from '../models/fieldGroup.js';
+import { BUILT_IN_FIELD_GROUPS, listFieldGroups, validateFieldGroup } from '../services/fieldGroups.js';
+
+export const listGroups = async (req, res) => {
+  try {
+    const custom = await FieldGroup.find().sort({ name: 1 });
+    res.json({
+      fieldGroups: [
+        ...listFieldGroups(),
+        ...custom.map(group => ({
+          name: group.name,
+          builtIn: false,
+          section: group.section,
+          description: group.description,
+          fields: group.fields,
+        })),
+      ],
+    });
+  } catch (error) {
+    console.error('Error listing field groups:', error);
+    res.status(500).json({ error: 'Failed to list field groups' });
+  }
+};
+
+export const createGroup = async (req, res) => {
+  const { name, section, description, fields } = req.body;
+
+  const errors = validateFieldGroup(name, { section, fields });
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid field group', details: errors });
+  if (BUILT_IN_FIELD_GROUPS[name]) return res.status(409).json({ error: `${name} is a built-in field group` });
+
+  try {
+    const group = await FieldGroup.findOneAndUpdate(
+      { name },
+      { name, section: section || name.toLowerCase(), description, fields },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    res.status(201).json({ fieldGroup: group });
+  } catch (error) {
+    console.error('Error saving field group:', error);
+    res.status(500).json({ error: 'Failed to save field group' });
+  }
+};
+
+export const deleteGroup = async (req, res) => {
+  const { name } = req.params;
+  try {
+    const { deletedCount } = await FieldGroup.deleteOne({ name });
+    if (!deletedCount) return res.status(404).json({ error: 'Field group not found' });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting field group:', error);
+    res.status(500).json({ error: 'Failed to delete field group' });
+  }
+};
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import Analysis from '../models/analysis.js';
+import MakeAnalysis from '../models/makeAnalysis.js';
+import { hasScope } from '../services/apiKeys.js';
+import { mergeEnrichment, validateInboundAnalysis } from '../services/enrichment.js';
+import { verifySignature } from '../utils/signature.js';
+
+const MAX_PAGE_SIZE = 100;
+
+// Inbound enrichment from Make.com. Requests are signed like our outbound
+// webhooks (X-Webhook-Timestamp + X-Webhook-Signature over the raw body)
+// with MAKE_INBOUND_SECRET.
+export const receiveAnalysis = async (req, res) => {
+  const secret = process.env.MAKE_INBOUND_SECRET;
+  if (!secret) {
+    console.warn('MAKE_INBOUND_SECRET not set, rejecting inbound analysis');
+    return res.status(503).json({ error: 'Inbound integration is not configured' });
+  }
+  const signed = verifySignature(
+    secret,
+    req.get('X-Webhook-Timestamp'),
+    req.rawBody ? req.rawBody.toString('utf8') : '',
+    req.get('X-Webhook-Signature')
+  );
+  if (!signed) return res.status(401).json({ error: 'Invalid or missing signature' });
+
+  const errors = validateInboundAnalysis(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid payload', details: errors });
+
+  const { analysisId, source, enrichment } = req.body;
+  try {
+    const analysis = await Analysis.findById(analysisId);
+    if (!analysis) return res.status(404).json({ error: 'Analysis not found' });
+    if (analysis.status !== 'completed' || !analysis.result) {
+      return res.status(409).json({ error: `Analysis is ${analysis.status}, enrichment needs a completed analysis` });
+    }
+
+    const makeAnalysis = await MakeAnalysis.create({
+      url: req.body.url || analysis.url,
+      analysisId: analysis._id,
+      source,
+      result: enrichment,
+    });
+    makeAnalysis.mergedFields = await mergeEnrichment(analysis, makeAnalysis);
+    await makeAnalysis.save();
+
+    res.status(201).json({ message: 'Analysis received', makeAnalysis });
+  } catch (error) {
+    console.error('Error receiving analysis:', error);
+    res.status(500).json({ error: 'Failed to store analysis' });
+  }
+};
+
+// Enrichment is visible to whoever may see the analysis it belongs to
+const visibleAnalysisIds = async (apiKey) =>
+  (hasScope(apiKey, 'admin') ? null : Analysis.distinct('_id', { owner: apiKey._id }));
+
+// ?analysisId=&url=&limit=
+export const listMakeAnalyses = async (req, res) => {
+  const { analysisId, url, limit } = req.query;
+  const filter = {};
+  if (analysisId !== undefined && !mongoose.isValidObjectId(analysisId)) {
+    return res.status(400).json({ error: 'analysisId is not a valid id' });
+  }
+  if (url) filter.url = url;
+
+  try {
+    const visible = await visibleAnalysisIds(req.apiKey);
+    if (analysisId !== undefined) filter.analysisId = analysisId;
+    if (visible) {
+      filter.analysisId = analysisId !== undefined
+        ? { $in: visible.filter(id => String(id) === String(analysisId)) }
+        : { $in: visible };
+    }
+
+    const makeAnalyses = await MakeAnalysis.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 50)));
+    res.json({ makeAnalyses });
+  } catch (error) {
+    console.error('Error listing Make.com analyses:', error);
+    res.status(500).json({ error: 'Failed to list Make.com analyses' });
+  }
+};
+
+export const getMakeAnalysis = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: 'Make.com analysis not found' });
+  try {
+    const makeAnalysis = await MakeAnalysis.findById(id);
+    const visible = makeAnalysis && (
+      hasScope(req.apiKey, 'admin') || await Analysis.exists({ _id: makeAnalysis.analysisId, owner: req.apiKey._id })
+    );
+    if (!visible) return res.status(404).json({ error: 'Make.com analysis not found' });
+    res.json({ makeAnalysis });
+  } catch (error) {
+    console.error('Error fetching Make.com analysis:', error);
+    res.status(500).json({ error: 'Failed to fetch Make.com analysis' });
+  }
+};
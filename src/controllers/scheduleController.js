@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import Analysis from '../models/analysis.js';
+import Schedule from '../models/schedule.js';
+import { loadCustomFieldGroups, resolveFieldGroups } from '../services/fieldGroups.js';
+import { validateLlmOptions } from '../services/llm/index.js';
+import { validateAuditOptions } from '../services/audits.js';
+import { ownerFilter, urlPolicyOf } from '../services/apiKeys.js';
+import { runDueSchedules, validateScheduleOptions } from '../services/scheduler.js';
+import { snapshotResult } from '../services/changeTracking.js';
+import { checkUrl, normalizeUrl } from '../services/urlPolicy.js';
+import { canonicalizeUrl } from '../utils/url.js';
+
+const MAX_PAGE_SIZE = 100;
+
+const isObjectId = value => mongoose.isValidObjectId(value);
+
+const pageSize = value => Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(value, 10) || 20));
+
+const describeSchedule = schedule => ({
+  id: schedule._id,
+  name: schedule.name,
+  url: schedule.url,
+  intervalMinutes: schedule.intervalMinutes,
+  fieldGroups: schedule.fieldGroups,
+  options: schedule.options,
+  trackedFields: schedule.trackedFields,
+  notifyOnChange: schedule.notifyOnChange,
+  active: schedule.active,
+  nextRunAt: schedule.nextRunAt,
+  lastRunAt: schedule.lastRunAt,
+  lastAnalysisId: schedule.lastAnalysisId,
+  lastError: schedule.lastError,
+  createdAt: schedule.createdAt,
+});
+
+export const createSchedule = async (req, res) => {
+  const { url, name, intervalMinutes, options, trackedFields = [], notifyOnChange = false } = req.body;
+  let { fieldGroups = [] } = req.body;
+  if (typeof fieldGroups === 'string') fieldGroups = fieldGroups.split(',').map(group => group.trim()).filter(Boolean);
+
+  const errors = validateScheduleOptions({ intervalMinutes, trackedFields, notifyOnChange, name });
+  if (!url) errors.push('url is required');
+  if (intervalMinutes === undefined) errors.push('intervalMinutes is required');
+  if (!Array.isArray(fieldGroups)) errors.push('fieldGroups must be an array');
+  errors.push(...validateLlmOptions(options?.llm));
+  errors.push(...validateAuditOptions(options));
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid schedule', details: errors });
+
+  try {
+    const target = await checkUrl(url, urlPolicyOf(req.apiKey));
+    if (!target.ok) {
+      return res.status(target.status).json({ error: 'url rejected by URL policy', code: target.code, reason: target.reason });
+    }
+    try {
+      resolveFieldGroups(fieldGroups, fieldGroups.length > 0 ? await loadCustomFieldGroups(fieldGroups) : {});
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // First run on the next scheduler poll
+    const schedule = await Schedule.create({
+      owner: req.apiKey._id,
+      name,
+      url: target.url,
+      intervalMinutes,
+      fieldGroups,
+      options,
+      trackedFields,
+      notifyOnChange,
+      nextRunAt: new Date(),
+    });
+    res.status(201).json({ schedule: describeSchedule(schedule) });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+};
+
+export const listSchedules = async (req, res) => {
+  try {
+    const schedules = await Schedule.find(ownerFilter(req.apiKey)).sort({ createdAt: -1 });
+    res.json({ schedules: schedules.map(describeSchedule) });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+};
+
+export const getSchedule = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Schedule not found' });
+  try {
+    const schedule = await Schedule.findOne({ _id: id, ...ownerFilter(req.apiKey) });
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+    res.json({ schedule: describeSchedule(schedule) });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+};
+
+// Change interval, tracked fields, notifications, name or pause/resume (active)
+export const updateSchedule = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Schedule not found' });
+
+  const changes = {};
+  for (const field of ['name', 'intervalMinutes', 'trackedFields', 'notifyOnChange', 'active']) {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  }
+  const errors = validateScheduleOptions(changes);
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid schedule', details: errors });
+
+  try {
+    const schedule = await Schedule.findOneAndUpdate({ _id: id, ...ownerFilter(req.apiKey) }, { $set: changes }, { new: true });
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+    res.json({ schedule: describeSchedule(schedule) });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+};
+
+export const deleteSchedule = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Schedule not found' });
+  try {
+    const { deletedCount } = await Schedule.deleteOne({ _id: id, ...ownerFilter(req.apiKey) });
+    if (!deletedCount) return res.status(404).json({ error: 'Schedule not found' });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+};
+
+// Run now; the interval continues from this run
+export const runScheduleNow = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Schedule not found' });
+  try {
+    const schedule = await Schedule.findOneAndUpdate(
+      { _id: id, active: true, ...ownerFilter(req.apiKey) },
+      { $set: { nextRunAt: new Date() } },
+      { new: true }
+    );
+    if (!schedule) return res.status(404).json({ error: 'Active schedule not found' });
+    await runDueSchedules();
+    const updated = await Schedule.findById(id);
+    res.status(202).json({ schedule: describeSchedule(updated) });
+  } catch (error) {
+    console.error('Error running schedule:', error);
+    res.status(500).json({ error: 'Failed to run schedule' });
+  }
+};
+
+// Completed runs of a URL, newest first, each with its diff against the run
+// before it: ?url=&limit=&before=<ISO date>&snapshot=true
+export const getUrlHistory = async (req, res) => {
+  const { url, limit, before, snapshot } = req.query;
+  const parsed = normalizeUrl(url);
+  const normalizedUrl = parsed && canonicalizeUrl(parsed.toString());
+  if (!normalizedUrl) return res.status(400).json({ error: 'url must be an http(s) URL' });
+
+  const filter = { ...ownerFilter(req.apiKey), normalizedUrl, status: 'completed' };
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) return res.status(400).json({ error: 'before must be a date' });
+    filter.completedTime = { $lt: date };
+  }
+
+  try {
+    const analyses = await Analysis.find(filter)
+      .select(`completedTime scheduleId changes${snapshot === 'true' ? ' result' : ''}`)
+      .sort({ completedTime: -1 })
+      .limit(pageSize(limit));
+    res.json({
+      url: normalizedUrl,
+      history: analyses.map(analysis => ({
+        analysisId: analysis._id,
+        completedTime: analysis.completedTime,
+        scheduleId: analysis.scheduleId,
+        previousAnalysisId: analysis.changes?.previousAnalysisId,
+        changes: analysis.changes?.changes || [],
+        snapshot: snapshot === 'true' && analysis.result ? snapshotResult(analysis.result) : undefined,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching URL history:', error);
+    res.status(500).json({ error: 'Failed to fetch URL history' });
+  }
+};
@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+import Webhook from '../models/webhook.js';
+import WebhookDelivery from '../models/webhookDelivery.js';
+import WebhookDeadLetter from '../models/webhookDeadLetter.js';
+import { WEBHOOK_EVENTS, replayDelivery, replayDeadLetter } from '../services/webhooks.js';
+import { validateOutputOptions } from '../services/exportAdapters/index.js';
+import { hasScope, ownerFilter } from '../services/apiKeys.js';
+import { generateSecret } from '../utils/signature.js';
+import { checkUrl } from '../services/urlPolicy.js';
+
+const MAX_PAGE_SIZE = 100;
+
+const isObjectId = value => mongoose.isValidObjectId(value);
+
+// Secrets are only shown once, when the subscription is created
+const describeWebhook = webhook => ({
+  id: webhook._id,
+  url: webhook.url,
+  events: webhook.events,
+  output: webhook.output,
+  description: webhook.description,
+  global: !webhook.owner,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+});
+
+const pageSize = value => Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(value, 10) || 50));
+
+export const listWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find(ownerFilter(req.apiKey)).sort({ createdAt: -1 });
+    res.json({ webhooks: webhooks.map(describeWebhook) });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+};
+
+export const createWebhook = async (req, res) => {
+  const { url, events = WEBHOOK_EVENTS, output, description, global = false } = req.body;
+
+  const errors = [];
+  const target = url ? await checkUrl(url) : { ok: false, reason: 'url is required' };
+  if (!target.ok) errors.push(`url rejected by URL policy: ${target.reason}`);
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    errors.push(`events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  errors.push(...validateOutputOptions(output));
+  if (global && !hasScope(req.apiKey, 'admin')) errors.push('only admin keys can create global webhooks');
+  // A key without an id (the bootstrap admin key) can't own a subscription;
+  // without this check its webhook would silently become global
+  if (!global && !req.apiKey._id) errors.push('this key has no owner id; pass global: true to create a global webhook');
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid webhook', details: errors });
+
+  // Subscriptions belong to the key that created them unless an admin asks for a global one
+  const owner = global ? undefined : req.apiKey._id;
+  try {
+    const webhook = await Webhook.create({ url, events, output, description, owner, secret: generateSecret() });
+    res.status(201).json({ webhook: { ...describeWebhook(webhook), secret: webhook.secret } });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+};
+
+export const deleteWebhook = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Webhook not found' });
+  try {
+    const { deletedCount } = await Webhook.deleteOne({ _id: id, ...ownerFilter(req.apiKey) });
+    if (!deletedCount) return res.status(404).json({ error: 'Webhook not found' });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+};
+
+// Delivery log: ?status=&event=&webhookId=&analysisId=&limit=&before=<ISO date>
+export const listDeliveries = async (req, res) => {
+  const { status, event, webhookId, analysisId, before, limit } = req.query;
+  const filter = ownerFilter(req.apiKey);
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+  for (const [key, value] of Object.entries({ webhookId, analysisId })) {
+    if (value === undefined) continue;
+    if (!isObjectId(value)) return res.status(400).json({ error: `${key} is not a valid id` });
+    filter[key] = value;
+  }
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) return res.status(400).json({ error: 'before must be a date' });
+    filter.createdAt = { $lt: date };
+  }
+
+  try {
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(pageSize(limit));
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+};
+
+export const getDelivery = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Delivery not found' });
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: id, ...ownerFilter(req.apiKey) });
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json({ delivery });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+};
+
+export const replayWebhookDelivery = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Delivery not found' });
+  try {
+    const visible = await WebhookDelivery.exists({ _id: id, ...ownerFilter(req.apiKey) });
+    const delivery = visible && await replayDelivery(id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.status(202).json({ delivery });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery' });
+  }
+};
+
+// Dead letters: ?replayed=true|false&limit=
+export const listDeadLetters = async (req, res) => {
+  const filter = {};
+  if (req.query.replayed === 'true') filter.replayedAt = { $exists: true };
+  if (req.query.replayed === 'false') filter.replayedAt = { $exists: false };
+  try {
+    const deadLetters = await WebhookDeadLetter.find(filter)
+      .select('-payload')
+      .sort({ failedAt: -1 })
+      .limit(pageSize(req.query.limit));
+    res.json({ deadLetters });
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(500).json({ error: 'Failed to list dead letters' });
+  }
+};
+
+export const replayWebhookDeadLetter = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Dead letter not found' });
+  try {
+    const delivery = await replayDeadLetter(id);
+    if (!delivery) return res.status(404).json({ error: 'Dead letter not found' });
+    res.status(202).json({ delivery });
+  } catch (error) {
+    console.error('Error replaying dead letter:', error);
+    res.status(500).json({ error: 'Failed to replay dead letter' });
+  }
+};
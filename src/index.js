@@ -3,21 +3,57 @@ import dotenv from 'dotenv';
 import cors from 'cors';
 import connectDB from './config/db.js';
 import analyzeRoutes from './routes/analyzeRoutes.js';
+import fieldGroupRoutes from './routes/fieldGroupRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import makeAnalysisRoutes from './routes/makeAnalysisRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import batchRoutes from './routes/batchRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
+import { startAnalysisQueue } from './services/analysisQueue.js';
+import { startWebhookDispatcher } from './services/webhooks.js';
+import { startScheduler } from './services/scheduler.js';
+import { backfillSearchFields } from './services/analysisSearch.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-connectDB();
+// Start the worker pools once Mongo is reachable so stale jobs can be recovered
+connectDB().then(() => {
+  startAnalysisQueue();
+  startWebhookDispatcher();
+  startScheduler();
+  // Analyses from before the listing API get their search fields once
+  backfillSearchFields()
+    .then(count => count > 0 && console.log(`Backfilled search fields of ${count} analyses`))
+    .catch(error => console.error('Failed to backfill analysis search fields:', error.message));
+});
 
+// Browser origins allowed to call the API: CORS_ORIGINS=https://app.example.com,https://admin.example.com
+// ("*" allows any origin; unset allows none). Requests still need an API key.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 app.use(cors(
   {
-    origin: '*',
+    origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After'],
   }
 ));
-app.use(express.json());
+// Keep the raw body around for signature checks on inbound integrations
+app.use(express.json({
+  limit: process.env.JSON_BODY_LIMIT || '1mb', // batches of URLs
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use('/api', analyzeRoutes);
+app.use('/api', batchRoutes);
+app.use('/api', scheduleRoutes);
+app.use('/api', fieldGroupRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', makeAnalysisRoutes);
+app.use('/api', adminRoutes);
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
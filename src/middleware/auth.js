@@ -0,0 +1,44 @@
+import ApiKey from '../models/apiKey.js';
+import { findApiKey, hasScope } from '../services/apiKeys.js';
+import { rateLimit } from './rateLimit.js';
+
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Key from `Authorization: Bearer <key>` or `X-API-Key: <key>`. EventSource
+// can't set headers, so event streams also accept ?apiKey=.
+const readKey = (req) => {
+  const header = req.get('Authorization');
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+  if (req.get('X-API-Key')) return req.get('X-API-Key');
+  if (req.get('Accept')?.includes('text/event-stream')) return req.query.apiKey;
+  return undefined;
+};
+
+export const authenticate = async (req, res, next) => {
+  const key = readKey(req);
+  if (!key) return res.status(401).json({ error: 'API key required' });
+
+  try {
+    const apiKey = await findApiKey(key);
+    if (!apiKey) return res.status(401).json({ error: 'Invalid API key' });
+    req.apiKey = apiKey;
+
+    // lastUsedAt is informational; don't write it on every request
+    if (apiKey._id && (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS)) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+        .catch(error => console.warn('Failed to update API key lastUsedAt:', error.message));
+    }
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+export const requireScope = scope => (req, res, next) => {
+  if (!hasScope(req.apiKey, scope)) return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+  next();
+};
+
+// Authenticate, rate limit and check the scope in one go: router.get(path, ...authorize('analyses:read'), handler)
+export const authorize = scope => [authenticate, rateLimit, requireScope(scope)];
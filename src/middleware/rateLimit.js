@@ -0,0 +1,42 @@
+// Fixed one-minute windows per API key, kept in memory (so the limit applies
+// per server process).
+
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_LIMIT = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE, 10) || 60;
+
+const windows = new Map(); // key id -> { start, count }
+
+// Drop finished windows now and then so the map doesn't grow with every key ever seen
+setInterval(() => {
+  const cutoff = Date.now() - WINDOW_MS;
+  for (const [id, window] of windows) {
+    if (window.start < cutoff) windows.delete(id);
+  }
+}, WINDOW_MS).unref();
+
+export const rateLimit = (req, res, next) => {
+  const apiKey = req.apiKey;
+  if (!apiKey?._id) return next(); // bootstrap admin key
+
+  const limit = apiKey.rateLimitPerMinute || DEFAULT_LIMIT;
+  const now = Date.now();
+  const id = String(apiKey._id);
+  let window = windows.get(id);
+  if (!window || now - window.start >= WINDOW_MS) {
+    window = { start: now, count: 0 };
+    windows.set(id, window);
+  }
+  window.count += 1;
+
+  const resetSeconds = Math.ceil((window.start + WINDOW_MS - now) / 1000);
+  res.set({
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+    'X-RateLimit-Reset': String(Math.ceil((window.start + WINDOW_MS) / 1000)),
+  });
+  if (window.count > limit) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({ error: 'Rate limit exceeded', retryAfter: resetSeconds });
+  }
+  next();
+};
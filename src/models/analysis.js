@@ -2,11 +2,73 @@ import mongoose from 'mongoose';
 
 const analysisSchema = new mongoose.Schema({
   url: { type: String, required: true },
-  status: { type: String, default: 'processing' },
+  normalizedUrl: String, // Canonical URL; groups the runs of a site for change history
+  domain: String, // Host without www., for listing filters
+
+  // Search fields copied from the result when the analysis completes (services/analysisSearch.js)
+  businessName: String,
+  industry: String,
+  description: String,
+
+  owner: mongoose.Schema.Types.ObjectId, // API key that started the analysis
+  scheduleId: mongoose.Schema.Types.ObjectId, // Schedule that started the analysis
+  batchId: mongoose.Schema.Types.ObjectId, // Batch the analysis was submitted in
+  batchRow: Number, // Row of the batch input (1-based)
+  metadata: mongoose.Schema.Types.Mixed, // Caller's per-row data, returned with the results
+  urlPolicy: mongoose.Schema.Types.Mixed, // Owner's domain lists at the time: { allowDomains, denyDomains }
+  cacheKey: String, // Owner + normalized URL + settings (see services/analysisCache.js)
+  inflightKey: String, // cacheKey while queued/processing; unique so duplicates attach instead
+  cacheHits: { type: Number, default: 0 }, // Requests answered by this analysis instead of a new run
+  rerunOf: mongoose.Schema.Types.ObjectId, // Analysis this one repeats (POST /analyses/:id/rerun)
+  // queued -> processing -> completed | error (failed attempts go back to queued until maxAttempts)
+  status: { type: String, default: 'queued' },
+  options: mongoose.Schema.Types.Mixed, // Options passed through to analyzeBusiness
+  fieldGroups: [String], // Requested field groups (empty = every registered group)
+  customFieldGroups: mongoose.Schema.Types.Mixed, // Snapshot of custom group definitions used by this run
   startTime: { type: Date, default: Date.now },
   completedTime: Date,
+  expiresAt: Date, // Removed by the TTL index after this (ANALYSIS_RETENTION_DAYS)
   error: String,
-  result: mongoose.Schema.Types.Mixed, // Stores analysis result
+  callbackUrl: String, // Receives analysis.completed / analysis.failed for this analysis only
+  callbackSecret: String, // HMAC key for callbackUrl deliveries
+  output: mongoose.Schema.Types.Mixed, // Requested result shape: { format, schemaVersion }
+  result: mongoose.Schema.Types.Mixed, // Canonical result (see services/resultSchema.js)
+  resultSchemaVersion: String, // Schema version `result` was written with
+  validationReport: mongoose.Schema.Types.Mixed, // Per-field validation of the AI output
+  changes: mongoose.Schema.Types.Mixed, // Diff against the previous run: { previousAnalysisId, changes: [...] }
+
+  // Live progress (see services/progress.js); streamed by GET /status/:id/events
+  stage: String, // Stage of the latest event
+  progressSeq: { type: Number, default: 0 }, // seq of the latest event
+  progress: [{
+    _id: false,
+    seq: Number,
+    at: Date,
+    stage: String,
+    message: String,
+    data: mongoose.Schema.Types.Mixed,
+  }],
+
+  // Job queue bookkeeping
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  nextRunAt: { type: Date, default: Date.now },
+  lockedBy: String,
+  lockedAt: Date,
 });
 
-export default mongoose.model('Analysis', analysisSchema);
\ No newline at end of file
+analysisSchema.index({ status: 1, nextRunAt: 1 });
+analysisSchema.index({ status: 1, lockedAt: 1 });
+analysisSchema.index({ owner: 1, startTime: -1 });
+analysisSchema.index({ owner: 1, status: 1, startTime: -1 });
+analysisSchema.index({ owner: 1, domain: 1, startTime: -1 });
+analysisSchema.index({ owner: 1, industry: 1, startTime: -1 });
+analysisSchema.index({ owner: 1, completedTime: -1 });
+analysisSchema.index({ businessName: 'text', description: 'text', industry: 'text' }, { weights: { businessName: 5, industry: 2, description: 1 } });
+analysisSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+analysisSchema.index({ batchId: 1, batchRow: 1 });
+analysisSchema.index({ owner: 1, normalizedUrl: 1, status: 1, completedTime: -1 });
+analysisSchema.index({ cacheKey: 1, status: 1, completedTime: -1 });
+analysisSchema.index({ inflightKey: 1 }, { unique: true, sparse: true });
+
+export default mongoose.model('Analysis', analysisSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// API key for the HTTP API. Only a SHA-256 hash of the key is stored; the
+// plain key is shown once when it is issued.
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  prefix: { type: String, required: true }, // First characters of the key, to recognise it in listings
+  keyHash: { type: String, required: true, unique: true },
+  scopes: { type: [String], default: ['analyses:write', 'analyses:read'] },
+  rateLimitPerMinute: Number, // unset = API_RATE_LIMIT_PER_MINUTE
+  // unset = unlimited
+  quotas: {
+    dailyAnalyses: Number,
+    monthlyAnalyses: Number,
+    dailyTokens: Number, // LLM input + output tokens
+    monthlyTokens: Number,
+  },
+  // Domains analyses may (allowDomains, empty = any) or may not (denyDomains) target
+  urlPolicy: {
+    allowDomains: [String],
+    denyDomains: [String],
+  },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: Date,
+  revokedAt: Date,
+});
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Usage counters per API key and calendar period (UTC)
+const apiKeyUsageSchema = new mongoose.Schema({
+  apiKeyId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  period: { type: String, required: true }, // day | month
+  periodStart: { type: String, required: true }, // YYYY-MM-DD | YYYY-MM
+  analyses: { type: Number, default: 0 },
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+});
+
+apiKeyUsageSchema.index({ apiKeyId: 1, period: 1, periodStart: 1 }, { unique: true });
+
+export default mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
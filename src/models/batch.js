@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// A list of URLs submitted together. Each accepted row is a child Analysis
+// (Analysis.batchId); progress is counted from the children.
+const batchSchema = new mongoose.Schema({
+  owner: mongoose.Schema.Types.ObjectId, // API key that submitted the batch
+  name: String,
+  // processing -> completed (every child finished, successfully or not)
+  status: { type: String, default: 'processing' },
+  total: { type: Number, default: 0 }, // Child analyses created
+  fieldGroups: [String],
+  options: mongoose.Schema.Types.Mixed,
+  output: mongoose.Schema.Types.Mixed, // Result shape of the export: { format, schemaVersion }
+  rejected: [{ _id: false, row: Number, url: String, code: String, reason: String }], // Rows that failed validation
+  duplicates: [{ _id: false, row: Number, url: String, duplicateOfRow: Number }], // Rows dropped as repeats
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date,
+});
+
+batchSchema.index({ owner: 1, createdAt: -1 });
+
+export default mongoose.model('Batch', batchSchema);
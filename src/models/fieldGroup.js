@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+
+// Custom field groups registered through the API (built-in groups live in services/fieldGroups.js)
+const fieldGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  section: { type: String, required: true },
+  description: String,
+  fields: { type: mongoose.Schema.Types.Mixed, required: true }, // { field: { type, description, default? } }
+  createdAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.model('FieldGroup', fieldGroupSchema);
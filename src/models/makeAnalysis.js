@@ -1,8 +1,12 @@
 import mongoose from 'mongoose';
 
+// Enrichment posted back by the Make.com scenario (POST /api/receive-analysis)
 const makeAnalysisSchema = new mongoose.Schema({
   url: { type: String, required: true },
-  result: mongoose.Schema.Types.Mixed, // Stores analysis result
+  analysisId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true }, // Analysis the enrichment belongs to
+  source: String, // Scenario / module that produced it
+  result: mongoose.Schema.Types.Mixed, // Enrichment as received: { section: { field: value } }
+  mergedFields: [String], // Paths merged into the analysis result
   createdAt: { type: Date, default: Date.now },
 });
 
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Recurring analysis of one URL. Each run is diffed against the previous
+// completed analysis of the URL (see services/changeTracking.js).
+const scheduleSchema = new mongoose.Schema({
+  owner: mongoose.Schema.Types.ObjectId, // API key the runs are billed to (unset: bootstrap admin key)
+  name: String,
+  url: { type: String, required: true }, // Normalized
+  intervalMinutes: { type: Number, required: true },
+  fieldGroups: [String],
+  options: mongoose.Schema.Types.Mixed, // Options passed through to analyzeBusiness
+  trackedFields: [String], // Paths (or path prefixes) that trigger analysis.changed; empty = every field
+  notifyOnChange: { type: Boolean, default: false }, // Send analysis.changed to webhook subscribers
+  active: { type: Boolean, default: true },
+  nextRunAt: { type: Date, default: Date.now },
+  lastRunAt: Date,
+  lastAnalysisId: mongoose.Schema.Types.ObjectId,
+  lastError: String, // Why the last due run didn't start
+  createdAt: { type: Date, default: Date.now },
+});
+
+scheduleSchema.index({ active: 1, nextRunAt: 1 });
+scheduleSchema.index({ owner: 1, createdAt: -1 });
+
+export default mongoose.model('Schedule', scheduleSchema);
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Subscriber endpoint for analysis events. Subscriptions owned by an API key
+// receive events for that key's analyses; those without an owner receive
+// events for every analysis.
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  secret: { type: String, required: true }, // HMAC key for the X-Webhook-Signature header
+  events: { type: [String], default: ['analysis.completed', 'analysis.failed'] },
+  output: mongoose.Schema.Types.Mixed, // Payload shape: { format, schemaVersion }
+  owner: mongoose.Schema.Types.ObjectId, // API key the subscription belongs to
+  description: String,
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Deliveries that ran out of attempts, kept for inspection and replay
+const webhookDeadLetterSchema = new mongoose.Schema({
+  deliveryId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  webhookId: mongoose.Schema.Types.ObjectId,
+  owner: mongoose.Schema.Types.ObjectId,
+  analysisId: mongoose.Schema.Types.ObjectId,
+  event: String,
+  url: String,
+  payload: mongoose.Schema.Types.Mixed,
+  attempts: Number,
+  lastError: String,
+  failedAt: { type: Date, default: Date.now },
+  replayedAt: Date,
+  replayDeliveryId: mongoose.Schema.Types.ObjectId,
+});
+
+export default mongoose.model('WebhookDeadLetter', webhookDeadLetterSchema);
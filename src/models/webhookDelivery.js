@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One event sent to one endpoint. The payload is stored so a delivery can be
+// retried and replayed byte for byte (each attempt is signed afresh).
+const webhookDeliverySchema = new mongoose.Schema({
+  // subscription (Webhook document), callback (Analysis.callbackUrl) or make (MAKE_WEBHOOK_URL)
+  target: { type: String, default: 'subscription' },
+  webhookId: mongoose.Schema.Types.ObjectId,
+  owner: mongoose.Schema.Types.ObjectId, // API key allowed to see the delivery (unset: admins only)
+  analysisId: mongoose.Schema.Types.ObjectId,
+  event: { type: String, required: true },
+  url: { type: String, required: true },
+  payload: mongoose.Schema.Types.Mixed,
+  replayOf: mongoose.Schema.Types.ObjectId,
+
+  // pending -> delivering -> succeeded | pending (retry) | dead
+  status: { type: String, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  history: [{
+    _id: false,
+    at: Date,
+    responseStatus: Number,
+    responseBody: String, // truncated
+    error: String,
+    durationMs: Number,
+  }],
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date,
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ analysisId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
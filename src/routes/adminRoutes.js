@@ -0,0 +1,12 @@
+import express from 'express';
+import { listApiKeys, createApiKey, updateApiKey, revokeApiKey } from '../controllers/adminController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/admin/api-keys', ...authorize('admin'), listApiKeys);
+router.post('/admin/api-keys', ...authorize('admin'), createApiKey);
+router.patch('/admin/api-keys/:id', ...authorize('admin'), updateApiKey);
+router.delete('/admin/api-keys/:id', ...authorize('admin'), revokeApiKey);
+
+export default router;
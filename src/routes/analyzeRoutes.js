@@ -1,10 +1,23 @@
 import express from 'express';
-import { startAnalysis, getAnalysisStatus, receiveAnalysis } from '../controllers/analyzeController.js';
+import {
+  startAnalysis,
+  getAnalysisStatus,
+  streamAnalysisEvents,
+  listAnalyses,
+  deleteAnalysis,
+  rerunAnalysis,
+} from '../controllers/analyzeController.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.post('/analyze', startAnalysis);
-router.get('/status/:id', getAnalysisStatus);
-router.post('/receive-analysis', receiveAnalysis);
+router.post('/analyze', ...authorize('analyses:write'), startAnalysis);
+router.get('/status/:id', ...authorize('analyses:read'), getAnalysisStatus);
+router.get('/status/:id/events', ...authorize('analyses:read'), streamAnalysisEvents);
+router.get('/analyses', ...authorize('analyses:read'), listAnalyses);
+router.get('/analyses/:id', ...authorize('analyses:read'), getAnalysisStatus);
+router.get('/analyses/:id/events', ...authorize('analyses:read'), streamAnalysisEvents);
+router.delete('/analyses/:id', ...authorize('analyses:write'), deleteAnalysis);
+router.post('/analyses/:id/rerun', ...authorize('analyses:write'), rerunAnalysis);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+import express from 'express';
+import { createBatch, listBatches, getBatch, getBatchResults } from '../controllers/batchController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// CSV uploads arrive as text/csv; JSON batches go through the app-wide JSON parser
+const csvBody = express.text({ type: 'text/csv', limit: process.env.CSV_BODY_LIMIT || '5mb' });
+
+router.post('/batches', ...authorize('analyses:write'), csvBody, createBatch);
+router.get('/batches', ...authorize('analyses:read'), listBatches);
+router.get('/batches/:id', ...authorize('analyses:read'), getBatch);
+router.get('/batches/:id/results', ...authorize('analyses:read'), getBatchResults);
+
+export default router;
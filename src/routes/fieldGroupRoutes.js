@@ -0,0 +1,11 @@
+import express from 'express';
+import { listGroups, createGroup, deleteGroup } from '../controllers/fieldGroupController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/field-groups', ...authorize('analyses:read'), listGroups);
+router.post('/field-groups', ...authorize('admin'), createGroup);
+router.delete('/field-groups/:name', ...authorize('admin'), deleteGroup);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { receiveAnalysis, listMakeAnalyses, getMakeAnalysis } from '../controllers/makeAnalysisController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Signed by Make.com (see the controller) rather than authenticated with an API key
+router.post('/receive-analysis', receiveAnalysis);
+router.get('/make-analyses', ...authorize('analyses:read'), listMakeAnalyses);
+router.get('/make-analyses/:id', ...authorize('analyses:read'), getMakeAnalysis);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow,
+  getUrlHistory,
+} from '../controllers/scheduleController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/schedules', ...authorize('analyses:read'), listSchedules);
+router.post('/schedules', ...authorize('analyses:write'), createSchedule);
+router.get('/schedules/:id', ...authorize('analyses:read'), getSchedule);
+router.patch('/schedules/:id', ...authorize('analyses:write'), updateSchedule);
+router.delete('/schedules/:id', ...authorize('analyses:write'), deleteSchedule);
+router.post('/schedules/:id/run', ...authorize('analyses:write'), runScheduleNow);
+router.get('/history', ...authorize('analyses:read'), getUrlHistory);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  replayWebhookDelivery,
+  listDeadLetters,
+  replayWebhookDeadLetter,
+} from '../controllers/webhookController.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Keys manage their own subscriptions; admins see and manage all of them
+router.get('/webhooks', ...authorize('analyses:read'), listWebhooks);
+router.post('/webhooks', ...authorize('analyses:write'), createWebhook);
+router.get('/webhooks/deliveries', ...authorize('analyses:read'), listDeliveries);
+router.get('/webhooks/deliveries/:id', ...authorize('analyses:read'), getDelivery);
+router.post('/webhooks/deliveries/:id/replay', ...authorize('analyses:write'), replayWebhookDelivery);
+router.get('/webhooks/dead-letters', ...authorize('admin'), listDeadLetters);
+router.post('/webhooks/dead-letters/:id/replay', ...authorize('admin'), replayWebhookDeadLetter);
+router.delete('/webhooks/:id', ...authorize('analyses:write'), deleteWebhook);
+
+export default router;
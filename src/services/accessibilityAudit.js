@@ -0,0 +1,364 @@
+// Accessibility audit of a loaded page: a bundled rules engine in the style
+// of axe-core is injected into the page and run against the live DOM, then
+// keyboard focus is walked with real Tab presses. Violations are grouped by
+// impact (critical, serious, moderate, minor) with selectors and counts.
+//
+// Score: share of applicable rules that pass, weighted by impact (each rule
+// passes or fails as a whole, as in Lighthouse).
+
+const STANDARD = 'WCAG 2.1 AA';
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const IMPACT_WEIGHTS = { critical: 10, serious: 7, moderate: 3, minor: 1 };
+
+// Selectors reported per rule, text elements checked for contrast and Tab presses
+const MAX_SELECTORS = 10;
+const MAX_CONTRAST_CHECKS = 300;
+const MAX_TAB_STOPS = 25;
+
+// Rule metadata; the checks themselves are in RULE_ENGINE (same ids)
+const RULES = {
+  'image-alt': { impact: 'critical', wcag: ['1.1.1'], level: 'A', help: 'Images must have alternative text' },
+  'label': { impact: 'critical', wcag: ['1.3.1', '4.1.2'], level: 'A', help: 'Form fields must have labels' },
+  'button-name': { impact: 'critical', wcag: ['4.1.2'], level: 'A', help: 'Buttons must have discernible text' },
+  'duplicate-id-aria': { impact: 'critical', wcag: ['4.1.2'], level: 'A', help: 'IDs used by labels and ARIA must be unique' },
+  'meta-viewport': { impact: 'critical', wcag: ['1.4.4'], level: 'AA', help: 'Zooming and scaling must not be disabled' },
+  'keyboard-trap': { impact: 'critical', wcag: ['2.1.2'], level: 'A', help: 'Keyboard focus must not get stuck' },
+  'link-name': { impact: 'serious', wcag: ['2.4.4', '4.1.2'], level: 'A', help: 'Links must have discernible text' },
+  'color-contrast': { impact: 'serious', wcag: ['1.4.3'], level: 'AA', help: 'Text must have enough contrast with its background' },
+  'document-title': { impact: 'serious', wcag: ['2.4.2'], level: 'A', help: 'The page must have a title' },
+  'html-has-lang': { impact: 'serious', wcag: ['3.1.1'], level: 'A', help: 'The html element must have a lang attribute' },
+  'html-lang-valid': { impact: 'serious', wcag: ['3.1.1'], level: 'A', help: 'The lang attribute must be a valid language code' },
+  'frame-title': { impact: 'serious', wcag: ['4.1.2'], level: 'A', help: 'Frames must have a title' },
+  'bypass': { impact: 'serious', wcag: ['2.4.1'], level: 'A', help: 'The page must have a way to skip repeated blocks' },
+  'focusable-interactive': { impact: 'serious', wcag: ['2.1.1'], level: 'A', help: 'Custom controls must be reachable with the keyboard' },
+  'tabindex': { impact: 'serious', wcag: ['2.4.3'], level: 'A', help: 'tabindex must not be greater than 0' },
+  'focus-visible': { impact: 'serious', wcag: ['2.4.7'], level: 'AA', help: 'Keyboard focus must be visible' },
+  'landmark-one-main': { impact: 'moderate', wcag: ['1.3.1'], level: 'A', help: 'The page must have one main landmark' },
+  'landmark-no-duplicate-banner': { impact: 'moderate', wcag: ['1.3.1'], level: 'A', help: 'The page must have at most one banner landmark' },
+  'landmark-no-duplicate-contentinfo': { impact: 'moderate', wcag: ['1.3.1'], level: 'A', help: 'The page must have at most one contentinfo landmark' },
+  'region': { impact: 'moderate', wcag: ['1.3.1'], level: 'A', help: 'All content must be inside landmarks' },
+  'page-has-heading-one': { impact: 'moderate', wcag: ['1.3.1'], level: 'A', help: 'The page must have a level-one heading' },
+  'heading-order': { impact: 'moderate', wcag: ['1.3.1'], level: 'A', help: 'Heading levels must only increase by one' },
+  'empty-heading': { impact: 'minor', wcag: ['1.3.1'], level: 'A', help: 'Headings must not be empty' }
+};
+
+/**
+ * Static rules, run inside the page
+ * @returns {Array} - [{ id, applicable, count, selectors, incomplete? }]
+ */
+const RULE_ENGINE = (maxSelectors, maxContrastChecks) => {
+  const results = [];
+
+  const isHidden = (el) => {
+    if (el.closest('[hidden], [aria-hidden="true"]')) return true;
+    const style = window.getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden' || el.getClientRects().length === 0;
+  };
+  const visible = selector => Array.from(document.querySelectorAll(selector)).filter(el => !isHidden(el));
+
+  const selectorOf = (el) => {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1 && parts.length < 5; node = node.parentElement) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  };
+
+  const textOf = el => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+  const labelledByText = el => (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => document.getElementById(id)).filter(Boolean).map(textOf).join(' ').trim();
+  // Accessible name, simplified from the accname algorithm
+  const nameOf = (el) => {
+    const candidates = [
+      labelledByText(el),
+      el.getAttribute('aria-label'),
+      ...Array.from(el.labels || []).map(textOf),
+      el.tagName === 'IMG' || el.tagName === 'AREA' ? el.getAttribute('alt') : null,
+      el.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(el.type) ? el.value || (el.type !== 'button' ? el.type : '') : null,
+      el.tagName === 'INPUT' && el.type === 'image' ? el.getAttribute('alt') : null,
+      ['BUTTON', 'A', 'SUMMARY'].includes(el.tagName) || /^(button|link|tab|menuitem)$/.test(el.getAttribute('role') || '') ? textOf(el) : null,
+      ['BUTTON', 'A'].includes(el.tagName) ? Array.from(el.querySelectorAll('img[alt], svg[aria-label]'))
+        .map(child => child.getAttribute('alt') || child.getAttribute('aria-label')).join(' ') : null,
+      el.getAttribute('title')
+    ];
+    return candidates.map(value => (value || '').trim()).find(Boolean) || '';
+  };
+
+  const check = (id, candidates, passes, extra = {}) => {
+    const failing = candidates.filter(el => !passes(el));
+    results.push({
+      id,
+      applicable: candidates.length,
+      count: failing.length,
+      selectors: failing.slice(0, maxSelectors).map(selectorOf),
+      ...extra
+    });
+  };
+  const checkDocument = (id, passes) => check(id, [document.documentElement], () => passes);
+
+  // Text alternatives and names
+  check('image-alt', visible('img').filter(img => !/^(presentation|none)$/.test(img.getAttribute('role') || '')),
+    img => img.hasAttribute('alt') || !!labelledByText(img) || !!img.getAttribute('aria-label') || !!img.getAttribute('title'));
+  check('label', visible('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea'),
+    field => !!nameOf(field));
+  check('button-name', visible('button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"], input[type="image"]'),
+    button => !!nameOf(button));
+  check('link-name', visible('a[href]').filter(link => link.getAttribute('role') !== 'presentation'), link => !!nameOf(link));
+  check('frame-title', visible('iframe, frame'), frame => !!(frame.getAttribute('title') || frame.getAttribute('aria-label')));
+
+  // IDs referenced by labels and ARIA
+  const referenced = new Set();
+  document.querySelectorAll('label[for]').forEach(label => referenced.add(label.getAttribute('for')));
+  document.querySelectorAll('[aria-labelledby], [aria-describedby]').forEach(el => {
+    for (const attribute of ['aria-labelledby', 'aria-describedby']) {
+      (el.getAttribute(attribute) || '').split(/\s+/).filter(Boolean).forEach(id => referenced.add(id));
+    }
+  });
+  const referencedElements = [...referenced].flatMap(id => {
+    const matches = Array.from(document.querySelectorAll(`[id="${CSS.escape(id)}"]`));
+    return matches.length > 0 ? [matches[0]] : [];
+  });
+  check('duplicate-id-aria', referencedElements, el => document.querySelectorAll(`[id="${CSS.escape(el.id)}"]`).length === 1);
+
+  // Document
+  const lang = document.documentElement.getAttribute('lang');
+  checkDocument('document-title', !!document.title.trim());
+  checkDocument('html-has-lang', !!(lang && lang.trim()));
+  if (lang && lang.trim()) checkDocument('html-lang-valid', /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(lang.trim()));
+  const viewport = document.querySelector('meta[name="viewport"]')?.content || '';
+  if (viewport) {
+    const settings = Object.fromEntries(viewport.split(/[,;]/).map(part => part.split('=').map(value => value.trim().toLowerCase())));
+    const maximumScale = parseFloat(settings['maximum-scale']);
+    checkDocument('meta-viewport', !['no', '0'].includes(settings['user-scalable']) && !(maximumScale < 2));
+  }
+
+  // Landmarks
+  const LANDMARKS = 'main, [role="main"], nav, [role="navigation"], aside, [role="complementary"], header, [role="banner"], ' +
+    'footer, [role="contentinfo"], [role="region"][aria-label], [role="region"][aria-labelledby], section[aria-label], ' +
+    'section[aria-labelledby], form[aria-label], [role="search"]';
+  const SECTIONING = 'article, aside, main, nav, section';
+  const mains = visible('main, [role="main"]');
+  const banners = visible('header, [role="banner"]').filter(el => el.getAttribute('role') === 'banner' || !el.parentElement.closest(SECTIONING));
+  const contentinfos = visible('footer, [role="contentinfo"]').filter(el => el.getAttribute('role') === 'contentinfo' || !el.parentElement.closest(SECTIONING));
+  checkDocument('landmark-one-main', mains.length === 1);
+  checkDocument('landmark-no-duplicate-banner', banners.length <= 1);
+  checkDocument('landmark-no-duplicate-contentinfo', contentinfos.length <= 1);
+
+  // Elements with their own visible text
+  const textElements = Array.from(document.body?.querySelectorAll('*') || [])
+    .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName))
+    .filter(el => Array.from(el.childNodes).some(node => node.nodeType === 3 && node.textContent.trim()))
+    .filter(el => !isHidden(el));
+  check('region', textElements.filter(el => !el.closest('[role="dialog"], [role="alertdialog"]')), el => !!el.closest(LANDMARKS));
+
+  const skipLink = Array.from(document.querySelectorAll('a[href^="#"]')).slice(0, 5).some(link => link.getAttribute('href').length > 1);
+  checkDocument('bypass', mains.length > 0 || skipLink);
+
+  // Headings
+  const headings = visible('h1, h2, h3, h4, h5, h6, [role="heading"]');
+  const levelOf = heading => Number(heading.getAttribute('aria-level')) || Number(heading.tagName[1]) || 2;
+  checkDocument('page-has-heading-one', headings.some(heading => levelOf(heading) === 1));
+  check('heading-order', headings.slice(1), heading => levelOf(heading) <= levelOf(headings[headings.indexOf(heading) - 1]) + 1);
+  check('empty-heading', headings, heading => !!nameOf(heading) || !!textOf(heading));
+
+  // Keyboard
+  const NATIVE_FOCUSABLE = 'a[href], button, input, select, textarea, summary, iframe, [contenteditable=""], [contenteditable="true"]';
+  check('focusable-interactive',
+    visible('[role="button"], [role="link"], [role="checkbox"], [role="radio"], [role="switch"], [role="tab"], [role="menuitem"], [role="option"], [onclick]')
+      .filter(el => !el.matches(NATIVE_FOCUSABLE) && !el.closest('[role="listbox"][tabindex], [role="menu"][tabindex]')),
+    el => el.hasAttribute('tabindex') && el.tabIndex >= 0);
+  check('tabindex', visible('[tabindex]'), el => !(parseInt(el.getAttribute('tabindex'), 10) > 0));
+
+  // Colour contrast (WCAG relative luminance); text over images can't be judged
+  const parseColor = (value) => {
+    const match = /rgba?\(([^)]+)\)/.exec(value || '');
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  const blend = (top, bottom) => ({
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a),
+    a: 1
+  });
+  const luminance = ({ r, g, b }) => {
+    const [red, green, blue] = [r, g, b].map((channel) => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+  };
+  const backgroundOf = (el) => {
+    const layers = [];
+    for (let node = el; node; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      if (style.backgroundImage !== 'none') return null;
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+    }
+    return layers.reverse().reduce((background, layer) => blend(layer, background), { r: 255, g: 255, b: 255, a: 1 });
+  };
+
+  let unknownBackgrounds = 0;
+  const contrastCandidates = textElements.slice(0, maxContrastChecks).filter((el) => {
+    if (backgroundOf(el)) return true;
+    unknownBackgrounds += 1;
+    return false;
+  });
+  check('color-contrast', contrastCandidates, (el) => {
+    const style = window.getComputedStyle(el);
+    const background = backgroundOf(el);
+    const foreground = blend(parseColor(style.color) || { r: 0, g: 0, b: 0, a: 1 }, background);
+    const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+    const ratio = (lighter + 0.05) / (darker + 0.05);
+    const size = parseFloat(style.fontSize);
+    const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+    return ratio >= (large ? 3 : 4.5);
+  }, unknownBackgrounds > 0 ? { incomplete: { count: unknownBackgrounds, reason: 'Text over a background image' } } : {});
+
+  return results;
+};
+
+// The focused element with whether focus changes how it looks; null when
+// focus is on the body or has left the page
+const DESCRIBE_FOCUS = () => {
+  const el = document.activeElement;
+  if (!el || el === document.body || el === document.documentElement) return null;
+
+  const parts = [];
+  for (let node = el; node && node.nodeType === 1 && parts.length < 5; node = node.parentElement) {
+    if (node.id) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+    const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName) : [];
+    const tag = node.tagName.toLowerCase();
+    parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+  }
+
+  const PROPERTIES = ['outlineStyle', 'outlineWidth', 'outlineColor', 'boxShadow', 'backgroundColor', 'borderColor', 'color', 'textDecorationLine'];
+  const snapshot = () => {
+    const style = window.getComputedStyle(el);
+    return PROPERTIES.map(property => style[property]).join('|');
+  };
+  const focusedStyle = window.getComputedStyle(el);
+  const focusedOutline = focusedStyle.outlineStyle !== 'none' && parseFloat(focusedStyle.outlineWidth) > 0;
+  const focused = snapshot();
+  el.blur();
+  const blurred = snapshot();
+  el.focus();
+  return { selector: parts.join(' > '), indicator: focusedOutline || focused !== blurred };
+};
+
+/**
+ * Walk the page with Tab: tab stops, stops without a visible focus
+ * indicator and whether focus gets stuck
+ */
+async function auditKeyboard(page) {
+  await page.evaluate(() => {
+    document.activeElement?.blur?.();
+    window.scrollTo(0, 0);
+  });
+
+  const stops = [];
+  let trappedAt = null;
+  let repeats = 0;
+  for (let press = 0; press < MAX_TAB_STOPS; press += 1) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(DESCRIBE_FOCUS);
+    if (!stop) break;
+    if (stops.length > 0 && stops[stops.length - 1].selector === stop.selector) {
+      repeats += 1;
+      if (repeats >= 2) {
+        trappedAt = stop.selector;
+        break;
+      }
+      continue;
+    }
+    repeats = 0;
+    if (stops.some(previous => previous.selector === stop.selector)) break; // wrapped around
+    stops.push(stop);
+  }
+  return { stops, trappedAt };
+}
+
+/**
+ * Audit a loaded page
+ * @param {Object} page - Puppeteer page (already navigated)
+ * @returns {Object} - { standard, score, summary, violations: { <impact>: [...] }, incomplete, passes, keyboard },
+ *   or { standard, score: null, error } when the rules couldn't run on the page
+ */
+async function auditAccessibility(page) {
+  let results;
+  try {
+    results = await page.evaluate(RULE_ENGINE, MAX_SELECTORS, MAX_CONTRAST_CHECKS);
+  } catch (error) {
+    // The audit is on by default; an unusual page must not fail the analysis
+    console.warn('Accessibility audit failed:', error.message);
+    return { standard: STANDARD, score: null, error: error.message };
+  }
+
+  let keyboardSummary = null;
+  try {
+    const keyboard = await auditKeyboard(page);
+    const withoutIndicator = keyboard.stops.filter(stop => !stop.indicator);
+    results.push({
+      id: 'focus-visible',
+      applicable: keyboard.stops.length,
+      count: withoutIndicator.length,
+      selectors: withoutIndicator.slice(0, MAX_SELECTORS).map(stop => stop.selector)
+    });
+    results.push({ id: 'keyboard-trap', applicable: 1, count: keyboard.trappedAt ? 1 : 0, selectors: keyboard.trappedAt ? [keyboard.trappedAt] : [] });
+    keyboardSummary = { tab_stops: keyboard.stops.length, without_focus_indicator: withoutIndicator.length, trapped: !!keyboard.trappedAt };
+  } catch (error) {
+    console.warn('Keyboard accessibility check failed:', error.message);
+  }
+
+  const violations = Object.fromEntries(IMPACTS.map(impact => [impact, []]));
+  const passes = [];
+  const incomplete = [];
+  let weightTotal = 0;
+  let weightPassed = 0;
+  for (const result of results) {
+    const rule = RULES[result.id];
+    if (result.incomplete) incomplete.push({ id: result.id, ...result.incomplete });
+    if (!rule || result.applicable === 0) continue;
+
+    weightTotal += IMPACT_WEIGHTS[rule.impact];
+    if (result.count === 0) {
+      weightPassed += IMPACT_WEIGHTS[rule.impact];
+      passes.push(result.id);
+      continue;
+    }
+    violations[rule.impact].push({
+      id: result.id,
+      help: rule.help,
+      wcag: rule.wcag,
+      level: rule.level,
+      count: result.count,
+      selectors: result.selectors
+    });
+  }
+
+  return {
+    standard: STANDARD,
+    score: weightTotal > 0 ? Math.round((weightPassed / weightTotal) * 100) : null,
+    summary: Object.fromEntries(IMPACTS.map(impact => [impact, violations[impact].reduce((sum, violation) => sum + violation.count, 0)])),
+    violations,
+    incomplete,
+    passes,
+    keyboard: keyboardSummary
+  };
+}
+
+export { RULES, IMPACTS, auditAccessibility };
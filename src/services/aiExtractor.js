@@ -0,0 +1,145 @@
+import { validateSchema } from '../utils/jsonSchema.js';
+import { buildJsonSchema, defaultForField } from './fieldGroups.js';
+
+/**
+ * Pull the first complete JSON object out of a model response. Handles code
+ * fences and leading/trailing prose without the greedy first-{ to last-}
+ * match, which breaks as soon as the model mentions a brace after the JSON.
+ * @returns {Object} - { value } or { error }
+ */
+function parseJsonResponse(text) {
+  const trimmed = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { value: JSON.parse(trimmed) };
+  } catch {}
+
+  // Walk from the first `{` until its matching `}` (ignoring braces inside strings)
+  const start = trimmed.indexOf('{');
+  if (start === -1) return { error: 'No JSON object found in AI response' };
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < trimmed.length; i++) {
+    const char = trimmed[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}' && --depth === 0) {
+      try {
+        return { value: JSON.parse(trimmed.slice(start, i + 1)) };
+      } catch (error) {
+        return { error: `Invalid JSON in AI response: ${error.message}` };
+      }
+    }
+  }
+  return { error: 'Unterminated JSON object in AI response' };
+}
+
+// Prompt sent back to the model when its answer fails validation
+function buildRepairPrompt(errors) {
+  const list = errors.slice(0, 50).map(error => `- ${error.path || '(root)'}: ${error.message}`).join('\n');
+  return `Your previous answer did not match the required JSON structure:
+
+${list}
+
+Return the complete corrected JSON object with the same structure as requested. Use empty strings, null or empty arrays for anything you cannot determine. Return ONLY the valid JSON object.`;
+}
+
+/**
+ * Fill missing or mistyped fields with typed defaults and build the per-field report
+ * @returns {Object} - { data, fields }
+ */
+function applyDefaults(value, groups, errors) {
+  const errorsByPath = new Map();
+  for (const error of errors) {
+    if (!errorsByPath.has(error.path)) errorsByPath.set(error.path, error);
+  }
+
+  const rootError = errorsByPath.get(''); // unparseable or not an object
+  const data = {};
+  const fields = {};
+  for (const group of groups) {
+    const source = value && typeof value[group.section] === 'object' && value[group.section] !== null
+      ? value[group.section]
+      : {};
+    const sectionError = errorsByPath.get(group.section) || rootError;
+    data[group.section] = data[group.section] || {};
+
+    for (const [field, spec] of Object.entries(group.fields)) {
+      const path = `${group.section}.${field}`;
+      const error = errorsByPath.get(path) || sectionError ||
+        [...errorsByPath.keys()].map(key => key.startsWith(`${path}.`) && errorsByPath.get(key)).find(Boolean);
+
+      if (!error) {
+        data[group.section][field] = source[field];
+        fields[path] = { status: 'valid' };
+      } else {
+        const missing = error.keyword === 'required' || source[field] === undefined;
+        data[group.section][field] = defaultForField(spec);
+        fields[path] = { status: missing ? 'missing' : 'invalid', defaulted: true, message: error.message };
+      }
+    }
+  }
+  return { data, fields };
+}
+
+/**
+ * Ask the model for structured data, validate the answer against the JSON
+ * Schema of the requested groups and send it back for repair until it
+ * validates or `maxRepairAttempts` is used up. Whatever is still missing or
+ * invalid is then replaced with typed defaults.
+ * @param {Function} complete - async (messages) => response text
+ * @param {String} prompt - Initial user prompt
+ * @param {Array} groups - Resolved field groups
+ * @param {Number} maxRepairAttempts
+ * @returns {Object} - { data, report }
+ */
+async function extractStructuredData({ complete, prompt, groups, maxRepairAttempts = 2 }) {
+  const schema = buildJsonSchema(groups);
+  const messages = [{ role: 'user', content: prompt }];
+
+  let value;
+  let errors = [];
+  let attempts = 0;
+
+  while (attempts <= maxRepairAttempts) {
+    attempts++;
+    const text = await complete(messages);
+    const parsed = parseJsonResponse(text);
+
+    if (parsed.error) {
+      value = undefined;
+      errors = [{ path: '', keyword: 'parse', message: parsed.error }];
+    } else {
+      value = parsed.value;
+      errors = validateSchema(schema, value);
+    }
+
+    if (errors.length === 0) break;
+    console.warn(`AI response failed validation (attempt ${attempts}): ${errors.length} error(s)`);
+    if (attempts > maxRepairAttempts) break;
+
+    messages.push({ role: 'assistant', content: text || '{}' });
+    messages.push({ role: 'user', content: buildRepairPrompt(errors) });
+  }
+
+  const { data, fields } = applyDefaults(value, groups, errors);
+  return {
+    data,
+    report: {
+      valid: errors.length === 0,
+      attempts,
+      repaired: attempts > 1 && errors.length === 0,
+      errors,
+      fields,
+    },
+  };
+}
+
+export { extractStructuredData, parseJsonResponse };
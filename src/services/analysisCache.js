@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import Analysis from '../models/analysis.js';
+import { canonicalizeUrl } from '../utils/url.js';
+import { stableStringify } from '../utils/json.js';
+
+// Deduplication of analyses. Requests for the same owner, normalized URL and
+// settings share a cache key: a new request attaches to a queued/processing
+// job with that key (Analysis.inflightKey is unique while a job runs), and
+// with `maxAge` it reuses a recent completed one instead of crawling again.
+
+/**
+ * Cache key of an analysis request. Output settings aren't part of it: they
+ * only change how the stored result is rendered.
+ * @returns {String} - sha256 hex
+ */
+function analysisCacheKey({ owner, url, fieldGroups = [], customFieldGroups = {}, options = {}, urlPolicy = {} }) {
+  const settings = {
+    owner: owner ? String(owner) : null,
+    url: canonicalizeUrl(url) || url,
+    fieldGroups: [...new Set(fieldGroups)].sort(),
+    customFieldGroups,
+    options,
+    urlPolicy,
+  };
+  return crypto.createHash('sha256').update(stableStringify(settings)).digest('hex');
+}
+
+/**
+ * Queued or processing analysis with the key
+ */
+async function findInflightAnalysis(cacheKey) {
+  return Analysis.findOne({ inflightKey: cacheKey });
+}
+
+/**
+ * Most recent completed analysis with the key, finished at most `maxAge`
+ * seconds ago
+ */
+async function findCachedAnalysis(cacheKey, maxAge) {
+  return Analysis.findOne({
+    cacheKey,
+    status: 'completed',
+    completedTime: { $gte: new Date(Date.now() - maxAge * 1000) },
+  }).sort({ completedTime: -1 });
+}
+
+/**
+ * Validate the caching settings of a request ({ maxAge, force })
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validateCacheOptions({ maxAge, force } = {}) {
+  const errors = [];
+  if (maxAge !== undefined && (!Number.isInteger(maxAge) || maxAge < 0)) {
+    errors.push('maxAge must be a non-negative integer (seconds)');
+  }
+  if (force !== undefined && typeof force !== 'boolean') errors.push('force must be a boolean');
+  return errors;
+}
+
+export { analysisCacheKey, findInflightAnalysis, findCachedAnalysis, validateCacheOptions };
@@ -0,0 +1,343 @@
+import os from 'os';
+import Analysis from '../models/analysis.js';
+import Batch from '../models/batch.js';
+import { analyzeBusiness } from './businessAnalyzer.js';
+import { dispatchAnalysisEvent } from './webhooks.js';
+import { recordTokenUsage } from './quotas.js';
+import { createProgressRecorder, newProgressEvent } from './progress.js';
+import { trackChanges } from './changeTracking.js';
+import { domainOf, expiryFor, searchFieldsFor } from './analysisSearch.js';
+import { generateSecret } from '../utils/signature.js';
+import { canonicalizeUrl } from '../utils/url.js';
+
+// Queue settings (overridable through the environment)
+const CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 2;
+const MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.ANALYSIS_RETRY_DELAY_MS, 10) || 30000;
+const POLL_INTERVAL_MS = parseInt(process.env.ANALYSIS_POLL_INTERVAL_MS, 10) || 5000;
+const STALE_AFTER_MS = parseInt(process.env.ANALYSIS_STALE_AFTER_MS, 10) || 10 * 60 * 1000;
+
+const DEFAULT_ANALYSIS_OPTIONS = {
+  checkSocial: true,
+  checkTechnical: true,
+  timeout: 90000,
+};
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let running = false;
+let activeJobs = 0;
+let pollTimer = null;
+
+// New queued Analysis document for the given parameters (see enqueueAnalysis)
+function newJob({ url, owner, urlPolicy, cacheKey, inflightKey, options = {}, fieldGroups = [], customFieldGroups = {}, output, callbackUrl, scheduleId, batchId, batchRow, metadata, rerunOf }) {
+  return {
+    url,
+    normalizedUrl: canonicalizeUrl(url) || url,
+    domain: domainOf(url),
+    owner,
+    urlPolicy,
+    cacheKey,
+    inflightKey,
+    options,
+    fieldGroups,
+    customFieldGroups,
+    output,
+    callbackUrl,
+    callbackSecret: callbackUrl ? generateSecret() : undefined,
+    scheduleId,
+    rerunOf,
+    batchId,
+    batchRow,
+    metadata,
+    status: 'queued',
+    stage: 'queued',
+    progressSeq: 1,
+    progress: [newProgressEvent(1, 'queued', 'Waiting for a worker')],
+    startTime: new Date(),
+    nextRunAt: new Date(),
+    maxAttempts: MAX_ATTEMPTS,
+  };
+}
+
+/**
+ * Queue a new analysis. Workers pick it up in nextRunAt order.
+ * @param {Object} params
+ * @param {String} params.url
+ * @param {ObjectId} params.owner - API key the analysis is billed to
+ * @param {Object} params.urlPolicy - Owner's domain lists ({ allowDomains, denyDomains })
+ * @param {String} params.cacheKey - Deduplication key (services/analysisCache.js)
+ * @param {String} params.inflightKey - cacheKey to claim while the job runs; a second job claiming it fails with E11000
+ * @param {Object} params.options - Options passed through to analyzeBusiness
+ * @param {Array} params.fieldGroups - Field groups to analyze
+ * @param {Object} params.customFieldGroups - Definitions of any custom groups in fieldGroups
+ * @param {Object} params.output - Result shape the caller reads: { format, schemaVersion }
+ * @param {String} params.callbackUrl - Endpoint notified when this analysis finishes
+ * @param {ObjectId} params.scheduleId - Schedule that started the analysis
+ * @param {ObjectId} params.rerunOf - Analysis this one repeats
+ * @param {ObjectId} params.batchId - Batch the analysis belongs to, with batchRow and metadata
+ * @returns {Object} - The created Analysis document (callbackSecret is set when callbackUrl is)
+ */
+async function enqueueAnalysis(params) {
+  const analysis = await Analysis.create(newJob(params));
+  wakeWorkers();
+  return analysis;
+}
+
+/**
+ * Queue several analyses in one write (batches)
+ * @param {Array} jobs - Parameters as for enqueueAnalysis
+ * @returns {Array} - The created Analysis documents
+ */
+async function enqueueAnalyses(jobs) {
+  const analyses = await Analysis.insertMany(jobs.map(newJob));
+  wakeWorkers();
+  return analyses;
+}
+
+/**
+ * Atomically claim the next due job so concurrent workers (in this or
+ * another process) never pick the same document.
+ */
+async function claimNextJob() {
+  const now = new Date();
+  return Analysis.findOneAndUpdate(
+    { status: 'queued', nextRunAt: { $lte: now } },
+    {
+      $set: { status: 'processing', lockedBy: workerId, lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Put `processing` jobs whose lock has not been refreshed back on the queue.
+ * This covers jobs orphaned by a crash or restart. Jobs that have used up
+ * their attempts fail instead, so a URL that crashes the worker isn't
+ * retried forever.
+ */
+async function recoverStaleJobs() {
+  const cutoff = new Date(Date.now() - STALE_AFTER_MS);
+  const stale = {
+    status: 'processing',
+    $or: [{ lockedAt: { $lt: cutoff } }, { lockedAt: { $exists: false } }],
+  };
+
+  const exhausted = await Analysis.find({ ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+  for (const { _id, error } of exhausted) {
+    const completedTime = new Date();
+    const analysis = await Analysis.findOneAndUpdate(
+      { _id, ...stale },
+      {
+        $set: {
+          status: 'error',
+          error: error || 'The worker stopped during the last attempt',
+          completedTime,
+          expiresAt: expiryFor('error', completedTime),
+        },
+        $unset: { lockedBy: '', lockedAt: '', inflightKey: '' },
+      },
+      { new: true }
+    );
+    if (!analysis) continue; // another worker got there first
+    console.log(`Stale analysis job ${_id} has no attempts left; marked as failed`);
+    await notifySubscribers(analysis);
+    await settleBatch(analysis);
+  }
+
+  const { modifiedCount } = await Analysis.updateMany(
+    { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+    {
+      $set: { status: 'queued', nextRunAt: new Date() },
+      $unset: { lockedBy: '', lockedAt: '' },
+    }
+  );
+  if (modifiedCount > 0) {
+    console.log(`Recovered ${modifiedCount} stale analysis job(s)`);
+  }
+  return modifiedCount;
+}
+
+// Exponential backoff: base, 2x base, 4x base, ...
+function retryDelay(attempts) {
+  return RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+}
+
+// Tokens count against the owner's quota whether or not the attempt succeeded
+async function recordUsage(analysis, usage) {
+  try {
+    await recordTokenUsage(analysis.owner, usage);
+  } catch (error) {
+    console.error(`Failed to record token usage for analysis ${analysis._id}:`, error.message);
+  }
+}
+
+// Webhook problems must never fail (and so re-run) the analysis itself
+async function notifySubscribers(analysis) {
+  try {
+    await dispatchAnalysisEvent(analysis);
+  } catch (error) {
+    console.error(`Failed to queue webhooks for analysis ${analysis._id}:`, error.message);
+  }
+}
+
+// Change tracking is informational; it must never fail the analysis either
+async function compareWithPreviousRun(analysis) {
+  try {
+    await trackChanges(analysis);
+  } catch (error) {
+    console.error(`Failed to compare analysis ${analysis._id} with the previous run:`, error.message);
+  }
+}
+
+// Mark the analysis's batch completed once none of its children are left to run
+async function settleBatch(analysis) {
+  if (!analysis.batchId) return;
+  try {
+    const pending = await Analysis.exists({ batchId: analysis.batchId, status: { $in: ['queued', 'processing'] } });
+    if (!pending) {
+      await Batch.updateOne(
+        { _id: analysis.batchId, status: 'processing' },
+        { $set: { status: 'completed', completedAt: new Date() } }
+      );
+    }
+  } catch (error) {
+    console.error(`Failed to update batch ${analysis.batchId}:`, error.message);
+  }
+}
+
+async function performAnalysis(analysis) {
+  console.log(`Starting analysis ${analysis._id} (attempt ${analysis.attempts}/${analysis.maxAttempts}):`, analysis.url);
+
+  // Keep the lock fresh while the browser is working so the job isn't recovered mid-run
+  const heartbeat = setInterval(() => {
+    Analysis.updateOne(
+      { _id: analysis._id, lockedBy: workerId },
+      { $set: { lockedAt: new Date() } }
+    ).catch(err => console.warn('Failed to refresh job lock:', err.message));
+  }, Math.max(1000, Math.floor(STALE_AFTER_MS / 3)));
+
+  const progress = createProgressRecorder(analysis);
+  progress('started', `Attempt ${analysis.attempts} of ${analysis.maxAttempts}`, { attempt: analysis.attempts });
+
+  try {
+    const result = await analyzeBusiness({
+      url: analysis.url,
+      fieldGroups: analysis.fieldGroups?.length ? analysis.fieldGroups : undefined,
+      customFieldGroups: analysis.customFieldGroups || {},
+      urlPolicy: analysis.urlPolicy || {},
+      options: { ...DEFAULT_ANALYSIS_OPTIONS, ...analysis.options },
+      onProgress: progress,
+    });
+
+    // Progress is complete before the status says so; streams end on the status
+    await progress('completed', 'Analysis completed');
+    analysis.status = 'completed';
+    analysis.completedTime = new Date();
+    analysis.expiresAt = expiryFor('completed', analysis.completedTime);
+    analysis.inflightKey = undefined;
+    analysis.result = result;
+    Object.assign(analysis, searchFieldsFor(result));
+    analysis.resultSchemaVersion = result.schema_version;
+    analysis.validationReport = result.validation_report;
+    analysis.error = undefined;
+    analysis.lockedBy = undefined;
+    analysis.lockedAt = undefined;
+    await analysis.save();
+    await recordUsage(analysis, result.llm?.usage);
+    await notifySubscribers(analysis);
+    await compareWithPreviousRun(analysis);
+    await settleBatch(analysis);
+  } catch (error) {
+    console.error(`Error analyzing business (job ${analysis._id}):`, error);
+    await recordUsage(analysis, error.llmUsage);
+    analysis.error = error.message;
+    analysis.lockedBy = undefined;
+    analysis.lockedAt = undefined;
+
+    if (analysis.attempts < analysis.maxAttempts) {
+      analysis.status = 'queued';
+      analysis.nextRunAt = new Date(Date.now() + retryDelay(analysis.attempts));
+      console.log(`Retrying analysis ${analysis._id} at ${analysis.nextRunAt.toISOString()}`);
+      await progress('retry_scheduled', error.message, { attempt: analysis.attempts, nextRunAt: analysis.nextRunAt });
+    } else {
+      analysis.status = 'error';
+      analysis.completedTime = new Date();
+      analysis.expiresAt = expiryFor('error', analysis.completedTime);
+      analysis.inflightKey = undefined;
+      await progress('failed', error.message, { attempt: analysis.attempts });
+    }
+    await analysis.save();
+    if (analysis.status === 'error') {
+      await notifySubscribers(analysis);
+      await settleBatch(analysis);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Fill every free worker slot with a due job
+async function fillSlots() {
+  while (running && activeJobs < CONCURRENCY) {
+    // Reserve the slot before the claim: several fill loops can be running
+    // at once (enqueue, poll tick, finished job) and must not all pass the check
+    activeJobs += 1;
+    let job;
+    try {
+      job = await claimNextJob();
+    } catch (error) {
+      activeJobs -= 1;
+      console.error('Failed to claim analysis job:', error.message);
+      return;
+    }
+    if (!job) {
+      activeJobs -= 1;
+      return;
+    }
+
+    performAnalysis(job)
+      .catch(error => console.error('Unhandled job failure:', error))
+      .finally(() => {
+        activeJobs -= 1;
+        wakeWorkers();
+      });
+  }
+}
+
+function wakeWorkers() {
+  if (!running) return;
+  fillSlots().catch(error => console.error('Queue error:', error));
+}
+
+/**
+ * Start the worker pool. Recovers stale jobs first, then polls for due jobs.
+ */
+async function startAnalysisQueue() {
+  if (running) return;
+  running = true;
+
+  try {
+    await recoverStaleJobs();
+  } catch (error) {
+    console.error('Failed to recover stale jobs:', error.message);
+  }
+
+  pollTimer = setInterval(() => {
+    recoverStaleJobs()
+      .catch(error => console.error('Failed to recover stale jobs:', error.message))
+      .finally(wakeWorkers);
+  }, POLL_INTERVAL_MS);
+
+  console.log(`Analysis queue started (${CONCURRENCY} worker(s), id ${workerId})`);
+  wakeWorkers();
+}
+
+function stopAnalysisQueue() {
+  running = false;
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+export { enqueueAnalysis, enqueueAnalyses, settleBatch, startAnalysisQueue, stopAnalysisQueue, recoverStaleJobs };
@@ -0,0 +1,144 @@
+import Analysis from '../models/analysis.js';
+import { normalizeUrl } from './urlPolicy.js';
+import { upgradeResult } from './resultSchema.js';
+import { canonicalizeUrl } from '../utils/url.js';
+
+// Listing and search over analyses (GET /api/analyses). Search fields are
+// copied out of the result when an analysis finishes so they can be indexed:
+// domain, businessName, industry, description (text index on the last three).
+
+const SORT_FIELDS = ['startTime', 'completedTime', 'businessName', 'domain', 'status'];
+const STATUSES = ['queued', 'processing', 'completed', 'error'];
+const MAX_PAGE_SIZE = 100;
+
+// Days a finished analysis is kept (0 = forever); the TTL index on expiresAt removes it
+const RETENTION_DAYS = parseInt(process.env.ANALYSIS_RETENTION_DAYS, 10) || 0;
+const ERROR_RETENTION_DAYS = parseInt(process.env.ANALYSIS_ERROR_RETENTION_DAYS, 10) || RETENTION_DAYS;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Host of a URL without a leading www., for domain filters
+ */
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Search fields of a stored result (any schema version)
+ * @returns {Object} - { businessName, industry, description }
+ */
+function searchFieldsFor(stored) {
+  const result = stored && upgradeResult(stored);
+  const basicInfo = result?.analysis?.basic_info || {};
+  const contact = result?.extracted?.contact_info || {};
+  return {
+    businessName: basicInfo.business_name || contact.business_name || undefined,
+    industry: basicInfo.industry || undefined,
+    description: basicInfo.business_description || undefined,
+  };
+}
+
+/**
+ * When a finished analysis expires under the retention settings
+ * @returns {Date|undefined} - undefined when it is kept forever
+ */
+function expiryFor(status, finishedAt = new Date()) {
+  const days = status === 'error' ? ERROR_RETENTION_DAYS : RETENTION_DAYS;
+  return days > 0 ? new Date(finishedAt.getTime() + days * 24 * 60 * 60 * 1000) : undefined;
+}
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Mongo filter, sort and paging for a listing request
+ * @param {Object} query - ?status=&url=&domain=&industry=&from=&to=&hasError=&q=&sort=&page=&limit=
+ * @param {Object} scope - Owner filter of the caller
+ * @returns {Object} - { filter, sort, page, limit, projection, errors }
+ */
+function buildAnalysisQuery(query, scope = {}) {
+  const errors = [];
+  const filter = { ...scope };
+
+  if (query.status) {
+    const statuses = String(query.status).split(',');
+    if (statuses.some(status => !STATUSES.includes(status))) errors.push(`status must be one of ${STATUSES.join(', ')}`);
+    filter.status = { $in: statuses };
+  }
+  if (query.url) {
+    const parsed = normalizeUrl(String(query.url));
+    const normalizedUrl = parsed && canonicalizeUrl(parsed.toString());
+    if (!normalizedUrl) errors.push('url must be an http(s) URL');
+    filter.normalizedUrl = normalizedUrl;
+  }
+  if (query.domain) {
+    // The domain itself or any subdomain
+    const domain = String(query.domain).toLowerCase().replace(/^www\./, '');
+    filter.domain = { $regex: `(^|\\.)${escapeRegExp(domain)}$` };
+  }
+  if (query.industry) filter.industry = { $regex: `^${escapeRegExp(String(query.industry))}$`, $options: 'i' };
+  if (query.from || query.to) {
+    filter.startTime = {};
+    for (const [key, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!query[key]) continue;
+      const date = parseDate(query[key]);
+      if (!date) errors.push(`${key} must be a date`);
+      filter.startTime[operator] = date;
+    }
+  }
+  if (query.hasError === 'true') filter.error = { $exists: true, $ne: null };
+  if (query.hasError === 'false') filter.error = { $in: [null] };
+
+  let projection;
+  let sort;
+  if (query.q) {
+    filter.$text = { $search: String(query.q) };
+    projection = { score: { $meta: 'textScore' } };
+  }
+  if (query.sort) {
+    const field = String(query.sort).replace(/^-/, '');
+    if (!SORT_FIELDS.includes(field)) errors.push(`sort must be one of ${SORT_FIELDS.join(', ')} (prefix - for descending)`);
+    sort = { [field]: String(query.sort).startsWith('-') ? -1 : 1, _id: -1 };
+  } else {
+    sort = query.q ? { score: { $meta: 'textScore' } } : { startTime: -1, _id: -1 };
+  }
+
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { filter, sort, page, limit, projection, errors };
+}
+
+/**
+ * Fill the search fields of analyses written before they existed, a few
+ * hundred at a time
+ * @returns {Number} - Analyses updated
+ */
+async function backfillSearchFields(batchSize = 500) {
+  let updated = 0;
+  for (;;) {
+    const analyses = await Analysis.find({ domain: { $exists: false } }).select('url result').limit(batchSize).lean();
+    if (analyses.length === 0) return updated;
+    await Analysis.bulkWrite(analyses.map(analysis => ({
+      updateOne: {
+        filter: { _id: analysis._id },
+        update: {
+          $set: {
+            domain: domainOf(analysis.url) || '',
+            normalizedUrl: canonicalizeUrl(analysis.url) || analysis.url,
+            ...Object.fromEntries(Object.entries(searchFieldsFor(analysis.result)).filter(([, value]) => value)),
+          },
+        },
+      },
+    })));
+    updated += analyses.length;
+  }
+}
+
+export { domainOf, searchFieldsFor, expiryFor, buildAnalysisQuery, backfillSearchFields };
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import ApiKey from '../models/apiKey.js';
+
+const API_KEY_SCOPES = ['analyses:write', 'analyses:read', 'admin'];
+const KEY_PREFIX = 'tba_';
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9-]{1,63}\.)+[a-z]{2,63}$/i;
+
+const hashApiKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Validate settings for a new key ({ name, scopes, rateLimitPerMinute, quotas })
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validateApiKeyOptions({ name, scopes, rateLimitPerMinute, quotas, urlPolicy } = {}, { partial = false } = {}) {
+  const errors = [];
+  if ((!partial || name !== undefined) && (!name || typeof name !== 'string')) errors.push('name is required');
+  if (scopes !== undefined && (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope)))) {
+    errors.push(`scopes must be a non-empty array of ${API_KEY_SCOPES.join(', ')}`);
+  }
+  if (rateLimitPerMinute !== undefined && (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1)) {
+    errors.push('rateLimitPerMinute must be a positive integer');
+  }
+  if (quotas !== undefined) {
+    if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+      errors.push('quotas must be an object');
+    } else {
+      for (const [name, value] of Object.entries(quotas)) {
+        if (!['dailyAnalyses', 'monthlyAnalyses', 'dailyTokens', 'monthlyTokens'].includes(name)) {
+          errors.push(`quotas.${name} is not a known quota`);
+        } else if (value !== null && (!Number.isInteger(value) || value < 0)) {
+          errors.push(`quotas.${name} must be a non-negative integer or null`);
+        }
+      }
+    }
+  }
+  if (urlPolicy !== undefined) {
+    if (!urlPolicy || typeof urlPolicy !== 'object' || Array.isArray(urlPolicy)) {
+      errors.push('urlPolicy must be an object');
+    } else {
+      for (const list of ['allowDomains', 'denyDomains']) {
+        const domains = urlPolicy[list];
+        if (domains !== undefined && (!Array.isArray(domains) || domains.some(domain => !DOMAIN_PATTERN.test(domain)))) {
+          errors.push(`urlPolicy.${list} must be an array of domain names`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Issue a new key
+ * @returns {Object} - { apiKey, key } where `key` is the plain key (not stored)
+ */
+async function issueApiKey({ name, scopes, rateLimitPerMinute, quotas, urlPolicy }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    scopes,
+    rateLimitPerMinute,
+    quotas,
+    urlPolicy,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashApiKey(key),
+  });
+  return { apiKey, key };
+}
+
+/**
+ * Look up an active key by its plain value. ADMIN_API_KEY from the
+ * environment is accepted as a bootstrap key with every scope (it has no
+ * document, so no quotas, and owns nothing).
+ * @returns {Object|null}
+ */
+async function findApiKey(key) {
+  if (!key) return null;
+  const bootstrapKey = process.env.ADMIN_API_KEY;
+  if (bootstrapKey) {
+    const matches = bootstrapKey.length === key.length &&
+      crypto.timingSafeEqual(Buffer.from(bootstrapKey), Buffer.from(key));
+    if (matches) return { _id: null, name: 'ADMIN_API_KEY', scopes: API_KEY_SCOPES, bootstrap: true };
+  }
+  return ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+}
+
+// Plain { allowDomains, denyDomains } for the URL policy
+const urlPolicyOf = apiKey => ({
+  allowDomains: [...(apiKey?.urlPolicy?.allowDomains || [])],
+  denyDomains: [...(apiKey?.urlPolicy?.denyDomains || [])],
+});
+
+const hasScope = (apiKey, scope) => Boolean(apiKey?.scopes?.includes(scope) || apiKey?.scopes?.includes('admin'));
+
+/**
+ * Mongo filter restricting a collection to what `apiKey` may see (admins see everything)
+ */
+const ownerFilter = (apiKey, field = 'owner') => (hasScope(apiKey, 'admin') ? {} : { [field]: apiKey._id });
+
+export {
+  API_KEY_SCOPES,
+  hashApiKey,
+  validateApiKeyOptions,
+  issueApiKey,
+  findApiKey,
+  urlPolicyOf,
+  hasScope,
+  ownerFilter
+};
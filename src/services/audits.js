@@ -0,0 +1,22 @@
+import { validatePerformanceAuditOptions } from './performanceAudit.js';
+import { validateSeoAuditOptions } from './seoAudit.js';
+import { validateSecurityAuditOptions } from './securityAudit.js';
+
+// Optional audits of an analysis, switched on in its options:
+//   performanceAudit - Core Web Vitals runs of the entry page (performanceAudit.js)
+//   seoAudit         - SEO issue list over the crawled pages (seoAudit.js)
+//   securityAudit    - TLS, headers, cookies and consent of the entry page (securityAudit.js)
+
+/**
+ * Validate the audit switches of analysis options
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validateAuditOptions(options) {
+  return [
+    ...validatePerformanceAuditOptions(options?.performanceAudit),
+    ...validateSeoAuditOptions(options?.seoAudit),
+    ...validateSecurityAuditOptions(options?.securityAudit)
+  ];
+}
+
+export { validateAuditOptions };
@@ -0,0 +1,187 @@
+import Analysis from '../models/analysis.js';
+import { checkUrl, checkUrlSyntax } from './urlPolicy.js';
+import { formatResult } from './exportAdapters/index.js';
+import { canonicalizeUrl } from '../utils/url.js';
+import { parseCsv } from '../utils/csv.js';
+
+// Batches: a JSON array or a CSV file of URLs, each with optional metadata.
+// Rows are validated against the URL policy and deduplicated before one
+// child Analysis is queued per remaining row.
+
+const MAX_BATCH_SIZE = parseInt(process.env.BATCH_MAX_SIZE, 10) || 1000;
+const MAX_METADATA_BYTES = 2048;
+const DNS_CONCURRENCY = 8;
+
+const BATCH_STATUSES = ['queued', 'processing', 'completed', 'error'];
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Rows of a JSON batch: an array of URLs or of { url, metadata }
+ * @returns {Object} - { rows: [{ row, url, metadata }], errors }
+ */
+function parseJsonBatch(items) {
+  if (!Array.isArray(items)) return { rows: [], errors: ['items must be an array of URLs or { url, metadata } objects'] };
+  const errors = [];
+  const rows = items.map((item, index) => {
+    const row = index + 1;
+    if (typeof item === 'string') return { row, url: item };
+    if (!isPlainObject(item)) {
+      errors.push(`items[${index}] must be a URL or an object with url`);
+      return null;
+    }
+    return { row, url: item.url, metadata: item.metadata };
+  });
+  return { rows: rows.filter(Boolean), errors };
+}
+
+/**
+ * Rows of a CSV batch. The header row must have a `url` column; every other
+ * column becomes metadata.
+ * @returns {Object} - { rows: [{ row, url, metadata }], errors }
+ */
+function parseCsvBatch(text) {
+  let records;
+  try {
+    records = parseCsv(text || '');
+  } catch (error) {
+    return { rows: [], errors: [`Invalid CSV: ${error.message}`] };
+  }
+  if (records.length === 0) return { rows: [], errors: ['CSV is empty'] };
+
+  const header = records[0].map(name => name.trim());
+  const urlColumn = header.findIndex(name => name.toLowerCase() === 'url');
+  if (urlColumn === -1) return { rows: [], errors: ['CSV header must have a url column'] };
+
+  const rows = records.slice(1).map((record, index) => {
+    const metadata = {};
+    header.forEach((name, column) => {
+      if (column !== urlColumn && name && record[column] !== undefined && record[column] !== '') metadata[name] = record[column];
+    });
+    return {
+      row: index + 1,
+      url: (record[urlColumn] || '').trim(),
+      metadata: Object.keys(metadata).length > 0 ? metadata : undefined,
+    };
+  });
+  return { rows, errors: [] };
+}
+
+function validateMetadata(metadata) {
+  if (metadata === undefined) return null;
+  if (!isPlainObject(metadata)) return 'metadata must be an object';
+  if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+    return `metadata must be at most ${MAX_METADATA_BYTES} bytes of JSON`;
+  }
+  return null;
+}
+
+// Run `fn` over `items` with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Validate and deduplicate batch rows. Duplicates are rows whose canonical
+ * URL was already seen; the first occurrence is kept.
+ * @param {Array} rows - [{ row, url, metadata }]
+ * @param {Object} policy - Tenant URL policy ({ allowDomains, denyDomains })
+ * @returns {Object} - { accepted: [{ row, url, metadata }], rejected, duplicates }
+ */
+async function prepareBatchRows(rows, policy = {}) {
+  const rejected = [];
+  const duplicates = [];
+  const firstRowByUrl = new Map();
+  const candidates = [];
+
+  for (const { row, url, metadata } of rows) {
+    const metadataError = validateMetadata(metadata);
+    if (metadataError) {
+      rejected.push({ row, url, code: 'invalid_metadata', reason: metadataError });
+      continue;
+    }
+    const syntax = checkUrlSyntax(url, policy);
+    if (!syntax.ok) {
+      rejected.push({ row, url, code: syntax.code, reason: syntax.reason });
+      continue;
+    }
+    const key = canonicalizeUrl(syntax.url);
+    if (firstRowByUrl.has(key)) {
+      duplicates.push({ row, url, duplicateOfRow: firstRowByUrl.get(key) });
+      continue;
+    }
+    firstRowByUrl.set(key, row);
+    candidates.push({ row, url: syntax.url, metadata });
+  }
+
+  // DNS checks only for the unique, syntactically valid rows
+  const checks = await mapWithConcurrency(candidates, DNS_CONCURRENCY, candidate => checkUrl(candidate.url, policy));
+  const accepted = [];
+  candidates.forEach((candidate, index) => {
+    const check = checks[index];
+    if (check.ok) {
+      accepted.push({ ...candidate, url: check.url });
+    } else {
+      rejected.push({ row: candidate.row, url: candidate.url, code: check.code, reason: check.reason });
+    }
+  });
+  rejected.sort((a, b) => a.row - b.row);
+
+  return { accepted, rejected, duplicates };
+}
+
+/**
+ * Child analyses of a batch counted by status
+ * @returns {Object} - { total, queued, processing, completed, error, finished, percent }
+ */
+async function batchProgress(batch) {
+  const groups = await Analysis.aggregate([
+    { $match: { batchId: batch._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(BATCH_STATUSES.map(status => [status, 0]));
+  for (const { _id, count } of groups) counts[_id] = (counts[_id] || 0) + count;
+
+  const total = batch.total;
+  const finished = counts.completed + counts.error;
+  return { total, ...counts, finished, percent: total > 0 ? Math.round((finished / total) * 100) : 100 };
+}
+
+/**
+ * Child analyses of a batch in row order, shaped for export. `result` is
+ * rendered with the batch's output settings (or `output` when given).
+ * @returns {AsyncGenerator} - { row, url, analysisId, status, error, metadata, result }
+ */
+async function* batchResults(batch, output = batch.output) {
+  const cursor = Analysis.find({ batchId: batch._id }).sort({ batchRow: 1 }).cursor();
+  for await (const analysis of cursor) {
+    yield {
+      row: analysis.batchRow,
+      url: analysis.url,
+      analysisId: analysis._id,
+      status: analysis.status,
+      error: analysis.status === 'error' ? analysis.error : undefined,
+      metadata: analysis.metadata,
+      result: formatResult(analysis.result, output || {}),
+    };
+  }
+}
+
+export {
+  MAX_BATCH_SIZE,
+  parseJsonBatch,
+  parseCsvBatch,
+  prepareBatchRows,
+  batchProgress,
+  batchResults
+};
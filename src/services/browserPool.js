@@ -0,0 +1,123 @@
+import puppeteer from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { executablePath } from 'puppeteer';
+
+// Add stealth plugin to avoid detection
+puppeteer.use(StealthPlugin());
+
+// Pool settings (overridable through the environment)
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+const MAX_USES_PER_BROWSER = parseInt(process.env.BROWSER_MAX_USES, 10) || 50;
+
+const entries = new Set(); // every launched browser: { browser, key, uses, busy }
+const waiters = []; // pending acquire() calls
+let launching = 0; // launches in flight, counted against POOL_SIZE
+
+function launchKey(launchOptions) {
+  return JSON.stringify({ headless: launchOptions.headless });
+}
+
+async function launch(launchOptions) {
+  const browser = await puppeteer.launch({
+    executablePath: executablePath(),
+    headless: launchOptions.headless,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  });
+  const entry = { browser, key: launchKey(launchOptions), uses: 0, busy: true };
+  // Drop crashed browsers from the pool
+  browser.on('disconnected', () => {
+    entries.delete(entry);
+    dispatchWaiters();
+  });
+  entries.add(entry);
+  return entry;
+}
+
+async function retire(entry) {
+  entries.delete(entry);
+  try {
+    await entry.browser.close();
+  } catch {}
+}
+
+// Hand freed capacity to the oldest waiter
+function dispatchWaiters() {
+  while (waiters.length > 0) {
+    const idle = [...entries].filter(e => !e.busy);
+    const waiter = waiters[0];
+    const match = idle.find(e => e.key === waiter.key);
+
+    if (match) {
+      waiters.shift();
+      match.busy = true;
+      waiter.resolve(match);
+    } else if (entries.size + launching < POOL_SIZE || idle.length > 0) {
+      // Room for a new browser, or an idle one launched with other options we can replace
+      waiters.shift();
+      const replaceable = entries.size + launching >= POOL_SIZE ? idle[0] : null;
+      const prepare = replaceable ? retire(replaceable) : Promise.resolve();
+      launching += 1;
+      prepare
+        .then(() => launch(waiter.launchOptions))
+        .finally(() => { launching -= 1; })
+        .then(waiter.resolve, error => {
+          waiter.reject(error);
+          dispatchWaiters();
+        });
+    } else {
+      return;
+    }
+  }
+}
+
+/**
+ * Borrow a browser from the pool, launching one if there is capacity.
+ * Resolves once a browser is free when the pool is exhausted.
+ * @param {Object} launchOptions - { headless }
+ * @returns {Object} - Pool entry; pass it back to releaseBrowser
+ */
+function acquireBrowser(launchOptions = {}) {
+  return new Promise((resolve, reject) => {
+    waiters.push({ key: launchKey(launchOptions), launchOptions, resolve, reject });
+    dispatchWaiters();
+  });
+}
+
+/**
+ * Return a browser to the pool. Browsers are recycled after
+ * BROWSER_MAX_USES analyses to keep Chromium memory in check.
+ */
+async function releaseBrowser(entry) {
+  entry.uses += 1;
+  entry.busy = false;
+  if (entry.uses >= MAX_USES_PER_BROWSER || !entry.browser.connected) {
+    await retire(entry);
+  }
+  dispatchWaiters();
+}
+
+/**
+ * Run `fn` with an isolated browser context from a pooled browser. The
+ * context (cookies, storage, pages) is discarded afterwards.
+ * @param {Object} launchOptions - { headless }
+ * @param {Function} fn - async (context) => result
+ */
+async function withBrowserContext(launchOptions, fn) {
+  const entry = await acquireBrowser(launchOptions);
+  let context;
+  try {
+    context = await entry.browser.createBrowserContext();
+    return await fn(context);
+  } finally {
+    if (context) {
+      try { await context.close(); } catch {}
+    }
+    await releaseBrowser(entry);
+  }
+}
+
+async function closeBrowserPool() {
+  await Promise.all([...entries].map(retire));
+}
+
+export { acquireBrowser, releaseBrowser, withBrowserContext, closeBrowserPool };
@@ -1,34 +1,21 @@
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { executablePath } from 'puppeteer';
-import Anthropic from '@anthropic-ai/sdk';
-
-// Add stealth plugin to avoid detection
-puppeteer.use(StealthPlugin());
-
-// Enhanced field groups for comprehensive business analysis
-const FIELD_GROUPS = {
-  BASIC_INFO: [
-    'business_name', 'website_url', 'industry', 'business_description',
-    'contact_email', 'phone_number', 'physical_address', 'operating_hours',
-    'business_type', 'year_established', 'employee_count_range'
-  ],
-  SOCIAL_PRESENCE: [
-    'social_media_links', 'social_media_platforms', 'social_media_followers',
-    'social_media_engagement_rate', 'recent_social_media_posts',
-    'social_media_hashtags', 'social_content_themes'
-  ],
-  REVIEWS_REPUTATION: [
-    'google_rating', 'google_review_count', 'yelp_rating', 'yelp_review_count',
-    'average_rating', 'total_review_count', 'review_sentiment',
-    'common_praise_points', 'common_improvement_points'
-  ],
-  BUSINESS_OPERATIONS: [
-    'products_services', 'price_range', 'payment_methods',
-    'booking_availability', 'delivery_options', 'service_areas',
-    'languages_supported', 'business_categories'
-  ]
-};
+import { withBrowserContext } from './browserPool.js';
+import { crawlSite } from './crawler.js';
+import { analyzeInChunks } from './chunkedAnalysis.js';
+import { createLlmClient } from './llm/index.js';
+import { extractorCandidates, llmCandidates, resolveProvenance } from './provenance.js';
+import { inferCountry, normalizeEmail, findEmails, normalizePhone, findPhones, parseAddress } from '../utils/contact.js';
+import { extractPageStructuredData, structuredDataCandidates, summarizeStructuredData } from './structuredData.js';
+import { buildAnalysisResult } from './resultSchema.js';
+import { createUrlGuard } from './urlPolicy.js';
+import { fingerprintPage } from './fingerprints.js';
+import { auditPerformance } from './performanceAudit.js';
+import { auditSeo, extractSeoSignals } from './seoAudit.js';
+import { auditSecurity } from './securityAudit.js';
+import { auditAccessibility } from './accessibilityAudit.js';
+import {
+  FIELD_GROUPS,
+  resolveFieldGroups
+} from './fieldGroups.js';
 
 // Enhanced selectors for better data extraction
 const SELECTORS = {
@@ -41,108 +28,117 @@ const SELECTORS = {
     tiktok: 'a[href*="tiktok.com"]'
   },
   CONTACT: {
-    email: [
-      'a[href^="mailto:"]',
-      '[class*="email"]',
-      '[class*="contact"]'
-    ],
-    phone: [
-      'a[href^="tel:"]',
+    email: 'a[href^="mailto:" i]',
+    phone: 'a[href^="tel:" i], a[href^="callto:" i]',
+    // Text blocks searched for phone numbers without a tel: link
+    phoneText: [
       '[class*="phone"]',
-      '[class*="contact"]'
+      '[class*="contact"]',
+      'footer',
+      'header'
     ]
   },
   BUSINESS: {
     prices: '[class*="price"], [class*="cost"], .amount',
     hours: '[class*="hours"], [class*="schedule"], [class*="timing"]',
-    address: '[class*="address"], [class*="location"]'
+    address: [
+      'address',
+      '[itemprop="address"]',
+      '[class*="address"]',
+      '[class*="location"]'
+    ]
   }
 };
 
+// Extractors run against each loaded page. `mainPageOnly` extractors only run
+// on the page the analysis started from; the rest run on every crawled page.
+// `reportsProgress` extractors publish their result as a progress event.
+const PAGE_EXTRACTORS = [
+  {
+    key: 'content',
+    extract: extractVisibleText
+  },
+  {
+    key: 'structured_data',
+    enabled: config => config.checkStructuredData,
+    extract: extractPageStructuredData
+  },
+  {
+    key: 'seo',
+    enabled: config => config.seoAudit,
+    extract: extractSeoSignals
+  },
+  {
+    key: 'technical_metrics',
+    mainPageOnly: true,
+    reportsProgress: true,
+    enabled: config => config.checkTechnical,
+    extract: analyzeTechnicalMetrics
+  },
+  {
+    key: 'social_presence',
+    mainPageOnly: true,
+    reportsProgress: true,
+    enabled: config => config.checkSocial,
+    extract: analyzeSocialPresence
+  },
+  {
+    key: 'contact_info',
+    mainPageOnly: true,
+    reportsProgress: true,
+    extract: extractContactInfo
+  },
+  {
+    // Last: the keyboard check moves focus around the page
+    key: 'accessibility',
+    mainPageOnly: true,
+    reportsProgress: true,
+    enabled: config => config.checkAccessibility,
+    extract: auditAccessibility
+  }
+];
+
 /**
- * Recursive or multi-page crawling logic
- * @param {Object} browser
- * @param {String} url
- * @param {Object} visited - A set/dict of visited URLs to prevent re-visits
- * @param {Number} depth - The current depth of the crawl
- * @param {Number} maxDepth - The maximum depth to crawl
- * @returns {String} - Accumulated text from all visited pages
+ * Run the extractor pipeline against an already loaded page
+ * @param {Object} page
+ * @param {Object} config
+ * @param {Boolean} isMainPage
+ * @param {Function} progress - (stage, message, data) progress callback
+ * @param {Object} pageContext - { response } of the page load, passed to each extractor
+ * @returns {Object} - Extractor results keyed by extractor key
  */
-async function crawlSite({ browser, url, visited, depth, maxDepth = 1 }) {
-  if (depth > maxDepth || visited[url]) return ''; // limit depth or avoid re-visiting
-  
-  visited[url] = true;
-  
-  // Open a new page
-  const page = await browser.newPage();
-  await page.setViewport({ width: 1920, height: 1080 });
-  
-  try {
-    await page.goto(url, { waitUntil: 'networkidle0', timeout: 60000 });
-    
-    // Extract visible text from the page
-    const pageText = await page.evaluate(() => {
-      const walker = document.createTreeWalker(
-        document.body,
-        NodeFilter.SHOW_TEXT,
-        null,
-        false
-      );
-      let text = '';
-      let node;
-      while ((node = walker.nextNode())) {
-        if (
-          node.parentElement &&
-          node.parentElement.offsetHeight > 0 &&
-          node.textContent.trim()
-        ) {
-          text += node.textContent.trim() + ' ';
-        }
-      }
-      return text;
-    });
-    
-    // Optionally collect more links (if maxDepth > 0)
-    let subLinksText = '';
-    if (depth < maxDepth) {
-      const links = await page.evaluate(() =>
-        Array.from(document.querySelectorAll('a[href]'))
-          .map(link => link.href)
-          .filter(href => href.startsWith(window.location.origin))
-      );
-      
-      // Recursively crawl child links
-      for (const link of links) {
-        subLinksText += await crawlSite({
-          browser,
-          url: link,
-          visited,
-          depth: depth + 1,
-          maxDepth
-        });
-      }
+async function runExtractors(page, config, isMainPage, progress, pageContext = {}) {
+  const results = {};
+  for (const extractor of PAGE_EXTRACTORS) {
+    if (extractor.mainPageOnly && !isMainPage) continue;
+    if (extractor.enabled && !extractor.enabled(config)) continue;
+
+    console.log(`Running ${extractor.key} extractor on ${page.url()}...`);
+    results[extractor.key] = await extractor.extract(page, pageContext);
+    if (extractor.reportsProgress) {
+      progress('extractor', `${extractor.key} extracted`, { key: extractor.key, url: page.url(), result: results[extractor.key] });
     }
-    
-    await page.close();
-    return pageText + '\n' + subLinksText;
-    
-  } catch (err) {
-    console.warn(`Error crawling ${url}:`, err.message);
-    try { await page.close(); } catch {}
-    return '';
   }
+  return results;
 }
 
 async function analyzeBusiness({
   url,
   apiKey,
   fieldGroups = Object.keys(FIELD_GROUPS),
-  options = {}
+  customFieldGroups = {},
+  urlPolicy = {},
+  options = {},
+  onProgress
 }) {
-  if (!url || !apiKey) {
-    throw new Error('URL and Anthropic API key are required');
+  if (!url) {
+    throw new Error('URL is required');
   }
 
+  // Only the requested groups are asked for, parsed and flattened
+  const groups = resolveFieldGroups(fieldGroups, customFieldGroups);
+  const requestedGroups = new Set(groups.map(group => group.name));
+
   const defaultOptions = {
     headless: 'new',
     timeout: 60000,
@@ -150,388 +146,281 @@ async function analyzeBusiness({
     measurePerformance: true,
     checkSocial: true,
     checkTechnical: true,
-    crawlDepth: 0 // set how deep you want to crawl internally
+    checkAccessibility: true, // WCAG rules and keyboard focus on the entry page
+    checkStructuredData: true, // JSON-LD, Microdata, RDFa, OpenGraph, Twitter Cards
+    performanceAudit: false, // true or ['desktop', 'mobile']: Core Web Vitals runs of the entry page
+    seoAudit: false, // SEO issue list: robots.txt, sitemap, per-page tags, internal links
+    securityAudit: false, // TLS, security headers, mixed content, cookies, consent and trackers of the entry page
+    crawlDepth: 0, // set how deep you want to crawl internally
+    maxPages: 10, // page budget for multi-page crawls
+    maxBytes: 5 * 1024 * 1024, // HTML byte budget for multi-page crawls
+    crawlConcurrency: 3, // pages fetched in parallel
+    respectRobots: true,
+    useSitemap: true,
+    maxRepairAttempts: 2, // repair round-trips when the AI JSON fails validation
+    chunkChars: 12000, // website text per model call
+    maxChunks: 8, // model calls per analysis (before repairs)
+    chunkConcurrency: 2
   };
   
   const config = { ...defaultOptions, ...options };
-  let browser;
   let bkb = {}; // Business Knowledge Base object
+
+  // Provider, model, temperature and token limit come from config.llm or the
+  // environment (LLM_*); `apiKey` overrides the provider key
+  const llm = createLlmClient(config.llm, apiKey);
+
+  // Every page load, redirect, subresource and robots/sitemap fetch goes
+  // through the URL policy (public addresses only, tenant domain lists)
+  const guard = createUrlGuard(urlPolicy);
+
+  // Progress events (see progress.js); reporting never affects the analysis
+  const progress = (stage, message, data) => {
+    if (onProgress) onProgress(stage, message, data);
+  };
+  let pagesCrawled = 0;
   
   try {
-    console.log('Launching browser...');
-    browser = await puppeteer.launch(
-      {
-      executablePath: executablePath(),
-      headless: config.headless,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    }
-  );
-
     // ----------------------------
-    // 1. Crawl the site to gather text (multi-page if desired)
+    // 1. Load each page once (multi-page if desired) and run the extractor
+    //    pipeline (text, technical metrics, social presence, contact info)
     // ----------------------------
     console.log('Navigating (and possibly crawling) to website...');
-    const visitedUrls = {};
-    const accumulatedText = await crawlSite({
-      browser,
-      url,
-      visited: visitedUrls,
-      depth: 0,
-      maxDepth: config.crawlDepth
-    });
+    progress('launch', 'Launching browser');
+    let performanceAudit = null;
+    let securityAudit = null;
+    const crawlReport = await withBrowserContext({ headless: config.headless }, async context => {
+      // First, while the context has no cookies, so everything it records
+      // happened before any consent
+      if (config.securityAudit) {
+        progress('security', 'Auditing security and privacy', { url });
+        try {
+          securityAudit = await auditSecurity({ context, url, guard, timeout: config.timeout, waitUntil: config.waitUntil });
+        } catch (error) {
+          console.warn(`Security audit of ${url} failed:`, error.message);
+          securityAudit = { audited_at: new Date().toISOString(), url, error: error.message };
+        }
+      }
 
-    // After crawling, we have potentially multiple pages of text in `accumulatedText`
+      const report = await crawlSite({
+        context,
+        url,
+        options: {
+          maxDepth: config.crawlDepth,
+          maxPages: config.maxPages,
+          maxBytes: config.maxBytes,
+          concurrency: config.crawlConcurrency,
+          respectRobots: config.respectRobots,
+          useSitemap: config.useSitemap,
+          waitUntil: config.waitUntil,
+          timeout: config.timeout
+        },
+        onPage: async (page, { url: pageUrl, depth, isMainPage, response }) => {
+          const data = await runExtractors(page, config, isMainPage, progress, { response });
+          pagesCrawled += 1;
+          progress('page', `Crawled ${pageUrl}`, { url: pageUrl, depth, pagesCrawled, maxPages: config.maxPages });
+          return data;
+        },
+        guard
+      });
+
+      // Desktop and throttled mobile runs of the entry page, in the same context
+      if (config.performanceAudit) {
+        const auditUrl = report.pages[0].final_url || report.pages[0].url;
+        progress('performance', 'Auditing performance', { url: auditUrl });
+        performanceAudit = await auditPerformance({
+          context,
+          url: auditUrl,
+          profiles: config.performanceAudit,
+          guard,
+          timeout: config.timeout
+        });
+      }
+      return report;
+    });
 
-    // ----------------------------
-    // 2. Analyze Technical Metrics on the main page (if enabled)
-    // ----------------------------
-    if (config.checkTechnical) {
-      console.log('Analyzing technical metrics (main page)...');
-      const mainPage = await browser.newPage();
-      await mainPage.goto(url, { waitUntil: 'networkidle0', timeout: config.timeout });
-      bkb.technical_metrics = await analyzeTechnicalMetrics(mainPage);
-      await mainPage.close();
-    }
+    const [mainPage] = crawlReport.pages;
+    const { content: _mainContent, structured_data: _mainStructured, seo: _mainSeo, accessibility, ...mainPageResults } = mainPage.data;
+    Object.assign(bkb, mainPageResults);
+    if (accessibility) bkb.technical_metrics = { ...bkb.technical_metrics, accessibility };
+    bkb.structured_data = crawlReport.pages
+      .filter(page => page.data.structured_data)
+      .map(page => ({ page_url: page.url, ...summarizeStructuredData(page.data.structured_data) }));
+    bkb.contact_info = bkb.contact_info || { email: [], phone: [], address: [] };
+    if (performanceAudit) bkb.technical_metrics = { ...bkb.technical_metrics, performance_audit: performanceAudit };
+    if (securityAudit) bkb.technical_metrics = { ...bkb.technical_metrics, security_audit: securityAudit };
+    bkb.crawl = {
+      pages_visited: crawlReport.pages.map(({ data, ...page }) => page),
+      pages_skipped: crawlReport.skipped,
+      robots_txt: crawlReport.robots,
+      sitemap: crawlReport.sitemap,
+      blocked_requests: crawlReport.blocked_requests
+    };
+    progress('crawl', `Crawl finished: ${crawlReport.pages.length} page(s)`, {
+      pagesCrawled: crawlReport.pages.length,
+      pagesSkipped: crawlReport.skipped.length,
+      blockedRequests: crawlReport.blocked_requests.length
+    });
 
-    // ----------------------------
-    // 3. Analyze Social Presence (just main page)
-    // ----------------------------
-    if (config.checkSocial) {
-      console.log('Analyzing social media presence...');
-      const socialPage = await browser.newPage();
-      await socialPage.goto(url, { waitUntil: 'networkidle0', timeout: config.timeout });
-      bkb.social_presence = await analyzeSocialPresence(socialPage);
-      await socialPage.close();
+    // Site-level SEO checks over the crawled pages (robots.txt, sitemap, internal links)
+    if (config.seoAudit) {
+      progress('seo', 'Auditing SEO', { pages: crawlReport.pages.length });
+      const seoAudit = await auditSeo({
+        entryUrl: mainPage.url,
+        pages: crawlReport.pages.map(page => ({ url: page.url, status: page.status, seo: page.data.seo })),
+        guard
+      });
+      bkb.technical_metrics = { ...bkb.technical_metrics, seo_audit: seoAudit };
     }
 
     // ----------------------------
-    // 4. Extract Contact Information
+    // 2. AI Analysis: every page/section chunk is analyzed on its own and the
+    //    partial results are merged (entry page first, then by crawl rank)
     // ----------------------------
-    console.log('Extracting contact information...');
-    const contactPage = await browser.newPage();
-    await contactPage.goto(url, { waitUntil: 'networkidle0', timeout: config.timeout });
-    bkb.contact_info = await extractContactInfo(contactPage);
-    await contactPage.close();
-
-    // ----------------------------
-    // 5. AI Analysis with Claude
-    // ----------------------------
-    console.log('Performing AI analysis...');
-    const contentForAI = accumulatedText.slice(0, 15000);
-
-    const anthropic = new Anthropic({ apiKey });
-    const message = await anthropic.messages.create({
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 4096,
-      messages: [
-        {
-          role: 'user',
-          content: `Analyze the following website content and return a JSON object (and ONLY a JSON object) with the following structure:
-
-{
-  "basic_info": {
-    "business_name": "",
-    "website_url": "",
-    "industry": "",
-    "business_description": "",
-    "contact_email": "",
-    "phone_number": "",
-    "physical_address": "",
-    "operating_hours": "",
-    "business_type": "",
-    "year_established": "",
-    "employee_count_range": ""
-  },
-  "social_presence": {
-    "social_media_links": [],
-    "social_media_platforms": [],
-    "social_media_followers": "",
-    "social_media_engagement_rate": "",
-    "recent_social_media_posts": [],
-    "social_media_hashtags": [],
-    "social_content_themes": "",
-    "platforms": {
-      "twitter": {
-        "present": false,
-        "url": ""
+    console.log(`Performing AI analysis (${llm.provider}/${llm.model})...`);
+    progress('ai', `Analyzing content with ${llm.provider}/${llm.model}`, { provider: llm.provider, model: llm.model });
+    const {
+      data: aiAnalysis,
+      report: validationReport,
+      fieldSources,
+      chunking
+    } = await analyzeInChunks({
+      complete: llm.complete,
+      pages: crawlReport.pages.map(page => ({
+        url: page.url,
+        title: page.title,
+        sections: page.data.content?.sections || []
+      })),
+      groups,
+      options: {
+        chunkChars: config.chunkChars,
+        maxChunks: config.maxChunks,
+        concurrency: config.chunkConcurrency,
+        maxRepairAttempts: config.maxRepairAttempts
       },
-      "linkedin": {
-        "present": false,
-        "url": ""
-      },
-      "youtube": {
-        "present": false,
-        "url": ""
-      }
-    },
-    "embedded_content": {
-      "instagram": false,
-      "facebook": false,
-      "twitter": false,
-      "youtube": false,
-      "social_feeds": false
-    },
-    "sharing_options": {
-      "facebook": false,
-      "twitter": false,
-      "linkedin": false,
-      "general_share": false
-    }
-  },
-  "reviews_reputation": {
-    "google_rating": "",
-    "google_review_count": "",
-    "yelp_rating": "",
-    "yelp_review_count": "",
-    "average_rating": "",
-    "total_review_count": "",
-    "review_sentiment": "",
-    "common_praise_points": [],
-    "common_improvement_points": []
-  },
-  "business_operations": {
-    "products_services": [],
-    "price_range": "",
-    "payment_methods": [],
-    "booking_availability": "",
-    "delivery_options": "",
-    "service_areas": [],
-    "languages_supported": [],
-    "business_categories": []
-  },
-  "target_market": {
-    "primary_audience": "",
-    "demographics": "",
-    "market_positioning": ""
-  },
-  "brand_analysis": {
-    "tone": "",
-    "key_messages": [],
-    "unique_selling_points": []
-  },
-  "technical_metrics": {
-    "load_time_ms": null,
-    "mobile_friendly": null,
-    "seo_meta_description": "",
-    "technology_stack": {
-      "analytics": []
-    }
-  }
-}
-
-Please extract as much information as possible from the text, populating every field above. If any field cannot be determined from the content, return it as empty, null, or an empty array. Return ONLY the JSON object, properly escaped with valid JSON formatting. No additional text or explanation.
-
-Website Content:
-${contentForAI}
-
-Return ONLY the valid JSON object.`
-        }
-      ]
+      onChunk: ({ done, total, url: chunkUrl }) =>
+        progress('ai_chunk', `Analyzed chunk ${done}/${total}`, { done, total, url: chunkUrl })
     });
-
-    let aiAnalysis;
-    try {
-      const responseText = message.content[0].text;
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        aiAnalysis = JSON.parse(jsonMatch[0]);
-      } else {
-        aiAnalysis = { error: 'No valid JSON object found in AI response' };
-      }
-    } catch (error) {
-      console.warn('Error processing AI analysis:', error.message);
-      aiAnalysis = { error: 'AI analysis failed' };
+    bkb.validation_report = validationReport;
+    bkb.field_sources = fieldSources; // which page each AI field came from
+    bkb.chunking = chunking;
+    bkb.llm = { provider: llm.provider, model: llm.model, usage: llm.usage };
+
+    // Extra social extractor output (presence score, URLs for deeper scrapes)
+    if (requestedGroups.has('SOCIAL_PRESENCE')) {
+      aiAnalysis.social_presence = {
+        ...bkb.social_presence,
+        ...aiAnalysis.social_presence
+      };
     }
 
-    // ----------------------------
-    // --- UPDATED: Merge Additional Data ---
-    // ----------------------------
-
-    // Merge technical metrics with AI analysis
-    aiAnalysis.technical_metrics = {
-      ...aiAnalysis.technical_metrics,
-      load_time_ms: bkb.technical_metrics.performance.page_load_time,
-      mobile_friendly: bkb.technical_metrics.mobile_friendly,
-      seo_meta_description: bkb.technical_metrics.seo.meta_description,
-      technology_stack: {
-        analytics: bkb.technical_metrics.technology_stack.analytics
-      }
-    };
-
-    // Merge social presence data
-    aiAnalysis.social_presence = {
-      ...aiAnalysis.social_presence,
-      ...bkb.social_presence
-    };
-
-    // --- UPDATED: If AI doesn't provide a website, fill with the analyzed URL
-    if (!aiAnalysis.basic_info.website_url) {
-      aiAnalysis.basic_info.website_url = url;
+    // Resolve every field across sources by precedence (input > measurement >
+    // structured data > DOM > LLM, see provenance.js) and record where the
+    // winning value came from
+    const pageTexts = new Map(crawlReport.pages.map(page => [page.url, page.data.content?.text || '']));
+    bkb.field_provenance = resolveProvenance(aiAnalysis, groups, [
+      structuredDataCandidates(crawlReport.pages.map(page => ({ url: page.url, structured: page.data.structured_data }))),
+      extractorCandidates(bkb, url, mainPage.url),
+      llmCandidates(aiAnalysis, fieldSources, pageTexts)
+    ]);
+
+    // Winning contact values share the extractor's format whichever source they came from
+    const country = bkb.contact_info.country;
+    if (aiAnalysis.basic_info?.phone_number) {
+      aiAnalysis.basic_info.phone_number = normalizePhone(aiAnalysis.basic_info.phone_number, country)?.e164 ||
+        aiAnalysis.basic_info.phone_number;
+    }
+    if (aiAnalysis.basic_info?.contact_email) {
+      aiAnalysis.basic_info.contact_email = normalizeEmail(aiAnalysis.basic_info.contact_email) || '';
     }
 
-    // --- UPDATED: If no address from extraction, but AI found one
+    // No address from the extractors: use the AI's, parsed like theirs
     if (
       aiAnalysis.basic_info?.physical_address &&
       (!bkb.contact_info.address || bkb.contact_info.address.length === 0)
     ) {
-      bkb.contact_info.address = [aiAnalysis.basic_info.physical_address];
+      const parsed = parseAddress(aiAnalysis.basic_info.physical_address, country);
+      bkb.contact_info.address = [parsed?.formatted || aiAnalysis.basic_info.physical_address];
+      if (parsed) bkb.contact_info.address_details = [parsed];
     }
 
     // ----------------------------
-    // 6. Store the analysis results with exact column names
+    // 3. Canonical nested result (see resultSchema.js); flat shapes are
+    //    produced from it by the export adapters
     // ----------------------------
-    // --- UPDATED: Use `business_description` instead of `description`
-    const analysisResults = {
-      analysisDate: new Date().toISOString(),
-      urlAnalyzed: url,
-      businessName: bkb.contact_info?.business_name || '',
-      industry: aiAnalysis.basic_info?.industry || '',
-      // Use business_description from AI
-      description: aiAnalysis.basic_info?.business_description || '',
-      businessType: aiAnalysis.basic_info?.business_type || '',
-      yearEstablished: aiAnalysis.basic_info?.year_established || '',
-      mainOfferings: Array.isArray(aiAnalysis.business_operations?.products_services) 
-        ? aiAnalysis.business_operations.products_services[0] || ''
-        : '',
-      pricingTier: aiAnalysis.business_operations?.price_range || '',
-      specialties: Array.isArray(aiAnalysis.business_operations?.business_categories) 
-        ? aiAnalysis.business_operations.business_categories[0] || ''
-        : '',
-      primaryAudience: aiAnalysis.target_market?.primary_audience || '',
-      demographics: aiAnalysis.target_market?.demographics || '',
-      marketPositioning: aiAnalysis.target_market?.market_positioning || '',
-      brandTone: aiAnalysis.brand_analysis?.tone || '',
-      // Convert array to comma-separated string
-      keyMessages: Array.isArray(aiAnalysis.brand_analysis?.key_messages) 
-        ? aiAnalysis.brand_analysis.key_messages.join(', ') || ''
-        : '',
-      uniqueSellingPoints: Array.isArray(aiAnalysis.brand_analysis?.unique_selling_points)
-        ? aiAnalysis.brand_analysis.unique_selling_points.join(', ') || ''
-        : '',
-      email: Array.isArray(bkb.contact_info?.email) ? bkb.contact_info.email[0] || '' : '',
-      phone: Array.isArray(bkb.contact_info?.phone) ? bkb.contact_info.phone[0] || '' : '',
-      address: Array.isArray(bkb.contact_info?.address) ? bkb.contact_info.address[0] || '' : '',
-      loadTimeMs: bkb.technical_metrics?.performance?.page_load_time || 0,
-      mobileFriendly: bkb.technical_metrics?.mobile_friendly?.viewport_optimization || false,
-      socialPresenceScore: bkb.social_presence?.presence_score || 0,
-      socialPresencePlatformsTwitterPresent: bkb.social_presence?.platforms?.twitter?.present || false,
-      socialPresencePlatformsTwitterUrl: bkb.social_presence?.platforms?.twitter?.url || '',
-      socialPresenceSocialUrlsForDeeperScrape0: bkb.social_presence?.social_urls_for_deeper_scrape?.[0] || '',
-      socialPresenceSocialUrlsForDeeperScrape1: bkb.social_presence?.social_urls_for_deeper_scrape?.[1] || '',
-      socialPresenceSocialUrlsForDeeperScrape2: bkb.social_presence?.social_urls_for_deeper_scrape?.[2] || '',
-      socialPresenceEmbeddedContentInstagram: bkb.social_presence?.embedded_content?.instagram || false,
-      socialPresenceEmbeddedContentFacebook: bkb.social_presence?.embedded_content?.facebook || false,
-      socialPresenceEmbeddedContentTwitter: bkb.social_presence?.embedded_content?.twitter || false,
-      socialPresenceEmbeddedContentYoutube: bkb.social_presence?.embedded_content?.youtube || false,
-      socialPresenceEmbeddedContentSocialFeeds: bkb.social_presence?.embedded_content?.social_feeds || false,
-      socialPresenceSharingOptionsFacebook: bkb.social_presence?.sharing_options?.facebook || false,
-      socialPresenceSharingOptionsTwitter: bkb.social_presence?.sharing_options?.twitter || false,
-      socialPresenceSharingOptionsLinkedin: bkb.social_presence?.sharing_options?.linkedin || false,
-      socialPresenceSharingOptionsGeneralShare: bkb.social_presence?.sharing_options?.general_share || false,
-      contactInfoPhone0: bkb.contact_info?.phone?.[0] || '',
-      contactInfoPhone1: bkb.contact_info?.phone?.[1] || '',
-      contactInfoPhone2: bkb.contact_info?.phone?.[2] || '',
-      contactInfoPhone3: bkb.contact_info?.phone?.[3] || '',
-      contactInfoPhone4: bkb.contact_info?.phone?.[4] || '',
-      contactInfoPhone5: bkb.contact_info?.phone?.[5] || '',
-      contactInfoPhone6: bkb.contact_info?.phone?.[6] || '',
-      contactInfoPhone7: bkb.contact_info?.phone?.[7] || '',
-      contactInfoPhone8: bkb.contact_info?.phone?.[8] || '',
-      contactInfoPhone9: bkb.contact_info?.phone?.[9] || '',
-      contactInfoPhone10: bkb.contact_info?.phone?.[10] || '',
-      contactInfoPhone11: bkb.contact_info?.phone?.[11] || '',
-      contactInfoPhone12: bkb.contact_info?.phone?.[12] || '',
-      // Again, use business_description for AI fields
-      aiAnalysisBasicInfoBusinessName: aiAnalysis.basic_info?.business_name || '',
-      aiAnalysisBasicInfoIndustry: aiAnalysis.basic_info?.industry || '',
-      aiAnalysisBasicInfoDescription: aiAnalysis.basic_info?.business_description || '',
-      aiAnalysisBasicInfoBusinessType: aiAnalysis.basic_info?.business_type || '',
-      aiAnalysisBasicInfoYearEstablished: aiAnalysis.basic_info?.year_established || '',
-      aiAnalysisProductsServicesMainOfferings0: aiAnalysis.business_operations?.products_services?.[0] || '',
-      aiAnalysisProductsServicesMainOfferings1: aiAnalysis.business_operations?.products_services?.[1] || '',
-      aiAnalysisProductsServicesMainOfferings2: aiAnalysis.business_operations?.products_services?.[2] || '',
-      aiAnalysisProductsServicesMainOfferings3: aiAnalysis.business_operations?.products_services?.[3] || '',
-      aiAnalysisProductsServicesMainOfferings4: aiAnalysis.business_operations?.products_services?.[4] || '',
-      aiAnalysisProductsServicesMainOfferings5: aiAnalysis.business_operations?.products_services?.[5] || '',
-      aiAnalysisProductsServicesPricingTier: aiAnalysis.business_operations?.price_range || '',
-      aiAnalysisProductsServicesSpecialties0: aiAnalysis.business_operations?.business_categories?.[0] || '',
-      aiAnalysisProductsServicesSpecialties1: aiAnalysis.business_operations?.business_categories?.[1] || '',
-      aiAnalysisProductsServicesSpecialties2: aiAnalysis.business_operations?.business_categories?.[2] || '',
-      aiAnalysisProductsServicesSpecialties3: aiAnalysis.business_operations?.business_categories?.[3] || '',
-      aiAnalysisTargetMarketPrimaryAudience: aiAnalysis.target_market?.primary_audience || '',
-      aiAnalysisTargetMarketDemographics: aiAnalysis.target_market?.demographics || '',
-      aiAnalysisTargetMarketMarketPositioning: aiAnalysis.target_market?.market_positioning || '',
-      aiAnalysisBrandAnalysisTone: aiAnalysis.brand_analysis?.tone || '',
-      aiAnalysisBrandAnalysisKeyMessages0: aiAnalysis.brand_analysis?.key_messages?.[0] || '',
-      aiAnalysisBrandAnalysisKeyMessages1: aiAnalysis.brand_analysis?.key_messages?.[1] || '',
-      aiAnalysisBrandAnalysisKeyMessages2: aiAnalysis.brand_analysis?.key_messages?.[2] || '',
-      aiAnalysisBrandAnalysisKeyMessages3: aiAnalysis.brand_analysis?.key_messages?.[3] || '',
-      aiAnalysisBrandAnalysisUniqueSellingPoints0: aiAnalysis.brand_analysis?.unique_selling_points?.[0] || '',
-      aiAnalysisBrandAnalysisUniqueSellingPoints1: aiAnalysis.brand_analysis?.unique_selling_points?.[1] || '',
-      aiAnalysisBrandAnalysisUniqueSellingPoints2: aiAnalysis.brand_analysis?.unique_selling_points?.[2] || '',
-      metadataAnalysisDate: new Date().toISOString(),
-      metadataAnalysisVersion: "1.0.0",
-      metadataUrlAnalyzed: url,
-      metadataAnalysisStatus: "completed",
-      technicalMetricsSeoMetaDescription: bkb.technical_metrics?.seo?.meta_description || '',
-      socialPresencePlatformsLinkedinPresent: bkb.social_presence?.platforms?.linkedin?.present || false,
-      socialPresencePlatformsLinkedinUrl: bkb.social_presence?.platforms?.linkedin?.url || '',
-      socialPresencePlatformsYoutubePresent: bkb.social_presence?.platforms?.youtube?.present || false,
-      socialPresencePlatformsYoutubeUrl: bkb.social_presence?.platforms?.youtube?.url || '',
-      technicalMetricsTechnologyStackAnalytics0: bkb.technical_metrics?.technology_stack?.analytics?.[0] || '',
-      technicalMetricsTechnologyStackAnalytics1: bkb.technical_metrics?.technology_stack?.analytics?.[1] || '',
-      contactInfoEmail0: bkb.contact_info?.email?.[0] || '',
-      contactInfoAddress0: bkb.contact_info?.address?.[0] || '',
-      contactInfoAddress1: bkb.contact_info?.address?.[1] || '',
-      // --- UPDATED: Shortened "all" to avoid the entire raw HTML ---
-      all: JSON.stringify({
-        metadata: {
-          analysis_date: new Date().toISOString(),
-          analysis_version: "1.0.0",
-          url_analyzed: url,
-          analysis_status: "completed"
-        },
-        technical_metrics: bkb.technical_metrics,
-        social_presence: bkb.social_presence,
-        contact_info: bkb.contact_info,
-        ai_analysis: aiAnalysis
-        // If you really need raw HTML, add: raw_text: accumulatedText
-      })
-    };
-
-    return analysisResults;
+    return buildAnalysisResult({ url, groups, aiAnalysis, bkb });
 
   } catch (error) {
     console.error('Analysis error:', error);
-    throw new Error(`Business analysis failed: ${error.message}`);
-  } finally {
-    if (browser) await browser.close();
+    const failure = new Error(`Business analysis failed: ${error.message}`);
+    failure.llmUsage = llm.usage; // tokens already spent still count against quotas
+    throw failure;
   }
 }
 
-// --- UPDATED: Stricter phoneRegex for extractContactInfo
-async function analyzeTechnicalMetrics(page) {
+// Visible text of the page, grouped into sections by the nearest preceding
+// h1-h3 heading. Used as the AI input.
+async function extractVisibleText(page) {
+  return page.evaluate(() => {
+    const walker = document.createTreeWalker(
+      document.body,
+      NodeFilter.SHOW_TEXT,
+      null,
+      false
+    );
+    const sections = [{ heading: '', text: '' }];
+    let currentHeading = null;
+    let node;
+    while ((node = walker.nextNode())) {
+      const parent = node.parentElement;
+      const content = node.textContent.trim();
+      if (!parent || parent.offsetHeight === 0 || !content) continue;
+
+      const heading = parent.closest('h1, h2, h3');
+      const current = sections[sections.length - 1];
+      if (heading && heading === currentHeading) {
+        current.heading += ' ' + content;
+      } else if (heading) {
+        currentHeading = heading;
+        sections.push({ heading: content, text: '' });
+      } else {
+        current.text += content + ' ';
+      }
+    }
+
+    const nonEmpty = sections
+      .map(section => ({ heading: section.heading.trim(), text: section.text.trim() }))
+      .filter(section => section.heading || section.text);
+    return {
+      text: nonEmpty.map(section => [section.heading, section.text].filter(Boolean).join('\n')).join('\n'),
+      sections: nonEmpty
+    };
+  });
+}
+
+async function analyzeTechnicalMetrics(page, { response } = {}) {
   const metrics = {};
   
   try {
     // Performance metrics
     metrics.performance = await page.evaluate(() => {
+      const [navigation] = performance.getEntriesByType('navigation');
       return {
-        page_load_time: performance.timing.loadEventEnd - performance.timing.navigationStart,
-        dom_content_loaded: performance.timing.domContentLoadedEventEnd - performance.timing.navigationStart,
+        page_load_time: navigation ? Math.round(navigation.loadEventEnd - navigation.startTime) : null,
+        dom_content_loaded: navigation ? Math.round(navigation.domContentLoadedEventEnd - navigation.startTime) : null,
         first_paint: performance.getEntriesByType('paint')[0]?.startTime || null,
-        navigation_type: performance.navigation.type
+        navigation_type: navigation?.type || null
       };
     });
     
-    // SSL Status
-    metrics.ssl_status = page.url().startsWith('https');
+    // SSL Status: served over HTTPS with a certificate the browser accepted
+    metrics.ssl_status = page.url().startsWith('https') && (!response || !!response.securityDetails());
     
     // Mobile-friendliness check
     metrics.mobile_friendly = await page.evaluate(() => {
       const viewport = Math.min(document.documentElement.clientWidth, window.innerWidth);
       const hasViewportMeta = !!document.querySelector('meta[name="viewport"]');
-      const textReadable = window.getComputedStyle(document.body).fontSize >= '12px';
+      const textReadable = parseFloat(window.getComputedStyle(document.body).fontSize) >= 12;
       return {
         viewport_optimization: hasViewportMeta,
         text_readability: textReadable,
@@ -539,43 +428,15 @@ async function analyzeTechnicalMetrics(page) {
       };
     });
     
-    // Technology detection
-    metrics.technology_stack = await page.evaluate(() => {
-      const technologies = {
-        cms: null,
-        analytics: [],
-        marketing: [],
-        payment: []
-      };
-      
-      const scripts = Array.from(document.scripts).map(s => s.src);
-      if (scripts.some(s => s.includes('wp-'))) technologies.cms = 'WordPress';
-      if (scripts.some(s => s.includes('shopify'))) technologies.cms = 'Shopify';
-      if (scripts.some(s => s.includes('squarespace'))) technologies.cms = 'Squarespace';
-      
-      // Analytics tools
-      if (scripts.some(s => s.includes('google-analytics'))) technologies.analytics.push('Google Analytics');
-      if (scripts.some(s => s.includes('facebook'))) technologies.analytics.push('Facebook Pixel');
-      if (window.ga || window.gtag) technologies.analytics.push('Google Analytics');
-      if (window.fbq) technologies.analytics.push('Facebook Pixel');
-      
-      // Marketing tools
-      if (scripts.some(s => s.includes('mailchimp'))) technologies.marketing.push('Mailchimp');
-      if (scripts.some(s => s.includes('hubspot'))) technologies.marketing.push('HubSpot');
-      
-      // Payment systems
-      if (scripts.some(s => s.includes('stripe'))) technologies.payment.push('Stripe');
-      if (scripts.some(s => s.includes('paypal'))) technologies.payment.push('PayPal');
-      
-      return technologies;
-    });
+    // Technology detection (rules in src/data/technologies)
+    metrics.technology_stack = await fingerprintPage(page, response);
 
     // SEO Metrics
     metrics.seo = await page.evaluate(() => {
       return {
         title: document.title,
         meta_description: document.querySelector('meta[name="description"]')?.content,
-        has_robots_txt: document.querySelector('meta[name="robots"]')?.content,
+        robots_meta: document.querySelector('meta[name="robots"]')?.content || null,
         heading_structure: {
           h1: document.querySelectorAll('h1').length,
           h2: document.querySelectorAll('h2').length,
@@ -613,7 +474,8 @@ async function analyzeSocialPresence(page) {
         const href = await page.evaluate(el => el.href, links[0]);
         social.platforms[platform] = {
           present: true,
-          url: href
+          url: href,
+          selector
         };
         social.social_urls_for_deeper_scrape.push(href);
         social.presence_score += 1;
@@ -648,57 +510,106 @@ async function analyzeSocialPresence(page) {
   return social;
 }
 
-// --- UPDATED: Stricter phone regex and deduplicate
+// Emails come from mailto: hrefs and page text, phones are parsed with
+// libphonenumber and stored as E.164, addresses are parsed into components.
+// Everything is validated and de-duplicated.
 async function extractContactInfo(page) {
   const contactInfo = {
+    business_name: '',
+    country: null, // inferred from the domain / page language, used for numbers without +country
     email: [],
-    phone: [],
-    address: []
+    phone: [], // E.164
+    address: [], // formatted
+    phone_details: [],
+    address_details: [],
+    // Where each value was found: { email: [{ value, selector, excerpt, confidence? }], ... }
+    evidence: { email: [], phone: [], address: [] }
   };
 
-  // A stricter phone pattern: (xxx) xxx-xxxx or xxx.xxx.xxxx or xxx-xxx-xxxx
-  const phoneRegex = /\(?\d{3}\)?[\s.\-]\d{3}[\s.\-]\d{4}/;
+  const addEvidence = (key, value, selector, text, extra = {}) => {
+    if (contactInfo.evidence[key].some(entry => entry.value === value)) return;
+    contactInfo.evidence[key].push({ value, selector, excerpt: String(text).trim().replace(/\s+/g, ' ').slice(0, 200), ...extra });
+  };
   
   try {
-    // Extract email addresses
-    for (const selector of SELECTORS.CONTACT.email) {
-      const elements = await page.$$(selector);
-      for (const el of elements) {
-        const text = await page.evaluate(el => el.textContent, el);
-        const href = await page.evaluate(el => el.href, el);
-        if (text.includes('@') || (href && href.includes('mailto:'))) {
-          contactInfo.email.push(text.trim());
-        }
-      }
+    // Business name from site metadata, falling back to the first part of the title
+    const name = await page.evaluate(() => {
+      const meta = (selector) => document.querySelector(selector)?.content?.trim();
+      const ogSiteName = meta('meta[property="og:site_name"]');
+      if (ogSiteName) return { value: ogSiteName, selector: 'meta[property="og:site_name"]', confidence: 0.8 };
+      const appName = meta('meta[name="application-name"]');
+      if (appName) return { value: appName, selector: 'meta[name="application-name"]', confidence: 0.7 };
+      const title = document.title.split(/\s[|\-\u2013\u2014:]\s/)[0].trim();
+      if (title) return { value: title, selector: 'title', confidence: 0.5 };
+      return null;
+    });
+    if (name) {
+      contactInfo.business_name = name.value;
+      contactInfo.business_name_evidence = { selector: name.selector, excerpt: name.value, confidence: name.confidence };
     }
-    
-    // Extract phone numbers
-    for (const selector of SELECTORS.CONTACT.phone) {
-      const elements = await page.$$(selector);
-      for (const el of elements) {
-        const text = await page.evaluate(el => el.textContent, el);
-        const href = await page.evaluate(el => el.href, el);
-        
-        // Check phoneRegex or tel:
-        if (phoneRegex.test(text) || (href && href.includes('tel:'))) {
-          contactInfo.phone.push(text.trim());
-        }
-      }
+
+    const raw = await page.evaluate((selectors) => {
+      const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+      const links = selector => Array.from(document.querySelectorAll(selector)).map(a => ({
+        href: a.getAttribute('href') || '',
+        text: clean(a.textContent)
+      }));
+      const blocks = list => list.flatMap(selector =>
+        Array.from(document.querySelectorAll(selector)).slice(0, 20).map(el => ({ selector, text: clean(el.innerText) }))
+      ).filter(block => block.text);
+
+      return {
+        lang: document.documentElement.lang || '',
+        mailto: links(selectors.email),
+        tel: links(selectors.phone),
+        phoneBlocks: blocks(selectors.phoneText),
+        addressBlocks: blocks(selectors.address),
+        bodyText: (document.body?.innerText || '').slice(0, 200000)
+      };
+    }, { ...SELECTORS.CONTACT, address: SELECTORS.BUSINESS.address });
+
+    const country = inferCountry({ url: page.url(), lang: raw.lang });
+    contactInfo.country = country;
+
+    // Emails: mailto: hrefs first (the link text is often "Contact us"), then page text
+    for (const link of raw.mailto) {
+      const email = normalizeEmail(link.href);
+      if (email) addEvidence('email', email, SELECTORS.CONTACT.email, link.text || link.href);
     }
-    
-    // Deduplicate phone
-    contactInfo.phone = [...new Set(contactInfo.phone)];
-    
-    // Extract address
-    const addressElements = await page.$$(SELECTORS.BUSINESS.address);
-    for (const el of addressElements) {
-      const text = await page.evaluate(el => el.textContent, el);
-      // Basic filter for address-like content
-      if (text.trim().length > 10) {
-        contactInfo.address.push(text.trim());
+    for (const email of findEmails(raw.bodyText)) {
+      addEvidence('email', email, 'body text', email, { confidence: 0.7 });
+    }
+
+    // Phones: tel: hrefs first, then phone-ish text blocks
+    const addPhone = (phone, selector, excerpt, extra) => {
+      if (contactInfo.phone_details.some(known => known.e164 === phone.e164)) return;
+      contactInfo.phone_details.push(phone);
+      addEvidence('phone', phone.e164, selector, excerpt, extra);
+    };
+    for (const link of raw.tel) {
+      const phone = normalizePhone(link.href, country);
+      if (phone) addPhone(phone, SELECTORS.CONTACT.phone, link.text || link.href);
+    }
+    for (const block of raw.phoneBlocks) {
+      for (const phone of findPhones(block.text, country)) {
+        addPhone(phone, block.selector, phone.raw, { confidence: 0.7 });
       }
     }
 
+    // Addresses: only blocks that parse as an address
+    for (const block of raw.addressBlocks) {
+      const address = parseAddress(block.text, country);
+      if (!address || contactInfo.address_details.some(known => known.formatted === address.formatted)) continue;
+      contactInfo.address_details.push(address);
+      // Class-name matches are loose, so they carry less weight than <address> / itemprop
+      const loose = block.selector.startsWith('[class');
+      addEvidence('address', address.formatted, block.selector, block.text, loose ? { confidence: 0.6 } : {});
+    }
+
+    contactInfo.email = contactInfo.evidence.email.map(entry => entry.value);
+    contactInfo.phone = contactInfo.phone_details.map(phone => phone.e164);
+    contactInfo.address = contactInfo.address_details.map(address => address.formatted);
+
   } catch (error) {
     console.warn('Error extracting contact info:', error.message);
   }
@@ -0,0 +1,134 @@
+import Analysis from '../models/analysis.js';
+import Schedule from '../models/schedule.js';
+import { upgradeResult } from './resultSchema.js';
+import { CATEGORIES as TECHNOLOGY_STACK_CATEGORIES } from './fingerprints.js';
+import { dispatchAnalysisEvent } from './webhooks.js';
+import { stableStringify } from '../utils/json.js';
+
+// Change tracking: every completed analysis is compared field by field with
+// the previous completed analysis of the same owner and normalized URL.
+//
+// Compared paths are the resolved sections (`<section>.<field>`) plus the
+// extractor facts monitoring cares most about, under `extracted.`:
+//   extracted.contact_info.{email,phone,address}
+//   extracted.social_presence.platforms            (platforms found on the site)
+//   extracted.technical_metrics.technology_stack.{cms,<category>}   (names per fingerprint category)
+//
+// Change: { path, type: 'added' | 'removed' | 'changed', before, after, added?, removed? }
+// (added/removed list the items that came and went for list values)
+
+const TECHNOLOGY_CATEGORIES = TECHNOLOGY_STACK_CATEGORIES.filter(category => category !== 'cms');
+
+const isEmpty = value =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const normalizeValue = value => (typeof value === 'string' ? value.trim() : value);
+
+/**
+ * Comparable fields of a stored result (any schema version)
+ * @returns {Object} - { path: value }
+ */
+function snapshotResult(stored) {
+  const result = upgradeResult(stored);
+  const fields = {};
+  for (const [section, values] of Object.entries(result.analysis || {})) {
+    for (const [field, value] of Object.entries(values || {})) fields[`${section}.${field}`] = normalizeValue(value);
+  }
+
+  const { contact_info: contact, social_presence: social, technical_metrics: technical } = result.extracted || {};
+  fields['extracted.contact_info.email'] = contact?.email || [];
+  fields['extracted.contact_info.phone'] = contact?.phone || [];
+  fields['extracted.contact_info.address'] = contact?.address || [];
+  fields['extracted.social_presence.platforms'] = Object.entries(social?.platforms || {})
+    .filter(([, platform]) => platform?.present)
+    .map(([name]) => name);
+  fields['extracted.technical_metrics.technology_stack.cms'] = technical?.technology_stack?.cms ?? null;
+  for (const category of TECHNOLOGY_CATEGORIES) {
+    fields[`extracted.technical_metrics.technology_stack.${category}`] = [...new Set(technical?.technology_stack?.[category] || [])];
+  }
+  return fields;
+}
+
+// `path` is tracked when it equals or sits under one of the tracked paths
+const isTracked = (path, trackedFields) =>
+  !trackedFields || trackedFields.length === 0 ||
+  trackedFields.some(tracked => path === tracked || path.startsWith(`${tracked}.`));
+
+/**
+ * Field-by-field changes between two snapshots. Only paths present in both
+ * are compared, so runs with different field groups don't report whole
+ * sections as removed.
+ * @param {Array} trackedFields - Optional path filter
+ * @returns {Array} - Changes, by path
+ */
+function diffSnapshots(before, after, trackedFields) {
+  const changes = [];
+  const paths = Object.keys(after).filter(path => path in before && isTracked(path, trackedFields)).sort();
+
+  for (const path of paths) {
+    const previous = before[path];
+    const current = after[path];
+    if (stableStringify(previous) === stableStringify(current)) continue;
+
+    const type = isEmpty(previous) ? 'added' : isEmpty(current) ? 'removed' : 'changed';
+    if (Array.isArray(previous) || Array.isArray(current)) {
+      const previousItems = new Set([].concat(previous ?? []).map(stableStringify));
+      const currentItems = new Set([].concat(current ?? []).map(stableStringify));
+      const added = [].concat(current ?? []).filter(item => !previousItems.has(stableStringify(item)));
+      const removed = [].concat(previous ?? []).filter(item => !currentItems.has(stableStringify(item)));
+      if (added.length === 0 && removed.length === 0) continue; // reordered only
+      changes.push({ path, type, before: previous, after: current, added, removed });
+    } else {
+      changes.push({ path, type, before: previous, after: current });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Most recent completed analysis of the same owner and URL before `analysis`
+ */
+async function findPreviousRun(analysis) {
+  return Analysis.findOne({
+    _id: { $ne: analysis._id },
+    owner: analysis.owner ?? null,
+    normalizedUrl: analysis.normalizedUrl,
+    status: 'completed',
+    completedTime: { $lte: analysis.completedTime },
+  }).sort({ completedTime: -1 });
+}
+
+/**
+ * Diff a just-completed analysis against the previous run, store the diff on
+ * it and, for schedules with notifyOnChange, send `analysis.changed` when a
+ * tracked field changed
+ * @returns {Object|null} - { previousAnalysisId, comparedAt, changes } or null for a first run
+ */
+async function trackChanges(analysis) {
+  if (!analysis.normalizedUrl || !analysis.result) return null;
+  const previous = await findPreviousRun(analysis);
+  if (!previous?.result) return null;
+
+  const diff = {
+    previousAnalysisId: previous._id,
+    comparedAt: new Date(),
+    changes: diffSnapshots(snapshotResult(previous.result), snapshotResult(analysis.result)),
+  };
+  await Analysis.updateOne({ _id: analysis._id }, { $set: { changes: diff } });
+  analysis.changes = diff;
+
+  if (analysis.scheduleId && diff.changes.length > 0) {
+    const schedule = await Schedule.findById(analysis.scheduleId).select('notifyOnChange trackedFields');
+    const tracked = diff.changes.filter(change => isTracked(change.path, schedule?.trackedFields));
+    if (schedule?.notifyOnChange && tracked.length > 0) {
+      await dispatchAnalysisEvent(analysis, {
+        event: 'analysis.changed',
+        changes: { previous_analysis_id: previous._id, schedule_id: schedule._id, fields: tracked },
+      });
+    }
+  }
+  return diff;
+}
+
+export { snapshotResult, diffSnapshots, isTracked, trackChanges };
@@ -0,0 +1,309 @@
+import { extractStructuredData } from './aiExtractor.js';
+import { buildSchemaSkeleton, describeFields, defaultForField } from './fieldGroups.js';
+
+const DEFAULT_CHUNK_OPTIONS = {
+  chunkChars: 12000, // upper bound of website text per model call
+  maxChunks: 8, // cost ceiling: chunks beyond this are dropped (lowest ranked pages first); small pages share chunks
+  concurrency: 2 // model calls in flight at once
+};
+
+const describeSource = chunk => (chunk.pages.length > 1
+  ? `The content below comes from ${chunk.pages.length} pages of the site (${chunk.pages.map(page => page.url).join(', ')}); each starts with a "# Page:" line.`
+  : `The content below comes from ${chunk.url}${chunk.title ? ` ("${chunk.title}")` : ''}${chunk.part > 1 ? `, part ${chunk.part}` : ''}.`);
+
+/**
+ * Prompt for one chunk of website text
+ */
+function buildExtractionPrompt(groups, chunk) {
+  return `Analyze the following website content and return a JSON object (and ONLY a JSON object) with the following structure:
+
+${JSON.stringify(buildSchemaSkeleton(groups), null, 2)}
+
+Field descriptions:
+${describeFields(groups)}
+
+Please extract as much information as possible from the text, populating every field above. If any field cannot be determined from the content, return it as empty, null, or an empty array. Return ONLY the JSON object, properly escaped with valid JSON formatting. No additional text or explanation.
+
+${describeSource(chunk)}
+
+Website Content:
+${chunk.text}
+
+Return ONLY the valid JSON object.`;
+}
+
+// Split an over-long section at sentence boundaries
+function splitText(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    const cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+    const end = cut > maxChars / 2 ? cut + 1 : maxChars;
+    pieces.push(rest.slice(0, end).trim());
+    rest = rest.slice(end);
+  }
+  if (rest.trim()) pieces.push(rest.trim());
+  return pieces;
+}
+
+const pageHeader = page => `# Page: ${page.url}${page.title ? ` ("${page.title}")` : ''}`;
+
+// Pack consecutive single-chunk pages together up to `chunkChars`, keeping
+// their order; pages split over several chunks keep those chunks to themselves
+function packChunks(chunks, chunkChars) {
+  const packed = [];
+  let current = null;
+  for (const chunk of chunks) {
+    const whole = chunk.part === 1 && !chunks.some(other => other.url === chunk.url && other.part > 1);
+    const section = `${pageHeader(chunk)}\n${chunk.text}`;
+    if (whole && current && current.length + section.length + 2 <= chunkChars) {
+      current.members.push(chunk);
+      current.length += section.length + 2;
+      continue;
+    }
+    current = whole ? { members: [chunk], length: section.length } : null;
+    packed.push(current || { members: [chunk] });
+  }
+
+  return packed.map(({ members }) => {
+    if (members.length === 1) return members[0];
+    const [first] = members;
+    return {
+      url: first.url,
+      title: first.title,
+      part: 1,
+      headings: [...new Set(members.flatMap(member => member.headings))],
+      pages: members.flatMap(member => member.pages),
+      text: members.map(member => `${pageHeader(member)}\n${member.text}`).join('\n\n')
+    };
+  });
+}
+
+/**
+ * Group crawled pages into model-sized chunks. Sections of one page are
+ * packed together until `chunkChars`, then small pages are packed together
+ * so short pages (contact, about) don't each use up a model call.
+ * @param {Array} pages - [{ url, title, sections: [{ heading, text }] }] in priority order
+ * @returns {Object} - { chunks: [{ id, url, title, part, headings, pages: [{ url, text }], text }], dropped }
+ */
+function buildChunks(pages, { chunkChars, maxChunks } = DEFAULT_CHUNK_OPTIONS) {
+  let chunks = [];
+
+  for (const page of pages) {
+    let current = null;
+    let part = 0;
+    const flush = () => {
+      if (current && current.text.trim()) chunks.push({ ...current, pages: [{ url: page.url, text: current.text }] });
+      current = null;
+    };
+
+    for (const section of page.sections || []) {
+      const body = section.heading ? `## ${section.heading}\n${section.text}` : section.text;
+      for (const piece of splitText(body, chunkChars)) {
+        if (current && current.text.length + piece.length + 2 > chunkChars) flush();
+        if (!current) {
+          part += 1;
+          current = { url: page.url, title: page.title, part, headings: [], text: '' };
+        }
+        current.text += (current.text ? '\n\n' : '') + piece;
+        if (section.heading && !current.headings.includes(section.heading)) current.headings.push(section.heading);
+      }
+    }
+    flush();
+  }
+
+  chunks = packChunks(chunks, chunkChars);
+  chunks.forEach((chunk, index) => { chunk.id = index; });
+  return {
+    chunks: chunks.slice(0, maxChunks),
+    dropped: chunks.slice(maxChunks).map(({ id, url, part, pages: chunkPages }) => ({ id, url, part, pages: chunkPages.map(page => page.url) }))
+  };
+}
+
+const isEmptyValue = value =>
+  value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const normalizeForVote = value =>
+  typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : JSON.stringify(value);
+
+// Page of a packed chunk a value came from: the one whose text contains it,
+// else the chunk's first page
+function sourceUrl(chunk, value) {
+  if (!chunk.pages || chunk.pages.length <= 1) return chunk.url;
+  const probe = [].concat(value).find(item => typeof item === 'string' && item.trim());
+  const needle = probe && probe.trim().toLowerCase();
+  const page = needle && chunk.pages.find(candidate => candidate.text.toLowerCase().includes(needle));
+  return page ? page.url : chunk.url;
+}
+
+/**
+ * Merge one field across chunk results.
+ * - arrays: union in chunk order, de-duplicated
+ * - everything else: the value most chunks agree on; ties go to the
+ *   earliest chunk (entry page first, then crawl rank)
+ * @param {Array} candidates - [{ value, url, chunkId }] for chunks that returned a valid value
+ * @returns {Object} - { value, sources, conflicts }
+ */
+function mergeField(candidates, spec) {
+  const present = candidates.filter(candidate => !isEmptyValue(candidate.value));
+  if (present.length === 0) return { value: defaultForField(spec), sources: [], conflicts: [] };
+
+  if (spec.type === 'array') {
+    const seen = new Map(); // normalized item -> { item, url }
+    for (const { value, url } of present) {
+      for (const item of [].concat(value)) {
+        const key = normalizeForVote(item);
+        if (!seen.has(key)) seen.set(key, { item, url });
+      }
+    }
+    const items = [...seen.values()];
+    return {
+      value: items.map(entry => entry.item),
+      sources: [...new Set(items.map(entry => entry.url))],
+      conflicts: []
+    };
+  }
+
+  const votes = new Map(); // normalized value -> { value, urls, firstChunk }
+  for (const { value, url, chunkId } of present) {
+    const key = normalizeForVote(value);
+    const vote = votes.get(key) || { value, urls: [], count: 0, firstChunk: chunkId };
+    vote.count += 1;
+    if (!vote.urls.includes(url)) vote.urls.push(url);
+    votes.set(key, vote);
+  }
+  const ranked = [...votes.values()].sort((a, b) => b.count - a.count || a.firstChunk - b.firstChunk);
+  const [winner, ...losers] = ranked;
+
+  return {
+    value: winner.value,
+    sources: winner.urls,
+    conflicts: losers.map(loser => ({ value: loser.value, sources: loser.urls, count: loser.count }))
+  };
+}
+
+/**
+ * Reduce partial chunk results into one result per requested section
+ * @param {Array} partials - [{ chunk, data, report }]
+ * @returns {Object} - { data, fieldSources }
+ */
+function mergePartialResults(partials, groups) {
+  const data = {};
+  const fieldSources = {};
+
+  for (const group of groups) {
+    data[group.section] = data[group.section] || {};
+    for (const [field, spec] of Object.entries(group.fields)) {
+      const path = `${group.section}.${field}`;
+      const candidates = partials
+        .filter(partial => partial.report.fields[path]?.status === 'valid')
+        .map(partial => {
+          const value = partial.data[group.section][field];
+          return { value, url: sourceUrl(partial.chunk, value), chunkId: partial.chunk.id };
+        });
+
+      const merged = mergeField(candidates, spec);
+      data[group.section][field] = merged.value;
+      if (merged.sources.length > 0) {
+        fieldSources[path] = {
+          page_url: merged.sources[0],
+          pages: merged.sources,
+          ...(merged.conflicts.length > 0 && { conflicts: merged.conflicts })
+        };
+      }
+    }
+  }
+  return { data, fieldSources };
+}
+
+// Fold per-chunk validation reports into one
+function mergeReports(partials, groups) {
+  const fields = {};
+  for (const group of groups) {
+    for (const field of Object.keys(group.fields)) {
+      const path = `${group.section}.${field}`;
+      const statuses = partials.map(partial => partial.report.fields[path]).filter(Boolean);
+      const valid = statuses.find(status => status.status === 'valid');
+      fields[path] = valid || statuses[0] || { status: 'missing', defaulted: true, message: 'no content analyzed' };
+    }
+  }
+  return {
+    valid: partials.length > 0 && partials.every(partial => partial.report.valid),
+    attempts: partials.reduce((sum, partial) => sum + partial.report.attempts, 0),
+    repaired: partials.some(partial => partial.report.repaired),
+    chunks: partials.map(({ chunk, report }) => ({
+      id: chunk.id,
+      url: chunk.url,
+      part: chunk.part,
+      valid: report.valid,
+      attempts: report.attempts,
+      errors: report.errors
+    })),
+    fields
+  };
+}
+
+/**
+ * Map-reduce extraction: every chunk is analyzed on its own (map), then the
+ * partial JSON results are merged field by field (reduce).
+ * @param {Function} complete - async (messages) => response text
+ * @param {Array} pages - Crawled pages with sections, in priority order
+ * @param {Array} groups - Resolved field groups
+ * @param {Object} options - See DEFAULT_CHUNK_OPTIONS, plus maxRepairAttempts
+ * @param {Function} onChunk - Called as each chunk finishes: ({ done, total, url })
+ * @returns {Object} - { data, report, fieldSources, chunking }
+ */
+async function analyzeInChunks({ complete, pages, groups, options = {}, onChunk }) {
+  const config = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+  const { chunks, dropped } = buildChunks(pages, config);
+  if (dropped.length > 0) {
+    console.warn(`Chunk budget reached: ${dropped.length} chunk(s) not analyzed`);
+  }
+
+  // Map, a few chunks at a time
+  const partials = new Array(chunks.length);
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < chunks.length) {
+      const index = next++;
+      const chunk = chunks[index];
+      console.log(`Analyzing chunk ${index + 1}/${chunks.length} (${chunk.url}, ${chunk.text.length} chars)...`);
+      const { data, report } = await extractStructuredData({
+        complete,
+        prompt: buildExtractionPrompt(groups, chunk),
+        groups,
+        maxRepairAttempts: config.maxRepairAttempts
+      });
+      partials[index] = { chunk, data, report };
+      done += 1;
+      if (onChunk) onChunk({ done, total: chunks.length, url: chunk.url });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(config.concurrency, chunks.length) }, worker));
+
+  // Reduce
+  const { data, fieldSources } = mergePartialResults(partials, groups);
+  return {
+    data,
+    fieldSources,
+    report: mergeReports(partials, groups),
+    chunking: {
+      chunks: chunks.map(({ id, url, part, headings, pages: chunkPages, text }) => ({
+        id,
+        url,
+        part,
+        headings,
+        pages: chunkPages.map(page => page.url),
+        chars: text.length
+      })),
+      dropped
+    }
+  };
+}
+
+export { analyzeInChunks, buildChunks, mergePartialResults, DEFAULT_CHUNK_OPTIONS };
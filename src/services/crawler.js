@@ -0,0 +1,194 @@
+import { canonicalizeUrl, isSameSite } from '../utils/url.js';
+import { fetchText } from '../utils/http.js';
+import { loadRobotsTxt, isAllowedByRobots } from '../utils/robots.js';
+
+const DEFAULT_CRAWL_OPTIONS = {
+  maxDepth: 1,
+  maxPages: 10,
+  maxBytes: 5 * 1024 * 1024, // total HTML across all visited pages
+  concurrency: 3,
+  respectRobots: true,
+  useSitemap: true,
+  maxSitemapUrls: 500,
+  maxCrawlDelaySeconds: 10,
+};
+
+// Pages that usually hold the facts we extract, visited first
+const HIGH_VALUE_PATHS = [
+  { pattern: /about|who-we-are|our-story|company/, score: 10 },
+  { pattern: /contact|location|find-us|directions/, score: 10 },
+  { pattern: /pricing|prices|plans|rates|menu/, score: 9 },
+  { pattern: /services|products|solutions|what-we-do|shop/, score: 8 },
+  { pattern: /team|staff|people|leadership/, score: 5 },
+  { pattern: /faq|hours|reviews|testimonials/, score: 5 },
+];
+
+const LOW_VALUE_PATHS = /\/(tag|category|author|page|feed|wp-json|cart|checkout|login|account|search)(\/|$)|\/\d{4}\/\d{2}\//;
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|zip|mp4|mp3|mov|docx?|xlsx?|pptx?|css|js|xml|json)$/i;
+
+/**
+ * Rank a URL by how likely it is to hold business facts. Higher is better.
+ */
+function scoreUrl(url, depth) {
+  const path = new URL(url).pathname.toLowerCase();
+  let score = 0;
+  for (const { pattern, score: value } of HIGH_VALUE_PATHS) {
+    if (pattern.test(path)) score = Math.max(score, value);
+  }
+  if (LOW_VALUE_PATHS.test(path)) score -= 10;
+  // Prefer shallow pages and short paths
+  score -= depth * 2;
+  score -= path.split('/').filter(Boolean).length;
+  return score;
+}
+
+/**
+ * Collect page URLs from sitemap.xml (or sitemap indexes, one level deep)
+ */
+async function loadSitemapUrls(origin, sitemapUrls, limit, guard) {
+  const candidates = sitemapUrls.length > 0 ? sitemapUrls : [new URL('/sitemap.xml', origin).toString()];
+  const urls = [];
+  const extractLocs = xml => [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]\s]+)\s*(?:\]\]>)?\s*<\/loc>/gi)].map(m => m[1]);
+
+  for (const sitemapUrl of candidates.slice(0, 5)) {
+    const xml = await fetchText(sitemapUrl, { guard });
+    if (!xml) continue;
+
+    if (/<sitemapindex/i.test(xml)) {
+      for (const child of extractLocs(xml).slice(0, 5)) {
+        const childXml = await fetchText(child, { guard });
+        if (childXml) urls.push(...extractLocs(childXml));
+        if (urls.length >= limit) break;
+      }
+    } else {
+      urls.push(...extractLocs(xml));
+    }
+    if (urls.length >= limit) break;
+  }
+  return urls.slice(0, limit);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Bounded, polite multi-page crawl. The entry page is loaded first, then the
+ * frontier (links found on visited pages, plus sitemap.xml entries) is
+ * visited in ranked order with a few pages in parallel, until the page or
+ * byte budget runs out.
+ * @param {Object} context - Browser context to open pages in
+ * @param {String} url - Entry URL
+ * @param {Object} options - See DEFAULT_CRAWL_OPTIONS, plus navigation { waitUntil, timeout }
+ * @param {Function} onPage - async (page, { url, depth, isMainPage, response }) => { text, ... }, runs on each loaded page
+ * @param {Object} guard - URL policy guard (services/urlPolicy.js) checking every request, redirect and fetch
+ * @returns {Object} - { pages: [{ url, depth, bytes, status, title, data }], skipped: [{ url, reason }], robots, sitemap, blocked_requests }
+ */
+async function crawlSite({ context, url, options = {}, onPage, guard }) {
+  const config = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  const entryUrl = canonicalizeUrl(url, { stripQuery: false });
+  if (!entryUrl) throw new Error(`Invalid URL: ${url}`);
+
+  const report = {
+    pages: [],
+    skipped: [],
+    robots: { found: false, crawl_delay: null },
+    sitemap: { found: false, url_count: 0 },
+    blocked_requests: guard ? guard.blocked : [],
+  };
+  const seen = new Set([canonicalizeUrl(entryUrl, { stripQuery: true })]);
+  const frontier = []; // { url, depth, score }
+  let bytesUsed = 0;
+
+  const skip = (skippedUrl, reason) => report.skipped.push({ url: skippedUrl, reason });
+
+  // robots.txt and sitemap.xml only matter when we go beyond the entry page
+  let robots = null;
+  const crawling = config.maxDepth > 0 && config.maxPages > 1;
+  if (crawling && config.respectRobots) {
+    robots = await loadRobotsTxt(entryUrl, { guard });
+    report.robots = { found: robots.found, crawl_delay: robots.crawlDelay };
+  }
+
+  const enqueue = (link, depth) => {
+    const canonical = canonicalizeUrl(link, { stripQuery: true });
+    if (!canonical || seen.has(canonical)) return;
+    seen.add(canonical);
+
+    if (!isSameSite(canonical, entryUrl)) return; // off-site links are never crawl candidates
+    if (NON_HTML_EXTENSIONS.test(new URL(canonical).pathname)) return skip(canonical, 'non_html');
+    if (depth > config.maxDepth) return skip(canonical, 'max_depth');
+    if (robots && !isAllowedByRobots(robots, canonical)) return skip(canonical, 'robots_txt');
+
+    frontier.push({ url: canonical, depth, score: scoreUrl(canonical, depth) });
+  };
+
+  const visit = async (target, isMainPage) => {
+    const page = await context.newPage();
+    await page.setViewport({ width: 1920, height: 1080 });
+    if (guard) await guard.attach(page);
+    try {
+      const response = await page.goto(target.url, { waitUntil: config.waitUntil, timeout: config.timeout });
+      const html = await page.content();
+      const bytes = Buffer.byteLength(html);
+      bytesUsed += bytes;
+
+      const data = (await onPage(page, { url: target.url, depth: target.depth, isMainPage, response })) || {};
+      const links = target.depth < config.maxDepth
+        ? await page.evaluate(() => Array.from(document.querySelectorAll('a[href]')).map(link => link.href))
+        : [];
+
+      report.pages.push({
+        url: target.url,
+        final_url: page.url(),
+        depth: target.depth,
+        status: response ? response.status() : null,
+        bytes,
+        title: await page.title(),
+        data,
+      });
+      for (const link of links) enqueue(link, target.depth + 1);
+    } catch (err) {
+      // The entry page is required; other pages are best effort
+      if (isMainPage) throw err;
+      console.warn(`Error crawling ${target.url}:`, err.message);
+      skip(target.url, 'error');
+    } finally {
+      try { await page.close(); } catch {}
+    }
+  };
+
+  // 1. Entry page
+  await visit({ url: entryUrl, depth: 0 }, true);
+
+  if (!crawling) return report;
+
+  // 2. Seed from sitemap.xml
+  if (config.useSitemap) {
+    const sitemapUrls = await loadSitemapUrls(entryUrl, robots?.sitemaps || [], config.maxSitemapUrls, guard);
+    report.sitemap = { found: sitemapUrls.length > 0, url_count: sitemapUrls.length };
+    for (const link of sitemapUrls) enqueue(link, 1);
+  }
+
+  // 3. Ranked frontier, a few pages at a time (one at a time when robots.txt asks for a delay)
+  const crawlDelayMs = Math.min(robots?.crawlDelay || 0, config.maxCrawlDelaySeconds) * 1000;
+  const concurrency = crawlDelayMs > 0 ? 1 : config.concurrency;
+
+  while (frontier.length > 0) {
+    if (report.pages.length >= config.maxPages) {
+      frontier.splice(0).forEach(target => skip(target.url, 'page_budget'));
+      break;
+    }
+    if (bytesUsed >= config.maxBytes) {
+      frontier.splice(0).forEach(target => skip(target.url, 'byte_budget'));
+      break;
+    }
+
+    frontier.sort((a, b) => b.score - a.score);
+    const batch = frontier.splice(0, Math.min(concurrency, config.maxPages - report.pages.length));
+    await Promise.all(batch.map(target => visit(target, false)));
+    if (crawlDelayMs > 0) await sleep(crawlDelayMs);
+  }
+
+  return report;
+}
+
+export { crawlSite, scoreUrl, DEFAULT_CRAWL_OPTIONS };
@@ -0,0 +1,141 @@
+import Analysis from '../models/analysis.js';
+import { validateSchema } from '../utils/jsonSchema.js';
+import { upgradeResult } from './resultSchema.js';
+
+// Data posted back by the Make.com scenario. `enrichment` is shaped like the
+// result's `analysis` block, so values merge field by field:
+//   { analysisId, url?, source?, enrichment: { <section>: { <field>: value } } }
+const INBOUND_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['analysisId', 'enrichment'],
+  properties: {
+    analysisId: { type: 'string', pattern: '^[a-fA-F0-9]{24}$' },
+    url: { type: 'string', minLength: 1 },
+    source: { type: 'string' },
+    enrichment: {
+      type: 'object',
+      additionalProperties: { type: 'object' }
+    }
+  },
+  additionalProperties: false
+};
+
+// Section and field names become Mongo paths
+const SAFE_KEY = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Validate an inbound Make.com payload
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validateInboundAnalysis(body) {
+  const errors = validateSchema(INBOUND_ANALYSIS_SCHEMA, body).map(error => `${error.path || 'body'} ${error.message}`);
+  if (errors.length > 0) return errors;
+
+  for (const [section, fields] of Object.entries(body.enrichment)) {
+    if (!SAFE_KEY.test(section)) errors.push(`enrichment.${section} is not a valid section name`);
+    for (const field of Object.keys(fields)) {
+      if (!SAFE_KEY.test(field)) errors.push(`enrichment.${section}.${field} is not a valid field name`);
+    }
+  }
+  if (Object.keys(body.enrichment).length === 0) errors.push('enrichment must not be empty');
+  return errors;
+}
+
+// Merges retried when another enrichment changed the analysis in between
+const MAX_MERGE_ATTEMPTS = 5;
+
+// Number of enrichments merged so far; serves as the version of the result
+const versionOf = result => result?.enrichments?.length || 0;
+
+/**
+ * $set of one enrichment over a result
+ * @returns {Object} - { update, mergedFields }
+ */
+function buildEnrichmentUpdate(result, makeAnalysis, receivedAt) {
+  const update = {};
+  // Provenance is keyed by dotted field paths, which a dotted $set would turn
+  // into nested objects; the whole map is rewritten instead
+  const provenanceFields = { ...result.provenance?.fields };
+  const mergedFields = [];
+  for (const [section, fields] of Object.entries(makeAnalysis.result)) {
+    for (const [field, value] of Object.entries(fields)) {
+      const path = `${section}.${field}`;
+      const previous = result.analysis?.[section]?.[field];
+      const previousProvenance = provenanceFields[path];
+      update[`result.analysis.${section}.${field}`] = value;
+      provenanceFields[path] = {
+        source: 'enrichment',
+        enrichment_id: makeAnalysis._id,
+        received_at: receivedAt,
+        page_url: null,
+        excerpt: null,
+        confidence: 1,
+        ...(previous !== undefined && {
+          alternatives: [{
+            value: previous,
+            source: previousProvenance?.source ?? null,
+            page_url: previousProvenance?.page_url ?? null,
+            confidence: previousProvenance?.confidence ?? null,
+            agrees: JSON.stringify(previous) === JSON.stringify(value)
+          }]
+        })
+      };
+      mergedFields.push(path);
+    }
+  }
+  update['result.provenance.fields'] = provenanceFields;
+  return { update, mergedFields };
+}
+
+/**
+ * Merge enrichment into the analysis result. Enriched values replace what
+ * the analyzer found; the replaced value is kept in the field's provenance.
+ * The write only applies to the version of the result it was built from, so
+ * overlapping enrichments of one analysis are merged one after the other.
+ * @param {Object} analysis - Completed Analysis document
+ * @param {Object} makeAnalysis - Stored MakeAnalysis document
+ * @returns {Array} - Merged field paths
+ */
+async function mergeEnrichment(analysis, makeAnalysis) {
+  // Older results are stored in the flat 1.0.0 shape; enrichment is merged into the nested form
+  if (!analysis.result?.schema_version) {
+    const upgraded = upgradeResult(analysis.result);
+    await Analysis.updateOne(
+      { _id: analysis._id, 'result.schema_version': { $exists: false } },
+      { $set: { result: upgraded, resultSchemaVersion: upgraded.schema_version } }
+    );
+    analysis.result = upgraded;
+  }
+
+  const receivedAt = new Date();
+  let { result } = analysis;
+  for (let attempt = 1; attempt <= MAX_MERGE_ATTEMPTS; attempt += 1) {
+    const { update, mergedFields } = buildEnrichmentUpdate(result, makeAnalysis, receivedAt);
+    const { modifiedCount } = await Analysis.updateOne(
+      {
+        _id: analysis._id,
+        $expr: { $eq: [{ $size: { $ifNull: ['$result.enrichments', []] } }, versionOf(result)] }
+      },
+      {
+        $set: update,
+        $push: {
+          'result.enrichments': {
+            id: makeAnalysis._id,
+            source: makeAnalysis.source,
+            received_at: receivedAt,
+            fields: mergedFields
+          }
+        }
+      }
+    );
+    if (modifiedCount > 0) return mergedFields;
+
+    // Another enrichment landed first: merge over its result
+    const current = await Analysis.findById(analysis._id).select('result').lean();
+    if (!current?.result) throw new Error(`Analysis ${analysis._id} no longer has a result`);
+    result = current.result;
+  }
+  throw new Error(`Analysis ${analysis._id} kept changing while merging enrichment`);
+}
+
+export { INBOUND_ANALYSIS_SCHEMA, validateInboundAnalysis, mergeEnrichment };
@@ -0,0 +1,68 @@
+// Generic flat shape: one column per dotted path of the resolved sections
+// plus the headline metadata and extractor values. Lists are joined with
+// ", " and objects become JSON, so every value fits a spreadsheet cell.
+
+const toCell = (value) => {
+  if (Array.isArray(value)) return value.map(item => (item && typeof item === 'object' ? JSON.stringify(item) : item)).join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return value ?? '';
+};
+
+/**
+ * Dotted-path columns for a canonical result
+ * @param {Object} result - 2.0.0 result
+ * @returns {Object} - { 'basic_info.business_name': '...', ... }
+ */
+function toFlatColumns(result) {
+  const { contact_info: contact, technical_metrics: technical, social_presence: social } = result.extracted || {};
+
+  const columns = {
+    'metadata.schema_version': result.schema_version,
+    'metadata.analysis_date': result.metadata.analysis_date,
+    'metadata.url_analyzed': result.metadata.url_analyzed,
+    'metadata.analysis_status': result.metadata.analysis_status,
+    'metadata.ai_validation_status': result.metadata.ai_validation_status,
+    'metadata.field_groups': toCell(result.metadata.field_groups.map(group => group.name))
+  };
+
+  for (const [section, fields] of Object.entries(result.analysis || {})) {
+    for (const [field, value] of Object.entries(fields || {})) {
+      columns[`${section}.${field}`] = toCell(value);
+    }
+  }
+
+  if (contact) {
+    columns['contact_info.email'] = toCell(contact.email);
+    columns['contact_info.phone'] = toCell(contact.phone);
+    columns['contact_info.address'] = toCell(contact.address);
+    columns['contact_info.country'] = toCell(contact.country);
+  }
+  if (technical) {
+    columns['technical_metrics.page_load_time'] = toCell(technical.performance?.page_load_time);
+    columns['technical_metrics.ssl_status'] = toCell(technical.ssl_status);
+    if (technical.accessibility) columns['technical_metrics.accessibility_score'] = toCell(technical.accessibility.score);
+    for (const [profile, run] of Object.entries(technical.performance_audit?.runs || {})) {
+      columns[`technical_metrics.performance_score.${profile}`] = toCell(run.score);
+    }
+    if (technical.seo_audit) {
+      for (const [severity, count] of Object.entries(technical.seo_audit.summary)) {
+        columns[`technical_metrics.seo_issues.${severity}`] = toCell(count);
+      }
+    }
+    if (technical.security_audit?.summary) {
+      const audit = technical.security_audit;
+      for (const [severity, count] of Object.entries(audit.summary)) {
+        columns[`technical_metrics.security_issues.${severity}`] = toCell(count);
+      }
+      columns['technical_metrics.certificate_valid_to'] = toCell(audit.tls?.valid_to);
+      columns['technical_metrics.third_party_cookies'] = toCell(audit.cookies.third_party);
+      columns['technical_metrics.consent_banner'] = toCell(audit.consent.banner_detected);
+    }
+  }
+  if (social) {
+    columns['social_presence.presence_score'] = toCell(social.presence_score);
+  }
+  return columns;
+}
+
+export { toFlatColumns, toCell };
@@ -0,0 +1,73 @@
+import {
+  LEGACY_SCHEMA_VERSION,
+  RESULT_SCHEMA_VERSION,
+  SCHEMA_VERSIONS,
+  detectSchemaVersion,
+  upgradeResult
+} from '../resultSchema.js';
+import { toMakeColumns } from './makeAdapter.js';
+import { toFlatColumns } from './flatAdapter.js';
+
+// Output adapters by name. Each maps a canonical (current schema) result to
+// the shape a consumer wants.
+const ADAPTERS = {
+  json: result => result, // canonical nested document
+  make: toMakeColumns, // 1.0.0 flat columns + `all`, what the Make.com scenario reads
+  flat: toFlatColumns // dotted-path columns, for spreadsheets and CSV
+};
+
+const DEFAULT_FORMAT = 'json';
+
+/**
+ * Validate per-request output settings ({ format, schemaVersion })
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validateOutputOptions(output) {
+  if (output === undefined) return [];
+  if (!output || typeof output !== 'object' || Array.isArray(output)) return ['output must be an object'];
+
+  const errors = [];
+  if (output.format !== undefined && !ADAPTERS[output.format]) {
+    errors.push(`output.format must be one of ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  if (output.schemaVersion !== undefined && !SCHEMA_VERSIONS.includes(output.schemaVersion)) {
+    errors.push(`output.schemaVersion must be one of ${SCHEMA_VERSIONS.join(', ')}`);
+  }
+  if (output.schemaVersion === LEGACY_SCHEMA_VERSION && output.format && !['json', 'make'].includes(output.format)) {
+    errors.push(`schema ${LEGACY_SCHEMA_VERSION} only has the flat Make.com shape (format json or make)`);
+  }
+  return errors;
+}
+
+/**
+ * Render a stored result for a consumer
+ * @param {Object} stored - Result as stored on the Analysis (any schema version)
+ * @param {Object} output - { format, schemaVersion }; defaults to the canonical current schema
+ */
+function formatResult(stored, { format = DEFAULT_FORMAT, schemaVersion = RESULT_SCHEMA_VERSION } = {}) {
+  if (!stored) return stored;
+  const adapter = ADAPTERS[format];
+  if (!adapter) throw new Error(`Unknown output format: ${format}`);
+
+  // 1.0.0 is the Make.com shape; results stored as 1.0.0 are returned untouched
+  if (format === 'make' || schemaVersion === LEGACY_SCHEMA_VERSION) {
+    return detectSchemaVersion(stored) === LEGACY_SCHEMA_VERSION ? stored : toMakeColumns(stored);
+  }
+  return adapter(upgradeResult(stored));
+}
+
+/**
+ * Schema version a consumer gets for the given output settings
+ */
+function outputSchemaVersion({ format = DEFAULT_FORMAT, schemaVersion = RESULT_SCHEMA_VERSION } = {}) {
+  return format === 'make' ? LEGACY_SCHEMA_VERSION : schemaVersion;
+}
+
+/**
+ * Register an additional output adapter
+ */
+function registerExportAdapter(name, adapter) {
+  ADAPTERS[name] = adapter;
+}
+
+export { formatResult, outputSchemaVersion, validateOutputOptions, registerExportAdapter, DEFAULT_FORMAT };
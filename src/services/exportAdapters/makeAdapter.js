@@ -0,0 +1,191 @@
+import { LEGACY_SCHEMA_VERSION } from '../resultSchema.js';
+
+// The 1.0.0 result shape our Make.com scenario is built on: fixed flat
+// columns (indexed columns for list values) plus an `all` JSON string with
+// the full data.
+
+// Which field group each flat column belongs to. Columns that match no
+// group (dates, metadata, `all`) are always included.
+const FLAT_COLUMN_GROUPS = [
+  [/^(businessName|industry|description|businessType|yearEstablished|email|phone|address)$|^contactInfo|^aiAnalysisBasicInfo/, 'BASIC_INFO'],
+  [/^(mainOfferings|pricingTier|specialties)$|^aiAnalysisProductsServices/, 'BUSINESS_OPERATIONS'],
+  [/^(primaryAudience|demographics|marketPositioning)$|^aiAnalysisTargetMarket/, 'TARGET_MARKET'],
+  [/^(brandTone|keyMessages|uniqueSellingPoints)$|^aiAnalysisBrandAnalysis/, 'BRAND_ANALYSIS'],
+  [/^socialPresence/, 'SOCIAL_PRESENCE'],
+  [/^(loadTimeMs|mobileFriendly)$|^technicalMetrics/, 'TECHNICAL_METRICS']
+];
+
+const toCamel = str => str.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+const toPascal = str => toCamel(str).replace(/^[a-z]/, c => c.toUpperCase());
+
+/**
+ * Drop flat columns of groups that weren't requested, and add generic
+ * `<section><Field>` columns for groups without hand-written columns
+ * (REVIEWS_REPUTATION and custom groups).
+ * @param {Array} groups - [{ name, section }] from the result metadata
+ */
+function filterFlatColumns(analysisResults, aiAnalysis, groups) {
+  const requested = new Set(groups.map(group => group.name));
+  const mappedGroups = new Set(FLAT_COLUMN_GROUPS.map(([, group]) => group));
+
+  const filtered = {};
+  for (const [column, value] of Object.entries(analysisResults)) {
+    const match = FLAT_COLUMN_GROUPS.find(([pattern]) => pattern.test(column));
+    if (!match || requested.has(match[1])) filtered[column] = value;
+  }
+
+  for (const group of groups) {
+    if (mappedGroups.has(group.name)) continue;
+    for (const field of Object.keys(aiAnalysis[group.section] || {})) {
+      const value = aiAnalysis[group.section]?.[field];
+      const column = `${toCamel(group.section)}${toPascal(field)}`;
+      if (Array.isArray(value)) {
+        filtered[column] = value.join(', ');
+      } else if (value && typeof value === 'object') {
+        filtered[column] = JSON.stringify(value);
+      } else {
+        filtered[column] = value ?? '';
+      }
+    }
+  }
+  return filtered;
+}
+
+/**
+ * Make.com columns for a canonical result
+ * @param {Object} result - 2.0.0 result
+ * @returns {Object} - Flat columns
+ */
+function toMakeColumns(result) {
+  const aiAnalysis = result.analysis || {};
+  const { contact_info: contact, technical_metrics: technical, social_presence: social } = result.extracted || {};
+
+  const columns = {
+    analysisDate: result.metadata.analysis_date,
+    urlAnalyzed: result.metadata.url_analyzed,
+    businessName: aiAnalysis.basic_info?.business_name || contact?.business_name || '',
+    industry: aiAnalysis.basic_info?.industry || '',
+    // Use business_description from AI
+    description: aiAnalysis.basic_info?.business_description || '',
+    businessType: aiAnalysis.basic_info?.business_type || '',
+    yearEstablished: aiAnalysis.basic_info?.year_established || '',
+    mainOfferings: Array.isArray(aiAnalysis.business_operations?.products_services) 
+      ? aiAnalysis.business_operations.products_services[0] || ''
+      : '',
+    pricingTier: aiAnalysis.business_operations?.price_range || '',
+    specialties: Array.isArray(aiAnalysis.business_operations?.business_categories) 
+      ? aiAnalysis.business_operations.business_categories[0] || ''
+      : '',
+    primaryAudience: aiAnalysis.target_market?.primary_audience || '',
+    demographics: aiAnalysis.target_market?.demographics || '',
+    marketPositioning: aiAnalysis.target_market?.market_positioning || '',
+    brandTone: aiAnalysis.brand_analysis?.tone || '',
+    // Convert array to comma-separated string
+    keyMessages: Array.isArray(aiAnalysis.brand_analysis?.key_messages) 
+      ? aiAnalysis.brand_analysis.key_messages.join(', ') || ''
+      : '',
+    uniqueSellingPoints: Array.isArray(aiAnalysis.brand_analysis?.unique_selling_points)
+      ? aiAnalysis.brand_analysis.unique_selling_points.join(', ') || ''
+      : '',
+    email: Array.isArray(contact?.email) ? contact.email[0] || '' : '',
+    phone: Array.isArray(contact?.phone) ? contact.phone[0] || '' : '',
+    address: Array.isArray(contact?.address) ? contact.address[0] || '' : '',
+    loadTimeMs: technical?.performance?.page_load_time || 0,
+    mobileFriendly: technical?.mobile_friendly?.viewport_optimization || false,
+    socialPresenceScore: social?.presence_score || 0,
+    socialPresencePlatformsTwitterPresent: social?.platforms?.twitter?.present || false,
+    socialPresencePlatformsTwitterUrl: social?.platforms?.twitter?.url || '',
+    socialPresenceSocialUrlsForDeeperScrape0: social?.social_urls_for_deeper_scrape?.[0] || '',
+    socialPresenceSocialUrlsForDeeperScrape1: social?.social_urls_for_deeper_scrape?.[1] || '',
+    socialPresenceSocialUrlsForDeeperScrape2: social?.social_urls_for_deeper_scrape?.[2] || '',
+    socialPresenceEmbeddedContentInstagram: social?.embedded_content?.instagram || false,
+    socialPresenceEmbeddedContentFacebook: social?.embedded_content?.facebook || false,
+    socialPresenceEmbeddedContentTwitter: social?.embedded_content?.twitter || false,
+    socialPresenceEmbeddedContentYoutube: social?.embedded_content?.youtube || false,
+    socialPresenceEmbeddedContentSocialFeeds: social?.embedded_content?.social_feeds || false,
+    socialPresenceSharingOptionsFacebook: social?.sharing_options?.facebook || false,
+    socialPresenceSharingOptionsTwitter: social?.sharing_options?.twitter || false,
+    socialPresenceSharingOptionsLinkedin: social?.sharing_options?.linkedin || false,
+    socialPresenceSharingOptionsGeneralShare: social?.sharing_options?.general_share || false,
+    contactInfoPhone0: contact?.phone?.[0] || '',
+    contactInfoPhone1: contact?.phone?.[1] || '',
+    contactInfoPhone2: contact?.phone?.[2] || '',
+    contactInfoPhone3: contact?.phone?.[3] || '',
+    contactInfoPhone4: contact?.phone?.[4] || '',
+    contactInfoPhone5: contact?.phone?.[5] || '',
+    contactInfoPhone6: contact?.phone?.[6] || '',
+    contactInfoPhone7: contact?.phone?.[7] || '',
+    contactInfoPhone8: contact?.phone?.[8] || '',
+    contactInfoPhone9: contact?.phone?.[9] || '',
+    contactInfoPhone10: contact?.phone?.[10] || '',
+    contactInfoPhone11: contact?.phone?.[11] || '',
+    contactInfoPhone12: contact?.phone?.[12] || '',
+    // Again, use business_description for AI fields
+    aiAnalysisBasicInfoBusinessName: aiAnalysis.basic_info?.business_name || '',
+    aiAnalysisBasicInfoIndustry: aiAnalysis.basic_info?.industry || '',
+    aiAnalysisBasicInfoDescription: aiAnalysis.basic_info?.business_description || '',
+    aiAnalysisBasicInfoBusinessType: aiAnalysis.basic_info?.business_type || '',
+    aiAnalysisBasicInfoYearEstablished: aiAnalysis.basic_info?.year_established || '',
+    aiAnalysisProductsServicesMainOfferings0: aiAnalysis.business_operations?.products_services?.[0] || '',
+    aiAnalysisProductsServicesMainOfferings1: aiAnalysis.business_operations?.products_services?.[1] || '',
+    aiAnalysisProductsServicesMainOfferings2: aiAnalysis.business_operations?.products_services?.[2] || '',
+    aiAnalysisProductsServicesMainOfferings3: aiAnalysis.business_operations?.products_services?.[3] || '',
+    aiAnalysisProductsServicesMainOfferings4: aiAnalysis.business_operations?.products_services?.[4] || '',
+    aiAnalysisProductsServicesMainOfferings5: aiAnalysis.business_operations?.products_services?.[5] || '',
+    aiAnalysisProductsServicesPricingTier: aiAnalysis.business_operations?.price_range || '',
+    aiAnalysisProductsServicesSpecialties0: aiAnalysis.business_operations?.business_categories?.[0] || '',
+    aiAnalysisProductsServicesSpecialties1: aiAnalysis.business_operations?.business_categories?.[1] || '',
+    aiAnalysisProductsServicesSpecialties2: aiAnalysis.business_operations?.business_categories?.[2] || '',
+    aiAnalysisProductsServicesSpecialties3: aiAnalysis.business_operations?.business_categories?.[3] || '',
+    aiAnalysisTargetMarketPrimaryAudience: aiAnalysis.target_market?.primary_audience || '',
+    aiAnalysisTargetMarketDemographics: aiAnalysis.target_market?.demographics || '',
+    aiAnalysisTargetMarketMarketPositioning: aiAnalysis.target_market?.market_positioning || '',
+    aiAnalysisBrandAnalysisTone: aiAnalysis.brand_analysis?.tone || '',
+    aiAnalysisBrandAnalysisKeyMessages0: aiAnalysis.brand_analysis?.key_messages?.[0] || '',
+    aiAnalysisBrandAnalysisKeyMessages1: aiAnalysis.brand_analysis?.key_messages?.[1] || '',
+    aiAnalysisBrandAnalysisKeyMessages2: aiAnalysis.brand_analysis?.key_messages?.[2] || '',
+    aiAnalysisBrandAnalysisKeyMessages3: aiAnalysis.brand_analysis?.key_messages?.[3] || '',
+    aiAnalysisBrandAnalysisUniqueSellingPoints0: aiAnalysis.brand_analysis?.unique_selling_points?.[0] || '',
+    aiAnalysisBrandAnalysisUniqueSellingPoints1: aiAnalysis.brand_analysis?.unique_selling_points?.[1] || '',
+    aiAnalysisBrandAnalysisUniqueSellingPoints2: aiAnalysis.brand_analysis?.unique_selling_points?.[2] || '',
+    metadataAnalysisDate: result.metadata.analysis_date,
+    metadataAnalysisVersion: LEGACY_SCHEMA_VERSION,
+    metadataUrlAnalyzed: result.metadata.url_analyzed,
+    metadataAnalysisStatus: result.metadata.analysis_status,
+    metadataAiValidationStatus: result.metadata.ai_validation_status,
+    technicalMetricsSeoMetaDescription: technical?.seo?.meta_description || '',
+    socialPresencePlatformsLinkedinPresent: social?.platforms?.linkedin?.present || false,
+    socialPresencePlatformsLinkedinUrl: social?.platforms?.linkedin?.url || '',
+    socialPresencePlatformsYoutubePresent: social?.platforms?.youtube?.present || false,
+    socialPresencePlatformsYoutubeUrl: social?.platforms?.youtube?.url || '',
+    technicalMetricsTechnologyStackAnalytics0: technical?.technology_stack?.analytics?.[0] || '',
+    technicalMetricsTechnologyStackAnalytics1: technical?.technology_stack?.analytics?.[1] || '',
+    contactInfoEmail0: contact?.email?.[0] || '',
+    contactInfoAddress0: contact?.address?.[0] || '',
+    contactInfoAddress1: contact?.address?.[1] || '',
+    all: JSON.stringify({
+      metadata: {
+        analysis_date: result.metadata.analysis_date,
+        analysis_version: LEGACY_SCHEMA_VERSION,
+        url_analyzed: result.metadata.url_analyzed,
+        analysis_status: result.metadata.analysis_status
+      },
+      technical_metrics: technical,
+      social_presence: social,
+      contact_info: contact,
+      structured_data: result.extracted?.structured_data,
+      crawl: result.crawl,
+      field_groups: result.metadata.field_groups.map(group => group.name),
+      validation_report: result.validation_report,
+      field_sources: result.provenance?.page_sources,
+      field_provenance: result.provenance?.fields,
+      chunking: result.chunking,
+      llm: result.llm,
+      ai_analysis: aiAnalysis
+    })
+  };
+
+  return filterFlatColumns(columns, aiAnalysis, result.metadata.field_groups);
+}
+
+export { toMakeColumns };
@@ -0,0 +1,309 @@
+import FieldGroup from '../models/fieldGroup.js';
+
+// Field groups decide which sections the AI is asked for and which columns
+// end up in the result. Each group maps to one top-level section of the AI
+// JSON and describes its fields so the prompt can be generated from it.
+//
+// Field spec: { type: 'string' | 'number' | 'boolean' | 'array' | 'object', description, default? }
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+const BUILT_IN_FIELD_GROUPS = {
+  BASIC_INFO: {
+    section: 'basic_info',
+    fields: {
+      business_name: { type: 'string', description: 'Trading name of the business' },
+      website_url: { type: 'string', description: 'Canonical website URL' },
+      industry: { type: 'string', description: 'Industry or sector the business operates in' },
+      business_description: { type: 'string', description: 'One or two sentence summary of what the business does' },
+      contact_email: { type: 'string', description: 'Primary contact email address' },
+      phone_number: { type: 'string', description: 'Primary contact phone number' },
+      physical_address: { type: 'string', description: 'Street address of the main location' },
+      operating_hours: { type: 'string', description: 'Opening hours as written on the site' },
+      business_type: { type: 'string', description: 'e.g. sole trader, franchise, agency, retailer' },
+      year_established: { type: 'string', description: 'Year the business was founded' },
+      employee_count_range: { type: 'string', description: 'Approximate team size, e.g. "1-10"' }
+    }
+  },
+  SOCIAL_PRESENCE: {
+    section: 'social_presence',
+    fields: {
+      social_media_links: { type: 'array', description: 'URLs of the business\'s social profiles' },
+      social_media_platforms: { type: 'array', description: 'Names of the platforms the business is on' },
+      social_media_followers: { type: 'string', description: 'Follower counts if mentioned' },
+      social_media_engagement_rate: { type: 'string', description: 'Engagement rate if mentioned' },
+      recent_social_media_posts: { type: 'array', description: 'Recent posts embedded or quoted on the site' },
+      social_media_hashtags: { type: 'array', description: 'Hashtags the business uses' },
+      social_content_themes: { type: 'string', description: 'Recurring themes of the social content' },
+      platforms: {
+        type: 'object',
+        description: 'Per-platform presence',
+        default: {
+          twitter: { present: false, url: '' },
+          linkedin: { present: false, url: '' },
+          youtube: { present: false, url: '' }
+        }
+      },
+      embedded_content: {
+        type: 'object',
+        description: 'Social content embedded in the page',
+        default: { instagram: false, facebook: false, twitter: false, youtube: false, social_feeds: false }
+      },
+      sharing_options: {
+        type: 'object',
+        description: 'Share buttons present on the page',
+        default: { facebook: false, twitter: false, linkedin: false, general_share: false }
+      }
+    }
+  },
+  REVIEWS_REPUTATION: {
+    section: 'reviews_reputation',
+    fields: {
+      google_rating: { type: 'string', description: 'Google rating out of 5' },
+      google_review_count: { type: 'string', description: 'Number of Google reviews' },
+      yelp_rating: { type: 'string', description: 'Yelp rating out of 5' },
+      yelp_review_count: { type: 'string', description: 'Number of Yelp reviews' },
+      average_rating: { type: 'string', description: 'Average rating across all sources' },
+      total_review_count: { type: 'string', description: 'Total number of reviews across all sources' },
+      review_sentiment: { type: 'string', description: 'Overall sentiment of reviews and testimonials' },
+      common_praise_points: { type: 'array', description: 'What customers praise most often' },
+      common_improvement_points: { type: 'array', description: 'What customers complain about most often' }
+    }
+  },
+  BUSINESS_OPERATIONS: {
+    section: 'business_operations',
+    fields: {
+      products_services: { type: 'array', description: 'Main products or services offered' },
+      price_range: { type: 'string', description: 'Price level or range, e.g. "$$" or "$50-$200"' },
+      payment_methods: { type: 'array', description: 'Accepted payment methods' },
+      booking_availability: { type: 'string', description: 'How customers book or order' },
+      delivery_options: { type: 'string', description: 'Delivery, pickup or shipping options' },
+      service_areas: { type: 'array', description: 'Areas or regions served' },
+      languages_supported: { type: 'array', description: 'Languages the business serves customers in' },
+      business_categories: { type: 'array', description: 'Categories or specialties of the business' }
+    }
+  },
+  TARGET_MARKET: {
+    section: 'target_market',
+    fields: {
+      primary_audience: { type: 'string', description: 'Who the business mainly sells to' },
+      demographics: { type: 'string', description: 'Age, income, location or other demographics of customers' },
+      market_positioning: { type: 'string', description: 'Budget, mid-market, premium, niche, ...' }
+    }
+  },
+  BRAND_ANALYSIS: {
+    section: 'brand_analysis',
+    fields: {
+      tone: { type: 'string', description: 'Tone of voice of the copy' },
+      key_messages: { type: 'array', description: 'Main messages the site repeats' },
+      unique_selling_points: { type: 'array', description: 'What sets the business apart' }
+    }
+  },
+  TECHNICAL_METRICS: {
+    section: 'technical_metrics',
+    fields: {
+      load_time_ms: { type: 'number', description: 'Filled from browser measurements' },
+      mobile_friendly: { type: 'object', description: 'Filled from browser measurements', default: null },
+      seo_meta_description: { type: 'string', description: 'Filled from the page meta description' },
+      accessibility_score: { type: 'number', description: 'Filled from the accessibility audit', default: null },
+      technology_stack: {
+        type: 'object',
+        description: 'Filled from technology fingerprints (names per category)',
+        default: { analytics: [] }
+      }
+    }
+  }
+};
+
+// In-process registry: built-ins plus anything registered at runtime
+const registry = { ...BUILT_IN_FIELD_GROUPS };
+
+// Field names per group, kept in sync with the registry
+const FIELD_GROUPS = {};
+for (const [name, group] of Object.entries(registry)) {
+  FIELD_GROUPS[name] = Object.keys(group.fields);
+}
+
+/**
+ * Validate a field group definition
+ * @returns {Array} - Error messages; empty when the definition is valid
+ */
+function validateFieldGroup(name, definition) {
+  const errors = [];
+  if (typeof name !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(name)) {
+    errors.push('name must be UPPER_SNAKE_CASE');
+  }
+  if (!definition || typeof definition !== 'object') {
+    return [...errors, 'definition must be an object'];
+  }
+  if (definition.section !== undefined && !/^[a-z][a-z0-9_]*$/.test(definition.section)) {
+    errors.push('section must be lower_snake_case');
+  }
+  const fields = definition.fields;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    return [...errors, 'fields must be a non-empty object'];
+  }
+  for (const [field, spec] of Object.entries(fields)) {
+    if (!/^[a-z][a-z0-9_]*$/.test(field)) errors.push(`field "${field}" must be lower_snake_case`);
+    if (!spec || !FIELD_TYPES.includes(spec.type)) {
+      errors.push(`field "${field}" must have a type of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (!spec || typeof spec.description !== 'string' || !spec.description.trim()) {
+      errors.push(`field "${field}" needs a description`);
+    }
+  }
+  return errors;
+}
+
+function normalizeFieldGroup(name, definition) {
+  return {
+    section: definition.section || name.toLowerCase(),
+    description: definition.description || '',
+    fields: definition.fields
+  };
+}
+
+/**
+ * Register a custom field group for this process
+ * @param {String} name - UPPER_SNAKE_CASE group name
+ * @param {Object} definition - { section?, description?, fields: { field: { type, description, default? } } }
+ */
+function registerFieldGroup(name, definition) {
+  const errors = validateFieldGroup(name, definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid field group ${name}: ${errors.join('; ')}`);
+  }
+  if (BUILT_IN_FIELD_GROUPS[name]) {
+    throw new Error(`Field group ${name} is built in and cannot be replaced`);
+  }
+  registry[name] = normalizeFieldGroup(name, definition);
+  FIELD_GROUPS[name] = Object.keys(definition.fields);
+  return registry[name];
+}
+
+/**
+ * Resolve group names into definitions
+ * @param {Array} names - Group names; defaults to every registered group
+ * @param {Object} customGroups - Extra definitions by name (e.g. loaded from Mongo for this request)
+ * @returns {Array} - [{ name, section, fields }]
+ */
+function resolveFieldGroups(names, customGroups = {}) {
+  const available = { ...registry };
+  for (const [name, definition] of Object.entries(customGroups)) {
+    if (!BUILT_IN_FIELD_GROUPS[name]) available[name] = normalizeFieldGroup(name, definition);
+  }
+
+  const requested = names && names.length > 0 ? names : Object.keys(registry);
+  const unknown = requested.filter(name => !available[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field group(s): ${unknown.join(', ')}`);
+  }
+  return [...new Set(requested)].map(name => ({ name, ...available[name] }));
+}
+
+function defaultForField(spec) {
+  if (spec.default !== undefined) return JSON.parse(JSON.stringify(spec.default));
+  switch (spec.type) {
+    case 'array': return [];
+    case 'object': return {};
+    case 'number': return null;
+    case 'boolean': return false;
+    default: return '';
+  }
+}
+
+// Empty JSON skeleton of the requested sections, shown to the model
+function buildSchemaSkeleton(groups) {
+  const skeleton = {};
+  for (const group of groups) {
+    skeleton[group.section] = skeleton[group.section] || {};
+    for (const [field, spec] of Object.entries(group.fields)) {
+      skeleton[group.section][field] = defaultForField(spec);
+    }
+  }
+  return skeleton;
+}
+
+// JSON Schema types per field type; scalars and objects may be null when unknown
+const JSON_SCHEMA_TYPES = {
+  string: ['string', 'null'],
+  number: ['number', 'null'],
+  boolean: ['boolean', 'null'],
+  array: 'array',
+  object: ['object', 'null']
+};
+
+// JSON Schema the AI response is validated against
+function buildJsonSchema(groups) {
+  const schema = { type: 'object', properties: {}, required: [] };
+  for (const group of groups) {
+    const section = schema.properties[group.section] || { type: 'object', properties: {}, required: [] };
+    for (const [field, spec] of Object.entries(group.fields)) {
+      section.properties[field] = { type: JSON_SCHEMA_TYPES[spec.type] };
+      section.required.push(field);
+    }
+    if (!schema.properties[group.section]) {
+      schema.properties[group.section] = section;
+      schema.required.push(group.section);
+    }
+  }
+  return schema;
+}
+
+// "section.field (type): description" lines for the prompt
+function describeFields(groups) {
+  return groups
+    .flatMap(group =>
+      Object.entries(group.fields).map(
+        ([field, spec]) => `- ${group.section}.${field} (${spec.type}): ${spec.description}`
+      )
+    )
+    .join('\n');
+}
+
+// Keep only the requested sections/fields of a parsed AI response
+function pickSections(aiAnalysis, groups) {
+  const picked = {};
+  for (const group of groups) {
+    const source = aiAnalysis && typeof aiAnalysis[group.section] === 'object' ? aiAnalysis[group.section] : {};
+    picked[group.section] = picked[group.section] || {};
+    for (const [field, spec] of Object.entries(group.fields)) {
+      picked[group.section][field] = source?.[field] !== undefined ? source[field] : defaultForField(spec);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Load definitions of requested groups that aren't registered in-process
+ * @returns {Object} - Definitions by name, for resolveFieldGroups
+ */
+async function loadCustomFieldGroups(names) {
+  const groups = await FieldGroup.find({ name: { $in: names } });
+  return Object.fromEntries(
+    groups.map(group => [group.name, { section: group.section, description: group.description, fields: group.fields }])
+  );
+}
+
+function listFieldGroups() {
+  return Object.entries(registry).map(([name, group]) => ({
+    name,
+    builtIn: !!BUILT_IN_FIELD_GROUPS[name],
+    ...group
+  }));
+}
+
+export {
+  FIELD_GROUPS,
+  BUILT_IN_FIELD_GROUPS,
+  validateFieldGroup,
+  registerFieldGroup,
+  resolveFieldGroups,
+  loadCustomFieldGroups,
+  buildSchemaSkeleton,
+  buildJsonSchema,
+  defaultForField,
+  describeFields,
+  pickSections,
+  listFieldGroups
+};
@@ -0,0 +1,279 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Technology fingerprinting. Rules live in src/data/technologies/*.json, one
+// object per technology:
+//
+//   "Name": {
+//     "category": "cms",                   (see CATEGORIES)
+//     "website": "https://...",
+//     "scriptSrc": ["pattern"],            script URLs
+//     "scripts": ["pattern"],              inline script content
+//     "html": ["pattern"],                 page HTML
+//     "meta": { "generator": "pattern" },  <meta name|property> content
+//     "headers": { "server": "pattern" },  main document response headers
+//     "cookies": { "_ga": "" },            cookie names (trailing * = prefix)
+//     "js": { "jQuery.fn.jquery": "" },    window globals, by property path
+//     "implies": ["Other name"]
+//   }
+//
+// Patterns are case-insensitive regular expressions; an empty pattern only
+// requires presence. A pattern may carry `\;version:\1` (version from a
+// capture group) and `\;confidence:50` (default 100). Confidences of every
+// match of a technology add up, capped at 100.
+
+const RULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../data/technologies');
+
+const CATEGORIES = ['cms', 'ecommerce', 'analytics', 'tag_managers', 'marketing', 'payment', 'chat', 'booking', 'consent', 'cdn', 'frameworks'];
+
+// Signal sizes kept per page
+const MAX_HTML_LENGTH = 300000;
+const MAX_INLINE_SCRIPT_LENGTH = 20000;
+const MAX_INLINE_SCRIPTS = 50;
+
+/**
+ * Compile a pattern string with its \;version / \;confidence tags
+ */
+function parsePattern(source) {
+  const [regex, ...tags] = String(source).split('\\;');
+  const pattern = { regex: new RegExp(regex, 'i'), confidence: 100, version: null };
+  for (const tag of tags) {
+    const separator = tag.indexOf(':');
+    const key = tag.slice(0, separator);
+    const value = tag.slice(separator + 1);
+    if (key === 'confidence') pattern.confidence = parseInt(value, 10) || 0;
+    if (key === 'version') pattern.version = value;
+  }
+  return pattern;
+}
+
+const patternList = value => [].concat(value || []).map(parsePattern);
+
+const patternMap = value =>
+  Object.entries(value || {}).map(([key, pattern]) => ({ key, ...parsePattern(pattern) }));
+
+/**
+ * Load and compile every rule file
+ * @returns {Array} - Compiled technologies
+ */
+function loadRules(dir = RULES_DIR) {
+  const technologies = [];
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const rules = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    for (const [name, rule] of Object.entries(rules)) {
+      if (!CATEGORIES.includes(rule.category)) {
+        throw new Error(`Technology ${name} in ${file} has unknown category ${rule.category}`);
+      }
+      technologies.push({
+        name,
+        category: rule.category,
+        website: rule.website,
+        scriptSrc: patternList(rule.scriptSrc),
+        scripts: patternList(rule.scripts),
+        html: patternList(rule.html),
+        meta: patternMap(rule.meta).map(pattern => ({ ...pattern, key: pattern.key.toLowerCase() })),
+        headers: patternMap(rule.headers).map(pattern => ({ ...pattern, key: pattern.key.toLowerCase() })),
+        cookies: patternMap(rule.cookies),
+        js: patternMap(rule.js),
+        implies: [].concat(rule.implies || [])
+      });
+    }
+  }
+  return technologies;
+}
+
+const TECHNOLOGIES = loadRules();
+
+// Window globals any rule looks at
+const JS_PATHS = [...new Set(TECHNOLOGIES.flatMap(technology => technology.js.map(pattern => pattern.key)))];
+
+/**
+ * Gather what the rules match against from a loaded page
+ * @param {Object} page - Puppeteer page
+ * @param {Object} response - Response of the main document, if any
+ * @returns {Object} - { scriptSrc, scripts, html, meta, headers, cookies, js }
+ */
+async function collectSignals(page, response) {
+  const dom = await page.evaluate((jsPaths, limits) => {
+    const readPath = (keyPath) => {
+      let value = window;
+      for (const key of keyPath.split('.')) {
+        if (value === null || value === undefined) return undefined;
+        try {
+          value = value[key];
+        } catch {
+          return undefined;
+        }
+      }
+      return value;
+    };
+    const js = {};
+    for (const keyPath of jsPaths) {
+      const value = readPath(keyPath);
+      if (value === undefined || value === null) continue;
+      // Scalars can carry a version; objects and functions only count as present
+      js[keyPath] = ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : '';
+    }
+
+    const meta = {};
+    for (const element of document.querySelectorAll('meta[name], meta[property]')) {
+      const key = (element.getAttribute('name') || element.getAttribute('property')).toLowerCase();
+      (meta[key] = meta[key] || []).push(element.getAttribute('content') || '');
+    }
+
+    return {
+      scriptSrc: Array.from(document.scripts).map(script => script.src).filter(Boolean),
+      scripts: Array.from(document.scripts)
+        .filter(script => !script.src && script.textContent.trim())
+        .slice(0, limits.inlineScripts)
+        .map(script => script.textContent.slice(0, limits.inlineScriptLength)),
+      html: document.documentElement.outerHTML.slice(0, limits.html),
+      meta,
+      js
+    };
+  }, JS_PATHS, { html: MAX_HTML_LENGTH, inlineScripts: MAX_INLINE_SCRIPTS, inlineScriptLength: MAX_INLINE_SCRIPT_LENGTH });
+
+  const cookies = await page.cookies().catch(() => []);
+  return {
+    ...dom,
+    headers: response ? response.headers() : {},
+    cookies: Object.fromEntries(cookies.map(cookie => [cookie.name, cookie.value]))
+  };
+}
+
+// Version from a pattern match: \1 .. \9 are replaced with capture groups
+const versionOf = (pattern, match) => {
+  if (!pattern.version) return null;
+  const version = pattern.version.replace(/\\(\d)/g, (_, group) => match[group] || '').trim();
+  return version || null;
+};
+
+const matchValue = (pattern, value) => {
+  const match = pattern.regex.exec(String(value ?? ''));
+  return match && { confidence: pattern.confidence, version: versionOf(pattern, match) };
+};
+
+// Cookie rule keys may end in * to match a name prefix
+const cookieNames = (key, cookies) => {
+  if (!key.endsWith('*')) return key in cookies ? [key] : [];
+  const prefix = key.slice(0, -1);
+  return Object.keys(cookies).filter(name => name.startsWith(prefix));
+};
+
+/**
+ * Every rule match of one technology
+ * @returns {Array} - [{ type, key?, confidence, version }]
+ */
+function matchTechnology(technology, signals) {
+  const matches = [];
+  const record = (type, key, match) => match && matches.push({ type, key, ...match });
+
+  for (const pattern of technology.scriptSrc) {
+    const src = (signals.scriptSrc || []).find(value => pattern.regex.test(value));
+    if (src) record('scriptSrc', src, matchValue(pattern, src));
+  }
+  for (const pattern of technology.scripts) {
+    const script = (signals.scripts || []).find(value => pattern.regex.test(value));
+    if (script) record('scripts', undefined, matchValue(pattern, script));
+  }
+  for (const pattern of technology.html) record('html', undefined, matchValue(pattern, signals.html));
+  for (const pattern of technology.meta) {
+    for (const content of [].concat(signals.meta?.[pattern.key] ?? [])) record('meta', pattern.key, matchValue(pattern, content));
+  }
+  for (const pattern of technology.headers) {
+    const headers = signals.headers || {};
+    if (pattern.key in headers) record('headers', pattern.key, matchValue(pattern, headers[pattern.key]));
+  }
+  for (const pattern of technology.cookies) {
+    const cookies = signals.cookies || {};
+    for (const name of cookieNames(pattern.key, cookies)) record('cookies', name, matchValue(pattern, cookies[name]));
+  }
+  for (const pattern of technology.js) {
+    const js = signals.js || {};
+    if (pattern.key in js) record('js', pattern.key, matchValue(pattern, js[pattern.key]));
+  }
+  return matches;
+}
+
+/**
+ * Match the rules against collected signals
+ * @param {Object} signals - From collectSignals
+ * @returns {Array} - [{ name, category, version, confidence, website, evidence, implied_by? }], most likely first
+ */
+function detectTechnologies(signals, technologies = TECHNOLOGIES) {
+  const byName = new Map(technologies.map(technology => [technology.name, technology]));
+  const detected = new Map();
+
+  for (const technology of technologies) {
+    const matches = matchTechnology(technology, signals);
+    if (matches.length === 0) continue;
+    const confidence = Math.min(100, matches.reduce((sum, match) => sum + match.confidence, 0));
+    if (confidence === 0) continue;
+    detected.set(technology.name, {
+      name: technology.name,
+      category: technology.category,
+      // The longest version is usually the most specific one
+      version: matches.map(match => match.version).filter(Boolean).sort((a, b) => b.length - a.length)[0] || null,
+      confidence,
+      website: technology.website,
+      evidence: [...new Set(matches.map(match => (match.key ? `${match.type}:${match.key}` : match.type)))]
+    });
+  }
+
+  // Implied technologies inherit the confidence of what implies them
+  const pending = [...detected.values()];
+  while (pending.length > 0) {
+    const found = pending.shift();
+    for (const name of byName.get(found.name)?.implies || []) {
+      const implied = byName.get(name);
+      if (!implied) continue;
+      const existing = detected.get(name);
+      if (existing) {
+        existing.confidence = Math.max(existing.confidence, found.confidence);
+        continue;
+      }
+      const entry = {
+        name,
+        category: implied.category,
+        version: null,
+        confidence: found.confidence,
+        website: implied.website,
+        evidence: [],
+        implied_by: found.name
+      };
+      detected.set(name, entry);
+      pending.push(entry);
+    }
+  }
+
+  // Ties go to the technology with more independent evidence
+  return [...detected.values()].sort((a, b) =>
+    b.confidence - a.confidence || b.evidence.length - a.evidence.length || a.name.localeCompare(b.name));
+}
+
+/**
+ * technology_stack of the technical metrics: names per category (cms is the
+ * most likely one, falling back to the store platform) plus the detailed list
+ */
+function summarizeTechnologies(technologies) {
+  const stack = { cms: null };
+  for (const category of CATEGORIES.filter(category => category !== 'cms')) {
+    stack[category] = technologies.filter(technology => technology.category === category).map(technology => technology.name);
+  }
+  const cms = technologies.find(technology => technology.category === 'cms') ||
+    technologies.find(technology => technology.category === 'ecommerce');
+  stack.cms = cms ? cms.name : null;
+  stack.technologies = technologies;
+  return stack;
+}
+
+/**
+ * Detect the technologies of a loaded page
+ * @returns {Object} - technology_stack
+ */
+async function fingerprintPage(page, response) {
+  return summarizeTechnologies(detectTechnologies(await collectSignals(page, response)));
+}
+
+export { CATEGORIES, loadRules, collectSignals, detectTechnologies, summarizeTechnologies, fingerprintPage };
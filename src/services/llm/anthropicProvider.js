@@ -0,0 +1,30 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * Anthropic Messages API through the official SDK
+ * @param {Object} settings - { apiKey }
+ */
+export const createAnthropicProvider = ({ apiKey }) => {
+  if (!apiKey) throw new Error('Anthropic API key is required (ANTHROPIC_API_KEY or LLM_API_KEY)');
+  const client = new Anthropic({ apiKey });
+
+  return {
+    name: 'anthropic',
+    complete: async ({ messages, model, temperature, maxTokens }) => {
+      const message = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        ...(temperature !== undefined && { temperature }),
+        messages,
+      });
+      return {
+        text: message.content[0]?.text || '',
+        model: message.model,
+        usage: {
+          inputTokens: message.usage?.input_tokens || 0,
+          outputTokens: message.usage?.output_tokens || 0,
+        },
+      };
+    },
+  };
+};
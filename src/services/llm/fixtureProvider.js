@@ -0,0 +1,33 @@
+import fs from 'fs';
+
+// Pull the JSON structure the prompt asks for, so the default fixture answer always validates
+const skeletonFromPrompt = (prompt) => {
+  const start = prompt.indexOf('{');
+  const end = prompt.indexOf('\n}\n', start);
+  if (start === -1 || end === -1) return '{}';
+  return prompt.slice(start, end + 2);
+};
+
+/**
+ * Deterministic offline provider for CI and local runs. Answers with the
+ * contents of `fixturePath` when given, otherwise with the empty JSON
+ * structure requested in the first prompt. Never touches the network.
+ * @param {Object} settings - { fixturePath }
+ */
+export const createFixtureProvider = ({ fixturePath } = {}) => {
+  const fixture = fixturePath ? fs.readFileSync(fixturePath, 'utf8') : null;
+
+  return {
+    name: 'fixture',
+    complete: async ({ messages, model }) => {
+      const text = fixture ?? skeletonFromPrompt(messages[0]?.content || '');
+      // Rough token estimate (4 characters per token) so usage accounting still works
+      const inputChars = messages.reduce((sum, message) => sum + (message.content || '').length, 0);
+      return {
+        text,
+        model,
+        usage: { inputTokens: Math.ceil(inputChars / 4), outputTokens: Math.ceil(text.length / 4) },
+      };
+    },
+  };
+};
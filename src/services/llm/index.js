@@ -0,0 +1,143 @@
+import { createAnthropicProvider } from './anthropicProvider.js';
+import { createOpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { createFixtureProvider } from './fixtureProvider.js';
+
+// Provider factories by name. Each returns { name, complete({ messages, model, temperature, maxTokens }) }
+// resolving to { text, model, usage: { inputTokens, outputTokens } }.
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAICompatibleProvider,
+  fixture: createFixtureProvider,
+};
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-3-haiku-20240307',
+  openai: 'gpt-4o-mini',
+  fixture: 'fixture',
+};
+
+// Temperatures each provider accepts: [min, max]
+const TEMPERATURE_RANGES = {
+  anthropic: [0, 1],
+  openai: [0, 2],
+  fixture: [0, 2],
+};
+
+// Upper bound for per-request max tokens
+const MAX_TOKENS_LIMIT = parseInt(process.env.LLM_MAX_TOKENS_LIMIT, 10) || 8192;
+
+const envNumber = (name) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+/**
+ * Validate per-request LLM settings ({ provider, model, temperature, maxTokens })
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validateLlmOptions(llm) {
+  if (llm === undefined) return [];
+  if (!llm || typeof llm !== 'object' || Array.isArray(llm)) return ['llm must be an object'];
+
+  const errors = [];
+  if (llm.provider !== undefined && !PROVIDERS[llm.provider]) {
+    errors.push(`llm.provider must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (llm.model !== undefined && (typeof llm.model !== 'string' || !llm.model.trim())) {
+    errors.push('llm.model must be a non-empty string');
+  }
+  const provider = llm.provider || process.env.LLM_PROVIDER || 'anthropic';
+  const [minTemperature, maxTemperature] = TEMPERATURE_RANGES[provider] || [0, 2];
+  if (
+    llm.temperature !== undefined &&
+    (typeof llm.temperature !== 'number' || llm.temperature < minTemperature || llm.temperature > maxTemperature)
+  ) {
+    errors.push(`llm.temperature must be a number between ${minTemperature} and ${maxTemperature} for ${provider}`);
+  }
+  if (
+    llm.maxTokens !== undefined &&
+    (!Number.isInteger(llm.maxTokens) || llm.maxTokens < 1 || llm.maxTokens > MAX_TOKENS_LIMIT)
+  ) {
+    errors.push(`llm.maxTokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}`);
+  }
+
+  // Build the provider now so a missing key or endpoint is reported to the
+  // caller instead of failing every attempt of the job
+  if (PROVIDERS[provider]) {
+    try {
+      PROVIDERS[provider](resolveLlmConfig({ provider }));
+    } catch (error) {
+      errors.push(`llm.provider ${provider} is not configured: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Merge per-request settings over environment defaults. Endpoints and keys
+ * only ever come from the environment.
+ *   LLM_PROVIDER, LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS,
+ *   LLM_BASE_URL, LLM_API_KEY, LLM_FIXTURE_PATH
+ * @param {Object} overrides - { provider, model, temperature, maxTokens }
+ * @param {String} apiKey - Explicit API key (takes precedence over the environment)
+ */
+function resolveLlmConfig(overrides = {}, apiKey) {
+  const provider = overrides.provider || process.env.LLM_PROVIDER || 'anthropic';
+  const envModel = process.env.LLM_PROVIDER === undefined || process.env.LLM_PROVIDER === provider
+    ? process.env.LLM_MODEL
+    : undefined;
+
+  return {
+    provider,
+    model: overrides.model || envModel || DEFAULT_MODELS[provider],
+    temperature: overrides.temperature ?? envNumber('LLM_TEMPERATURE'),
+    maxTokens: overrides.maxTokens ?? envNumber('LLM_MAX_TOKENS') ?? 4096,
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: apiKey ||
+      process.env.LLM_API_KEY ||
+      (provider === 'anthropic' ? process.env.ANTHROPIC_API_KEY : process.env.OPENAI_API_KEY),
+    fixturePath: process.env.LLM_FIXTURE_PATH,
+  };
+}
+
+/**
+ * Build an LLM client for one analysis. `complete(messages)` resolves to the
+ * response text; token usage is totalled across calls.
+ * @param {Object} overrides - Per-request { provider, model, temperature, maxTokens }
+ * @param {String} apiKey - Explicit API key
+ */
+function createLlmClient(overrides = {}, apiKey) {
+  const config = resolveLlmConfig(overrides, apiKey);
+  const factory = PROVIDERS[config.provider];
+  if (!factory) throw new Error(`Unknown LLM provider: ${config.provider}`);
+
+  const provider = factory(config);
+  const usage = { calls: 0, inputTokens: 0, outputTokens: 0 };
+
+  return {
+    provider: provider.name,
+    model: config.model,
+    usage,
+    complete: async (messages) => {
+      const response = await provider.complete({
+        messages,
+        model: config.model,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+      });
+      usage.calls += 1;
+      usage.inputTokens += response.usage.inputTokens;
+      usage.outputTokens += response.usage.outputTokens;
+      return response.text;
+    },
+  };
+}
+
+/**
+ * Register an additional provider factory
+ */
+function registerLlmProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+export { createLlmClient, resolveLlmConfig, validateLlmOptions, registerLlmProvider };
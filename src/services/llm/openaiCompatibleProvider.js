@@ -0,0 +1,50 @@
+import fetch from 'node-fetch';
+
+/**
+ * Any endpoint speaking the OpenAI chat completions protocol
+ * (OpenAI, Ollama's /v1, vLLM, LM Studio, ...)
+ * @param {Object} settings - { baseUrl, apiKey, timeout }
+ */
+export const createOpenAICompatibleProvider = ({ baseUrl, apiKey, timeout = 120000 }) => {
+  if (!baseUrl) throw new Error('LLM_BASE_URL is required for the openai provider');
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    complete: async ({ messages, model, temperature, maxTokens }) => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          signal: controller.signal,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          },
+          body: JSON.stringify({
+            model,
+            messages,
+            max_tokens: maxTokens,
+            ...(temperature !== undefined && { temperature }),
+          }),
+        });
+        if (!response.ok) {
+          const body = await response.text().catch(() => '');
+          throw new Error(`LLM request failed: ${response.status} ${response.statusText} ${body.slice(0, 200)}`);
+        }
+        const data = await response.json();
+        return {
+          text: data.choices?.[0]?.message?.content || '',
+          model: data.model || model,
+          usage: {
+            inputTokens: data.usage?.prompt_tokens || 0,
+            outputTokens: data.usage?.completion_tokens || 0,
+          },
+        };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+};
@@ -0,0 +1,264 @@
+import { KnownDevices, PredefinedNetworkConditions } from 'puppeteer';
+
+// Lab performance audit of the entry page: a fresh, uncached load per
+// profile with Core Web Vitals from PerformanceObserver and transfer sizes
+// from CDP network events. Each run gets a 0-100 score (log-normal curves as
+// in Lighthouse) so sites can be compared.
+//
+// Enabled per analysis with options.performanceAudit: true (every profile)
+// or a list of profile names.
+
+const PROFILES = {
+  desktop: {
+    viewport: { width: 1350, height: 940 },
+    cpuSlowdown: 1,
+    network: null
+  },
+  // Mid-range phone on a slow 4G connection
+  mobile: {
+    device: 'Moto G4',
+    cpuSlowdown: 4,
+    network: 'Slow 4G'
+  }
+};
+
+// Time after the load event for late LCP candidates, layout shifts and long tasks
+const SETTLE_MS = parseInt(process.env.PERFORMANCE_AUDIT_SETTLE_MS, 10) || 3000;
+
+// Score curves ({ p10, median } of each metric) and weights per profile
+const SCORING = {
+  desktop: {
+    fcp_ms: { p10: 934, median: 1600, weight: 15 },
+    lcp_ms: { p10: 1200, median: 2400, weight: 30 },
+    tbt_ms: { p10: 150, median: 350, weight: 30 },
+    cls: { p10: 0.1, median: 0.25, weight: 25 }
+  },
+  mobile: {
+    fcp_ms: { p10: 1800, median: 3000, weight: 15 },
+    lcp_ms: { p10: 2500, median: 4000, weight: 30 },
+    tbt_ms: { p10: 200, median: 600, weight: 30 },
+    cls: { p10: 0.1, median: 0.25, weight: 25 }
+  }
+};
+
+// Core Web Vitals thresholds: [good up to, needs improvement up to]
+const THRESHOLDS = {
+  ttfb_ms: [800, 1800],
+  fcp_ms: [1800, 3000],
+  lcp_ms: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp_ms: [200, 500],
+  tbt_ms: [200, 600]
+};
+
+// Injected before any page script runs; results are read from window.__performanceAudit
+const OBSERVER_SCRIPT = () => {
+  const audit = { lcp: null, fcp: null, cls: 0, longTasks: [], inp: null };
+  window.__performanceAudit = audit;
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch {}
+  };
+
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') audit.fcp = entry.startTime;
+  });
+  observe('largest-contentful-paint', entry => {
+    audit.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+  });
+
+  // CLS is the largest session window of shifts (gaps under 1s, at most 5s long)
+  let session = { value: 0, start: 0, last: 0 };
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    if (session.value > 0 && (entry.startTime - session.last > 1000 || entry.startTime - session.start > 5000)) {
+      session = { value: 0, start: entry.startTime, last: entry.startTime };
+    }
+    if (session.value === 0) session.start = entry.startTime;
+    session.value += entry.value;
+    session.last = entry.startTime;
+    audit.cls = Math.max(audit.cls, session.value);
+  });
+
+  observe('longtask', entry => audit.longTasks.push({ start: entry.startTime, duration: entry.duration }));
+
+  // Only real interactions count; unattended lab runs usually have none
+  observe('event', entry => {
+    if (entry.interactionId) audit.inp = Math.max(audit.inp || 0, entry.duration);
+  });
+};
+
+/**
+ * Validate options.performanceAudit
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validatePerformanceAuditOptions(value) {
+  if (value === undefined || typeof value === 'boolean') return [];
+  if (Array.isArray(value) && value.length > 0 && value.every(name => Object.hasOwn(PROFILES, name))) return [];
+  return [`performanceAudit must be a boolean or a list of profiles (${Object.keys(PROFILES).join(', ')})`];
+}
+
+const profilesOf = value => (Array.isArray(value) ? value : Object.keys(PROFILES));
+
+// Error function approximation (Abramowitz and Stegun 7.1.26)
+function erf(x) {
+  const sign = Math.sign(x);
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+    Math.exp(-x * x);
+  return sign * y;
+}
+
+/**
+ * Score of one metric value on a log-normal curve: 0.9 at p10, 0.5 at the median
+ */
+function logNormalScore({ p10, median }, value) {
+  if (value <= 0) return 1;
+  const standardized = Math.log(value / median) * 0.9061938024368232 / -Math.log(p10 / median);
+  return Math.min(1, Math.max(0, (1 - erf(standardized)) / 2));
+}
+
+/**
+ * Weighted 0-100 score of a run; metrics that couldn't be measured are left
+ * out and the remaining weights scaled up
+ */
+function scoreMetrics(metrics, profile) {
+  let total = 0;
+  let weights = 0;
+  for (const [metric, curve] of Object.entries(SCORING[profile])) {
+    if (metrics[metric] === null || metrics[metric] === undefined) continue;
+    total += logNormalScore(curve, metrics[metric]) * curve.weight;
+    weights += curve.weight;
+  }
+  return weights > 0 ? Math.round((total / weights) * 100) : null;
+}
+
+/**
+ * good / needs_improvement / poor for every measured metric
+ */
+function rateMetrics(metrics) {
+  const ratings = {};
+  for (const [metric, [good, poor]] of Object.entries(THRESHOLDS)) {
+    const value = metrics[metric];
+    if (value === null || value === undefined) continue;
+    ratings[metric] = value <= good ? 'good' : value <= poor ? 'needs_improvement' : 'poor';
+  }
+  return ratings;
+}
+
+const round = (value, digits = 0) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+// Request counts and transfer sizes by resource type, from CDP network events
+function trackNetwork(client) {
+  const types = new Map(); // requestId -> resource type
+  const summary = { total_requests: 0, failed_requests: 0, transfer_bytes: 0, by_type: {} };
+  const entryOf = type => (summary.by_type[type] = summary.by_type[type] || { requests: 0, transfer_bytes: 0 });
+
+  client.on('Network.requestWillBeSent', ({ requestId, type, redirectResponse }) => {
+    if (redirectResponse) return; // same request id, already counted
+    const resourceType = (type || 'Other').toLowerCase();
+    types.set(requestId, resourceType);
+    summary.total_requests += 1;
+    entryOf(resourceType).requests += 1;
+  });
+  client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+    const bytes = Math.round(encodedDataLength || 0);
+    summary.transfer_bytes += bytes;
+    entryOf(types.get(requestId) || 'other').transfer_bytes += bytes;
+  });
+  client.on('Network.loadingFailed', () => {
+    summary.failed_requests += 1;
+  });
+  return summary;
+}
+
+/**
+ * Load the page once under a profile and measure it
+ * @returns {Object} - { profile, device, cpu_slowdown, network, score, metrics, ratings, requests }
+ */
+async function runProfile(context, url, name, { guard, timeout }) {
+  const profile = PROFILES[name];
+  const page = await context.newPage();
+  try {
+    if (guard) await guard.attach(page);
+    if (profile.device) await page.emulate(KnownDevices[profile.device]);
+    else await page.setViewport(profile.viewport);
+    await page.setCacheEnabled(false);
+    await page.emulateCPUThrottling(profile.cpuSlowdown > 1 ? profile.cpuSlowdown : null);
+    if (profile.network) await page.emulateNetworkConditions(PredefinedNetworkConditions[profile.network]);
+    await page.evaluateOnNewDocument(OBSERVER_SCRIPT);
+
+    const client = await page.createCDPSession();
+    const requests = trackNetwork(client);
+    await client.send('Network.enable');
+
+    await page.goto(url, { waitUntil: 'load', timeout });
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+
+    const measured = await page.evaluate(() => {
+      const [navigation] = performance.getEntriesByType('navigation');
+      const audit = window.__performanceAudit || {};
+      const fcp = audit.fcp ?? performance.getEntriesByName('first-contentful-paint')[0]?.startTime ?? null;
+      // Main-thread blocking beyond 50ms per long task, after first contentful paint
+      const tbt = (audit.longTasks || [])
+        .filter(task => fcp === null || task.start + task.duration > fcp)
+        .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+      return {
+        ttfb: navigation ? navigation.responseStart - navigation.startTime : null,
+        fcp,
+        lcp: audit.lcp,
+        cls: audit.cls ?? null,
+        tbt,
+        inp: audit.inp,
+        domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+        load: navigation ? navigation.loadEventEnd : null
+      };
+    });
+    await client.detach().catch(() => {});
+
+    const metrics = {
+      ttfb_ms: round(measured.ttfb),
+      fcp_ms: round(measured.fcp),
+      lcp_ms: round(measured.lcp),
+      cls: round(measured.cls, 3),
+      tbt_ms: round(measured.tbt),
+      inp_ms: round(measured.inp),
+      dom_content_loaded_ms: round(measured.domContentLoaded),
+      load_ms: round(measured.load)
+    };
+    return {
+      profile: name,
+      device: profile.device || 'desktop',
+      cpu_slowdown: profile.cpuSlowdown,
+      network: profile.network,
+      score: scoreMetrics(metrics, name),
+      metrics,
+      ratings: rateMetrics(metrics),
+      requests
+    };
+  } finally {
+    try { await page.close(); } catch {}
+  }
+}
+
+/**
+ * Audit a page under each profile, one run after another so runs don't
+ * compete for CPU. A failed run is reported with its error.
+ * @param {Object} params - { context, url, profiles, guard, timeout }
+ * @returns {Object} - { audited_at, runs: { <profile>: run } }
+ */
+async function auditPerformance({ context, url, profiles = true, guard, timeout = 60000 }) {
+  const runs = {};
+  for (const name of profilesOf(profiles)) {
+    try {
+      runs[name] = await runProfile(context, url, name, { guard, timeout });
+    } catch (error) {
+      console.warn(`Performance audit (${name}) of ${url} failed:`, error.message);
+      runs[name] = { profile: name, error: error.message };
+    }
+  }
+  return { audited_at: new Date().toISOString(), runs };
+}
+
+export { PROFILES, validatePerformanceAuditOptions, logNormalScore, scoreMetrics, rateMetrics, auditPerformance };
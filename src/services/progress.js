@@ -0,0 +1,47 @@
+import { EventEmitter } from 'events';
+import Analysis from '../models/analysis.js';
+
+// Structured progress of an analysis. Events are appended to
+// Analysis.progress (numbered by `seq`, so clients can resume) and announced
+// on `progressEvents` so SSE streams in this process see them immediately;
+// streams served by another process pick them up from Mongo.
+//
+// Event: { seq, at, stage, message, data }
+// Stages: queued, started, launch, security, page, extractor, performance,
+//         crawl, seo, ai, ai_chunk, completed, retry_scheduled, failed
+
+const MAX_PROGRESS_EVENTS = 200;
+
+const progressEvents = new EventEmitter();
+progressEvents.setMaxListeners(0);
+
+const newProgressEvent = (seq, stage, message, data) => ({ seq, at: new Date(), stage, message, data });
+
+/**
+ * Recorder for one run of an analysis. Writes are queued so events land in
+ * order; a failed write is logged and never fails the analysis.
+ * @param {Object} analysis - Analysis document (claimed by this worker)
+ * @returns {Function} - (stage, message, data) => Promise
+ */
+function createProgressRecorder(analysis) {
+  let seq = analysis.progressSeq || 0;
+  let pending = Promise.resolve();
+
+  return (stage, message, data) => {
+    seq += 1;
+    const event = newProgressEvent(seq, stage, message, data);
+    pending = pending
+      .then(() => Analysis.updateOne(
+        { _id: analysis._id },
+        {
+          $push: { progress: { $each: [event], $slice: -MAX_PROGRESS_EVENTS } },
+          $set: { progressSeq: seq, stage },
+        }
+      ))
+      .then(() => progressEvents.emit(String(analysis._id), event))
+      .catch(error => console.warn(`Failed to record progress of analysis ${analysis._id}:`, error.message));
+    return pending;
+  };
+}
+
+export { MAX_PROGRESS_EVENTS, progressEvents, newProgressEvent, createProgressRecorder };
@@ -0,0 +1,224 @@
+// Field-level provenance. Every output field is resolved from candidates
+// produced by different sources; the winner is picked by SOURCE_PRECEDENCE
+// (first entry wins), then by confidence:
+//
+//   1. input            - what the caller gave us (e.g. the analyzed URL)
+//   2. measurement      - values the browser measured (load time, viewport)
+//   3. structured_data  - schema.org JSON-LD / Microdata / OpenGraph published by the site
+//   4. dom              - values read from the page with a CSS selector
+//   5. llm              - values the model extracted from page text
+//
+// Heuristic candidates below MIN_TRUSTED_CONFIDENCE (e.g. a business name
+// guessed from <title>) don't get precedence and only compete on confidence.
+//
+// Candidate: { value, source, page_url, selector?, excerpt?, confidence }
+
+const SOURCE_PRECEDENCE = ['input', 'measurement', 'structured_data', 'dom', 'llm'];
+const MIN_TRUSTED_CONFIDENCE = 0.6;
+
+const BASE_CONFIDENCE = {
+  input: 1,
+  measurement: 0.95,
+  structured_data: 0.9,
+  dom: 0.8,
+  llm: 0.45
+};
+
+const isEmptyValue = value =>
+  value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const normalize = value =>
+  typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : JSON.stringify(value);
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Find `value` in page text and return the surrounding text, if any
+ */
+function findExcerpt(text, value, radius = 60) {
+  if (!text || typeof value !== 'string' || value.trim().length < 2) return null;
+  const index = text.toLowerCase().indexOf(value.trim().toLowerCase());
+  if (index === -1) return null;
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + value.trim().length + radius);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * LLM candidates for every field of the AI result. A value found verbatim in
+ * the page text it came from ("grounded") scores higher; values other chunks
+ * disagreed with score lower, values several pages agree on score higher.
+ * @param {Object} aiAnalysis - Merged AI sections
+ * @param {Object} fieldSources - Per-field page sources from the chunk merge
+ * @param {Map} pageTexts - url -> visible text
+ */
+function llmCandidates(aiAnalysis, fieldSources, pageTexts) {
+  const candidates = {};
+  for (const [section, fields] of Object.entries(aiAnalysis)) {
+    if (!fields || typeof fields !== 'object') continue;
+    for (const [field, value] of Object.entries(fields)) {
+      if (isEmptyValue(value)) continue;
+      const path = `${section}.${field}`;
+      const sources = fieldSources?.[path];
+      const pageUrl = sources?.page_url || null;
+      const probe = Array.isArray(value) ? value.find(item => typeof item === 'string') : value;
+      const excerpt = findExcerpt(pageTexts.get(pageUrl), probe);
+
+      let confidence = excerpt ? 0.7 : BASE_CONFIDENCE.llm;
+      confidence += Math.min(0.15, 0.05 * ((sources?.pages?.length || 1) - 1));
+      confidence -= 0.1 * (sources?.conflicts?.length || 0);
+
+      candidates[path] = [{
+        value,
+        source: 'llm',
+        page_url: pageUrl,
+        excerpt,
+        confidence: round(Math.min(0.9, Math.max(0.1, confidence)))
+      }];
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Candidates from browser extractors for the AI sections they overlap with
+ * @param {Object} bkb - Business knowledge base (contact_info, social_presence, technical_metrics)
+ * @param {String} url - Analyzed URL
+ * @param {String} mainPageUrl - URL the DOM extractors ran on
+ */
+function extractorCandidates(bkb, url, mainPageUrl) {
+  const candidates = {};
+  const add = (path, candidate) => {
+    if (isEmptyValue(candidate.value)) return;
+    (candidates[path] = candidates[path] || []).push({
+      page_url: mainPageUrl,
+      confidence: BASE_CONFIDENCE[candidate.source],
+      ...candidate
+    });
+  };
+  const firstEvidence = list => (Array.isArray(list) ? list[0] : null);
+
+  add('basic_info.website_url', { value: url, source: 'input', page_url: null });
+
+  const contact = bkb.contact_info || {};
+  const evidence = contact.evidence || {};
+  if (contact.business_name) {
+    add('basic_info.business_name', { value: contact.business_name, source: 'dom', ...contact.business_name_evidence });
+  }
+  for (const [field, key] of [['contact_email', 'email'], ['phone_number', 'phone'], ['physical_address', 'address']]) {
+    const first = firstEvidence(evidence[key]);
+    if (first) add(`basic_info.${field}`, { source: 'dom', ...first });
+  }
+
+  const social = bkb.social_presence;
+  if (social) {
+    const platforms = Object.entries(social.platforms || {}).filter(([, platform]) => platform.present);
+    const selectors = platforms.map(([, platform]) => platform.selector).filter(Boolean);
+    add('social_presence.social_media_links', {
+      value: platforms.map(([, platform]) => platform.url),
+      source: 'dom',
+      selector: selectors.join(', ')
+    });
+    add('social_presence.social_media_platforms', {
+      value: platforms.map(([name]) => name),
+      source: 'dom',
+      selector: selectors.join(', ')
+    });
+    add('social_presence.platforms', { value: social.platforms, source: 'dom', selector: selectors.join(', ') });
+    add('social_presence.embedded_content', { value: social.embedded_content, source: 'dom', selector: '[class*="instagram-media"], [class*="fb-post"], ...' });
+    add('social_presence.sharing_options', { value: social.sharing_options, source: 'dom', selector: '[class*="share"]' });
+  }
+
+  const technical = bkb.technical_metrics;
+  if (technical) {
+    add('technical_metrics.load_time_ms', { value: technical.performance?.page_load_time, source: 'measurement', selector: 'performance timing' });
+    add('technical_metrics.mobile_friendly', { value: technical.mobile_friendly, source: 'measurement', selector: 'meta[name="viewport"]' });
+    add('technical_metrics.accessibility_score', {
+      value: technical.accessibility?.score,
+      source: 'measurement',
+      selector: 'accessibility rules (WCAG 2.1 AA)'
+    });
+    add('technical_metrics.seo_meta_description', { value: technical.seo?.meta_description, source: 'dom', selector: 'meta[name="description"]' });
+    // Names per category; the detailed matches stay in extracted.technical_metrics
+    const { technologies: _technologies, ...stack } = technical.technology_stack || {};
+    add('technical_metrics.technology_stack', {
+      value: technical.technology_stack && stack,
+      source: 'dom',
+      selector: 'technology fingerprints (script[src], inline scripts, meta, headers, cookies, window globals)'
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Pick the winning candidate by precedence, then confidence. Candidates from
+ * other sources that agree with the winner raise its confidence.
+ * @returns {Object} - { value, provenance }
+ */
+function resolveField(candidates = []) {
+  const present = candidates.filter(candidate => !isEmptyValue(candidate.value));
+  if (present.length === 0) {
+    return { value: undefined, provenance: { source: null, page_url: null, excerpt: null, confidence: 0 } };
+  }
+
+  const rank = candidate =>
+    candidate.confidence >= MIN_TRUSTED_CONFIDENCE ? SOURCE_PRECEDENCE.indexOf(candidate.source) : SOURCE_PRECEDENCE.length;
+  const ranked = [...present].sort((a, b) => rank(a) - rank(b) || b.confidence - a.confidence);
+  const [winner, ...rest] = ranked;
+  const agreeing = rest.filter(candidate => normalize(candidate.value) === normalize(winner.value));
+  const confidence = round(Math.min(0.99, winner.confidence + 0.1 * agreeing.length));
+
+  return {
+    value: winner.value,
+    provenance: {
+      source: winner.source,
+      ...(winner.selector && { selector: winner.selector }),
+      page_url: winner.page_url ?? null,
+      excerpt: winner.excerpt ?? null,
+      confidence,
+      ...(rest.length > 0 && {
+        alternatives: rest.map(candidate => ({
+          value: candidate.value,
+          source: candidate.source,
+          page_url: candidate.page_url ?? null,
+          confidence: candidate.confidence,
+          agrees: normalize(candidate.value) === normalize(winner.value)
+        }))
+      })
+    }
+  };
+}
+
+/**
+ * Resolve every field of the requested sections across all sources
+ * @param {Object} aiAnalysis - Merged AI sections (updated in place with the winning values)
+ * @param {Array} groups - Requested field groups
+ * @param {Object} candidateSets - Candidate maps (path -> [candidate]) from each source
+ * @returns {Object} - path -> provenance
+ */
+function resolveProvenance(aiAnalysis, groups, candidateSets) {
+  const provenance = {};
+  for (const group of groups) {
+    for (const field of Object.keys(group.fields)) {
+      const path = `${group.section}.${field}`;
+      const candidates = candidateSets.flatMap(set => set[path] || []);
+      const resolved = resolveField(candidates);
+      if (resolved.value !== undefined) aiAnalysis[group.section][field] = resolved.value;
+      provenance[path] = resolved.provenance;
+    }
+  }
+  return provenance;
+}
+
+export {
+  SOURCE_PRECEDENCE,
+  MIN_TRUSTED_CONFIDENCE,
+  BASE_CONFIDENCE,
+  findExcerpt,
+  llmCandidates,
+  extractorCandidates,
+  resolveField,
+  resolveProvenance
+};
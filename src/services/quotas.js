@@ -0,0 +1,102 @@
+import ApiKeyUsage from '../models/apiKeyUsage.js';
+
+// Daily and monthly quotas per API key, counted in analyses and LLM tokens.
+// Analyses are reserved atomically when one is queued; tokens are recorded
+// when it finishes, so a key may overshoot its token quota by the analyses
+// that were already running when it ran out.
+
+const PERIODS = [
+  { period: 'day', analyses: 'dailyAnalyses', tokens: 'dailyTokens', start: now => now.toISOString().slice(0, 10) },
+  { period: 'month', analyses: 'monthlyAnalyses', tokens: 'monthlyTokens', start: now => now.toISOString().slice(0, 7) },
+];
+
+const isLimited = value => Number.isInteger(value);
+
+/**
+ * Current usage of a key
+ * @returns {Object} - { day: { periodStart, analyses, tokens }, month: {...} }
+ */
+async function getUsage(apiKeyId, now = new Date()) {
+  const usage = {};
+  for (const { period, start } of PERIODS) {
+    const periodStart = start(now);
+    const doc = await ApiKeyUsage.findOne({ apiKeyId, period, periodStart });
+    usage[period] = {
+      periodStart,
+      analyses: doc?.analyses || 0,
+      tokens: (doc?.inputTokens || 0) + (doc?.outputTokens || 0),
+    };
+  }
+  return usage;
+}
+
+/**
+ * Reserve `count` analyses against the key's quotas. Nothing is reserved
+ * when a quota would be exceeded. Keys without a document (the bootstrap
+ * admin key) are unlimited.
+ * @returns {Object|null} - The exceeded quota ({ quota, limit }), or null when reserved
+ */
+async function reserveAnalyses(apiKey, count = 1, now = new Date()) {
+  if (!apiKey?._id) return null;
+  const quotas = apiKey.quotas || {};
+
+  // Token quotas: refuse new work once they are used up
+  const usage = await getUsage(apiKey._id, now);
+  for (const { period, tokens } of PERIODS) {
+    if (isLimited(quotas[tokens]) && usage[period].tokens >= quotas[tokens]) {
+      return { quota: tokens, limit: quotas[tokens] };
+    }
+  }
+
+  const reserved = [];
+  for (const { period, analyses, start } of PERIODS) {
+    const filter = { apiKeyId: apiKey._id, period, periodStart: start(now) };
+    const limit = quotas[analyses];
+    let room = true;
+    if (isLimited(limit)) {
+      // Only matches while there's room; an existing document without room fails the upsert
+      room = count <= limit && await ApiKeyUsage.findOneAndUpdate(
+        { ...filter, analyses: { $lte: limit - count } },
+        { $inc: { analyses: count } },
+        { upsert: true, new: true }
+      ).catch(error => {
+        if (error.code === 11000) return null;
+        throw error;
+      });
+    } else {
+      await ApiKeyUsage.updateOne(filter, { $inc: { analyses: count } }, { upsert: true });
+    }
+
+    if (!room) {
+      // Give back what was already reserved for the other period
+      await Promise.all(reserved.map(done => ApiKeyUsage.updateOne(done, { $inc: { analyses: -count } })));
+      return { quota: analyses, limit };
+    }
+    reserved.push(filter);
+  }
+  return null;
+}
+
+/**
+ * Give back reserved analyses (e.g. when queueing failed)
+ */
+async function releaseAnalyses(apiKeyId, count = 1, now = new Date()) {
+  if (!apiKeyId) return;
+  await Promise.all(PERIODS.map(({ period, start }) =>
+    ApiKeyUsage.updateOne({ apiKeyId, period, periodStart: start(now) }, { $inc: { analyses: -count } })
+  ));
+}
+
+/**
+ * Add LLM token usage ({ inputTokens, outputTokens }) to the key's counters
+ */
+async function recordTokenUsage(apiKeyId, usage, now = new Date()) {
+  if (!apiKeyId || !usage) return;
+  const inc = { inputTokens: usage.inputTokens || 0, outputTokens: usage.outputTokens || 0 };
+  if (!inc.inputTokens && !inc.outputTokens) return;
+  await Promise.all(PERIODS.map(({ period, start }) =>
+    ApiKeyUsage.updateOne({ apiKeyId, period, periodStart: start(now) }, { $inc: inc }, { upsert: true })
+  ));
+}
+
+export { getUsage, reserveAnalyses, releaseAnalyses, recordTokenUsage };
@@ -0,0 +1,120 @@
+// Canonical analysis result. Stored results and webhook payloads are built
+// from this nested document; other shapes (Make.com columns, flat paths) are
+// produced by the export adapters in ./exportAdapters.
+//
+// Versions:
+//   1.0.0 - flat Make.com columns plus an `all` JSON string (legacy)
+//   2.0.0 - nested document below
+//
+// {
+//   schema_version,
+//   metadata: { analysis_date, analysis_status, url_analyzed, field_groups: [{ name, section }], ai_validation_status },
+//   analysis: { <section>: { <field>: value } },        // resolved field-group sections
+//   extracted: { contact_info, technical_metrics, social_presence, structured_data },
+//   crawl,
+//   provenance: { fields, page_sources },               // per-field source / page
+//   validation_report, chunking, llm,
+//   enrichments: [{ id, source, received_at, fields }]  // added by POST /receive-analysis
+// }
+
+const LEGACY_SCHEMA_VERSION = '1.0.0';
+const RESULT_SCHEMA_VERSION = '2.0.0';
+const SCHEMA_VERSIONS = [LEGACY_SCHEMA_VERSION, RESULT_SCHEMA_VERSION];
+
+/**
+ * Assemble the canonical result of one analysis
+ * @param {Object} params
+ * @param {String} params.url - Analyzed URL
+ * @param {Array} params.groups - Resolved field groups
+ * @param {Object} params.aiAnalysis - Resolved sections
+ * @param {Object} params.bkb - Business knowledge base built by the extractors
+ */
+function buildAnalysisResult({ url, groups, aiAnalysis, bkb }) {
+  return {
+    schema_version: RESULT_SCHEMA_VERSION,
+    metadata: {
+      analysis_date: new Date().toISOString(),
+      analysis_status: 'completed',
+      url_analyzed: url,
+      field_groups: groups.map(group => ({ name: group.name, section: group.section })),
+      ai_validation_status: bkb.validation_report?.valid ? 'valid' : 'defaulted'
+    },
+    analysis: aiAnalysis,
+    extracted: {
+      contact_info: bkb.contact_info,
+      technical_metrics: bkb.technical_metrics,
+      social_presence: bkb.social_presence,
+      structured_data: bkb.structured_data
+    },
+    crawl: bkb.crawl,
+    provenance: {
+      fields: bkb.field_provenance,
+      page_sources: bkb.field_sources
+    },
+    validation_report: bkb.validation_report,
+    chunking: bkb.chunking,
+    llm: bkb.llm
+  };
+}
+
+/**
+ * Schema version of a stored result. Results written before versioning are
+ * the flat 1.0.0 columns.
+ */
+function detectSchemaVersion(result) {
+  if (!result || typeof result !== 'object') return null;
+  return result.schema_version || LEGACY_SCHEMA_VERSION;
+}
+
+/**
+ * Bring a stored result up to the current schema. 1.0.0 results carry
+ * everything we need in their `all` JSON string.
+ */
+function upgradeResult(result) {
+  const version = detectSchemaVersion(result);
+  if (version !== LEGACY_SCHEMA_VERSION) return result;
+
+  let all = {};
+  try {
+    all = typeof result.all === 'string' ? JSON.parse(result.all) : result.all || {};
+  } catch (error) {
+    console.warn('Stored 1.0.0 result has an unreadable `all` column:', error.message);
+  }
+  const aiAnalysis = all.ai_analysis || {};
+
+  return {
+    schema_version: RESULT_SCHEMA_VERSION,
+    metadata: {
+      analysis_date: all.metadata?.analysis_date || result.metadataAnalysisDate || result.analysisDate,
+      analysis_status: all.metadata?.analysis_status || result.metadataAnalysisStatus || 'completed',
+      url_analyzed: all.metadata?.url_analyzed || result.urlAnalyzed,
+      // 1.0.0 only kept group names; sections are the keys of the AI result in group order
+      field_groups: (all.field_groups || []).map((name, index) => ({ name, section: Object.keys(aiAnalysis)[index] || null })),
+      ai_validation_status: result.metadataAiValidationStatus || (all.validation_report?.valid ? 'valid' : 'defaulted')
+    },
+    analysis: aiAnalysis,
+    extracted: {
+      contact_info: all.contact_info,
+      technical_metrics: all.technical_metrics,
+      social_presence: all.social_presence,
+      structured_data: all.structured_data
+    },
+    crawl: all.crawl,
+    provenance: {
+      fields: all.field_provenance,
+      page_sources: all.field_sources
+    },
+    validation_report: all.validation_report,
+    chunking: all.chunking,
+    llm: all.llm
+  };
+}
+
+export {
+  LEGACY_SCHEMA_VERSION,
+  RESULT_SCHEMA_VERSION,
+  SCHEMA_VERSIONS,
+  buildAnalysisResult,
+  detectSchemaVersion,
+  upgradeResult
+};
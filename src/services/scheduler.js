@@ -0,0 +1,148 @@
+import ApiKey from '../models/apiKey.js';
+import Schedule from '../models/schedule.js';
+import { enqueueAnalysis } from './analysisQueue.js';
+import { analysisCacheKey } from './analysisCache.js';
+import { loadCustomFieldGroups } from './fieldGroups.js';
+import { urlPolicyOf } from './apiKeys.js';
+import { releaseAnalyses, reserveAnalyses } from './quotas.js';
+import { checkUrl } from './urlPolicy.js';
+
+// In-process scheduler: every poll, due schedules are claimed (nextRunAt is
+// moved forward atomically, so several processes can run it) and a fresh
+// analysis is queued for each.
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 60000;
+const MIN_INTERVAL_MINUTES = parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES, 10) || 60;
+
+let running = false;
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Validate schedule settings
+ * @param {Object} params - { intervalMinutes, trackedFields, notifyOnChange, active, name }
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validateScheduleOptions({ intervalMinutes, trackedFields, notifyOnChange, active, name } = {}) {
+  const errors = [];
+  if (intervalMinutes !== undefined && (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES)) {
+    errors.push(`intervalMinutes must be an integer of at least ${MIN_INTERVAL_MINUTES}`);
+  }
+  if (trackedFields !== undefined && (!Array.isArray(trackedFields) || trackedFields.some(path => typeof path !== 'string' || !path))) {
+    errors.push('trackedFields must be an array of field paths');
+  }
+  if (notifyOnChange !== undefined && typeof notifyOnChange !== 'boolean') errors.push('notifyOnChange must be a boolean');
+  if (active !== undefined && typeof active !== 'boolean') errors.push('active must be a boolean');
+  if (name !== undefined && typeof name !== 'string') errors.push('name must be a string');
+  return errors;
+}
+
+// Take the next due schedule and move its nextRunAt forward; null when none is due
+async function claimDueSchedule() {
+  const now = new Date();
+  const due = await Schedule.findOne({ active: true, nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 });
+  if (!due) return null;
+
+  // Only one process wins the update for a given nextRunAt
+  const claimed = await Schedule.findOneAndUpdate(
+    { _id: due._id, nextRunAt: due.nextRunAt },
+    { $set: { nextRunAt: new Date(now.getTime() + due.intervalMinutes * 60000), lastRunAt: now } },
+    { new: true }
+  );
+  return claimed || claimDueSchedule();
+}
+
+const skipRun = (schedule, reason, update = {}) =>
+  Schedule.updateOne({ _id: schedule._id }, { $set: { lastError: reason, ...update } });
+
+/**
+ * Queue one run of a schedule, billed to its owner. Runs are skipped (and
+ * the reason kept in lastError) when the key is revoked, the URL is no
+ * longer allowed, a quota is used up or the previous run is still going.
+ * @returns {Object|null} - The queued Analysis
+ */
+async function runSchedule(schedule) {
+  // Schedules of the bootstrap admin key have no owner and no limits
+  const apiKey = schedule.owner ? await ApiKey.findById(schedule.owner) : { _id: null };
+  if (!apiKey || apiKey.revokedAt) {
+    await skipRun(schedule, 'API key revoked', { active: false });
+    return null;
+  }
+
+  const urlPolicy = urlPolicyOf(apiKey);
+  const target = await checkUrl(schedule.url, urlPolicy);
+  if (!target.ok) {
+    await skipRun(schedule, `URL rejected by policy: ${target.reason}`);
+    return null;
+  }
+
+  const exceeded = await reserveAnalyses(apiKey);
+  if (exceeded) {
+    await skipRun(schedule, `Quota exceeded: ${exceeded.quota} (${exceeded.limit})`);
+    return null;
+  }
+
+  const fieldGroups = schedule.fieldGroups || [];
+  const options = schedule.options || {};
+  try {
+    const customFieldGroups = fieldGroups.length > 0 ? await loadCustomFieldGroups(fieldGroups) : {};
+    const cacheKey = analysisCacheKey({ owner: apiKey._id, url: target.url, fieldGroups, customFieldGroups, options, urlPolicy });
+    const analysis = await enqueueAnalysis({
+      url: target.url,
+      owner: apiKey._id,
+      urlPolicy,
+      cacheKey,
+      inflightKey: cacheKey,
+      options,
+      fieldGroups,
+      customFieldGroups,
+      scheduleId: schedule._id,
+    });
+    await Schedule.updateOne({ _id: schedule._id }, { $set: { lastAnalysisId: analysis._id }, $unset: { lastError: '' } });
+    return analysis;
+  } catch (error) {
+    await releaseAnalyses(apiKey._id);
+    if (error.code === 11000) {
+      await skipRun(schedule, 'Previous run still in progress');
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Run every schedule that is due
+async function runDueSchedules() {
+  if (polling) return;
+  polling = true;
+  try {
+    let schedule;
+    while (running && (schedule = await claimDueSchedule())) {
+      try {
+        await runSchedule(schedule);
+      } catch (error) {
+        console.error(`Failed to run schedule ${schedule._id}:`, error.message);
+        await skipRun(schedule, error.message).catch(() => {});
+      }
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+function startScheduler() {
+  if (running) return;
+  running = true;
+  pollTimer = setInterval(() => {
+    runDueSchedules().catch(error => console.error('Scheduler error:', error.message));
+  }, POLL_INTERVAL_MS);
+  console.log(`Scheduler started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+  runDueSchedules().catch(error => console.error('Scheduler error:', error.message));
+}
+
+function stopScheduler() {
+  running = false;
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+export { MIN_INTERVAL_MINUTES, validateScheduleOptions, runSchedule, runDueSchedules, startScheduler, stopScheduler };
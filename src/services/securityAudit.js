@@ -0,0 +1,366 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchStatus } from '../utils/http.js';
+import { findEmails } from '../utils/contact.js';
+import { collectSignals, detectTechnologies } from './fingerprints.js';
+import { SEVERITIES } from './seoAudit.js';
+
+// Security and privacy posture of the entry page. The page is loaded once
+// more with CDP Security and Network events recorded, before any consent is
+// given (nothing on the page is clicked), so every cookie and tracking
+// request seen happened before consent.
+//
+// Checks: TLS certificate, HTTP to HTTPS redirect, security headers, mixed
+// content, email addresses in the page source, cookie inventory (first- vs
+// third-party), consent banner (platforms from the fingerprint rules, plus a
+// generic banner heuristic) and known trackers (src/data/trackers.json).
+//
+// Issues share the SEO audit shape: { check, severity, message, details? }
+
+const TRACKERS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../data/trackers.json');
+const TRACKERS = JSON.parse(fs.readFileSync(TRACKERS_FILE, 'utf8'));
+
+// Time after load for tag managers to fire their tags
+const SETTLE_MS = parseInt(process.env.SECURITY_AUDIT_SETTLE_MS, 10) || 3000;
+
+const HSTS_MIN_MAX_AGE = 15552000; // 180 days
+const CERT_EXPIRY_WARNING_DAYS = 30;
+const MAX_LISTED = 50;
+
+// Fingerprint categories whose cookies count as tracking
+const TRACKING_CATEGORIES = ['analytics', 'tag_managers', 'marketing'];
+
+/**
+ * Validate options.securityAudit
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validateSecurityAuditOptions(value) {
+  return value === undefined || typeof value === 'boolean' ? [] : ['securityAudit must be a boolean'];
+}
+
+/**
+ * Known tracker a request URL goes to. Entries match the host or any
+ * subdomain; entries with a path (facebook.com/tr) also match its prefix.
+ * @returns {Object|null} - { pattern, company, category }
+ */
+function trackerOf(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase();
+  for (const [pattern, tracker] of Object.entries(TRACKERS)) {
+    const [domain, ...rest] = pattern.split('/');
+    const pathPrefix = rest.length > 0 ? `/${rest.join('/')}` : '/';
+    if ((host === domain || host.endsWith(`.${domain}`)) && parsed.pathname.startsWith(pathPrefix)) return { pattern, ...tracker };
+  }
+  return null;
+}
+
+// First-party: the cookie domain is the site's host, a parent or a subdomain of it
+const isFirstParty = (cookieDomain, pageUrl) => {
+  const domain = cookieDomain.replace(/^\./, '').toLowerCase();
+  const site = new URL(pageUrl).hostname.toLowerCase().replace(/^www\./, '');
+  return domain === site || domain.endsWith(`.${site}`) || site.endsWith(`.${domain}`);
+};
+
+const directivesOf = value => Object.fromEntries(String(value || '').split(';').map(part => part.trim()).filter(Boolean).map((part) => {
+  const [name, ...rest] = part.split(/\s+/);
+  return [name.toLowerCase(), rest.join(' ')];
+}));
+
+/**
+ * Security headers of the main document
+ * @returns {Object} - { hsts, csp, x_frame_options, referrer_policy, x_content_type_options, permissions_policy }
+ */
+function auditHeaders(headers, isHttps, add) {
+  const hstsValue = headers['strict-transport-security'];
+  const hstsDirectives = directivesOf(hstsValue);
+  const maxAge = parseInt(String(hstsValue || '').match(/max-age\s*=\s*"?(\d+)/i)?.[1], 10);
+  const hsts = {
+    present: !!hstsValue,
+    max_age: Number.isNaN(maxAge) ? null : maxAge,
+    include_subdomains: 'includesubdomains' in hstsDirectives,
+    preload: 'preload' in hstsDirectives
+  };
+  if (isHttps && !hsts.present) add('hsts_missing', 'medium', 'Strict-Transport-Security header is missing');
+  else if (isHttps && (hsts.max_age ?? 0) < HSTS_MIN_MAX_AGE) {
+    add('hsts_short', 'low', `HSTS max-age is ${hsts.max_age ?? 0} seconds (at least ${HSTS_MIN_MAX_AGE} recommended)`);
+  }
+
+  const cspValue = headers['content-security-policy'];
+  const cspDirectives = directivesOf(cspValue);
+  const scriptSources = cspDirectives['script-src'] ?? cspDirectives['default-src'] ?? '';
+  const csp = {
+    present: !!cspValue,
+    report_only: !cspValue && !!headers['content-security-policy-report-only'],
+    unsafe_inline: /'unsafe-inline'/.test(scriptSources),
+    unsafe_eval: /'unsafe-eval'/.test(scriptSources),
+    frame_ancestors: cspDirectives['frame-ancestors'] ?? null
+  };
+  if (!csp.present) {
+    add('csp_missing', 'medium', csp.report_only
+      ? 'Content-Security-Policy is only sent in report-only mode'
+      : 'Content-Security-Policy header is missing');
+  } else if (csp.unsafe_inline || csp.unsafe_eval) {
+    add('csp_unsafe', 'low', 'Content-Security-Policy allows unsafe inline scripts or eval');
+  }
+
+  const xFrameOptions = headers['x-frame-options'] || null;
+  if (!xFrameOptions && !csp.frame_ancestors) {
+    add('clickjacking_unprotected', 'medium', 'Neither X-Frame-Options nor CSP frame-ancestors protects against framing');
+  }
+
+  const referrerPolicy = headers['referrer-policy'] || null;
+  if (!referrerPolicy) add('referrer_policy_missing', 'low', 'Referrer-Policy header is missing');
+  else if (/unsafe-url/i.test(referrerPolicy)) add('referrer_policy_unsafe', 'medium', 'Referrer-Policy sends full URLs to other sites (unsafe-url)');
+
+  const contentTypeOptions = headers['x-content-type-options'] || null;
+  if (!/nosniff/i.test(contentTypeOptions || '')) add('content_type_options_missing', 'low', 'X-Content-Type-Options: nosniff is missing');
+
+  return {
+    hsts,
+    csp,
+    x_frame_options: xFrameOptions,
+    referrer_policy: referrerPolicy,
+    x_content_type_options: contentTypeOptions,
+    permissions_policy: headers['permissions-policy'] || null
+  };
+}
+
+/**
+ * Certificate details from the CDP security state, falling back to the
+ * response's security details
+ */
+function auditTls(securityState, response, add) {
+  const certificate = securityState?.certificateSecurityState;
+  const details = response?.securityDetails();
+  if (!certificate && !details) return null;
+
+  const tls = certificate
+    ? {
+      security_state: securityState.securityState,
+      protocol: certificate.protocol,
+      cipher: certificate.cipher,
+      key_exchange: certificate.keyExchange || null,
+      subject: certificate.subjectName,
+      issuer: certificate.issuer,
+      valid_from: new Date(certificate.validFrom * 1000).toISOString(),
+      valid_to: new Date(certificate.validTo * 1000).toISOString(),
+      weak_signature: !!(certificate.certificateHasWeakSignature || certificate.certificateHasSha1Signature),
+      obsolete_protocol: !!certificate.obsoleteSslProtocol,
+      certificate_error: certificate.certificateNetworkError || null
+    }
+    : {
+      security_state: null,
+      protocol: details.protocol(),
+      cipher: null,
+      key_exchange: null,
+      subject: details.subjectName(),
+      issuer: details.issuer(),
+      valid_from: new Date(details.validFrom() * 1000).toISOString(),
+      valid_to: new Date(details.validTo() * 1000).toISOString(),
+      weak_signature: false,
+      obsolete_protocol: /^(SSL|TLS 1(\.[01])?$)/i.test(details.protocol() || ''),
+      certificate_error: null
+    };
+
+  const daysLeft = Math.floor((new Date(tls.valid_to).getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+  tls.days_until_expiry = daysLeft;
+  if (tls.certificate_error) add('certificate_error', 'critical', `Certificate error: ${tls.certificate_error}`);
+  if (daysLeft < 0) add('certificate_expired', 'critical', `Certificate expired on ${tls.valid_to}`);
+  else if (daysLeft < CERT_EXPIRY_WARNING_DAYS) add('certificate_expiring', 'medium', `Certificate expires in ${daysLeft} day(s)`);
+  if (tls.obsolete_protocol) add('tls_obsolete_protocol', 'high', `Obsolete TLS protocol in use (${tls.protocol})`);
+  if (tls.weak_signature) add('certificate_weak_signature', 'medium', 'Certificate is signed with a weak algorithm');
+  return tls;
+}
+
+/**
+ * Whether the plain-HTTP address of the site redirects to HTTPS
+ */
+async function auditHttpsRedirect(url, guard, add) {
+  const httpUrl = `http://${new URL(url).host}/`;
+  const result = await fetchStatus(httpUrl, { guard });
+  const redirectsToHttps = result.chain.length > 0 && result.final_url.startsWith('https:');
+  const summary = {
+    url: httpUrl,
+    redirects_to_https: redirectsToHttps,
+    status: result.chain[0]?.status ?? result.status,
+    final_url: result.final_url,
+    hops: result.chain.length,
+    error: result.error
+  };
+  if (result.error === 'blocked by URL policy') return summary;
+
+  if (!redirectsToHttps && result.status !== null) {
+    add('http_not_redirected', 'high', 'The HTTP address does not redirect to HTTPS', { details: { url: httpUrl, status: result.status } });
+  } else if (redirectsToHttps && ![301, 308].includes(summary.status)) {
+    add('http_redirect_temporary', 'low', `HTTP to HTTPS redirect is temporary (${summary.status})`);
+  }
+  if (redirectsToHttps && result.chain.length > 1) add('http_redirect_chain', 'low', `HTTP to HTTPS takes ${result.chain.length} redirects`);
+  return summary;
+}
+
+// Generic cookie banner: a fixed or sticky box that talks about cookies and has an accept button
+const FIND_CONSENT_BANNER = () => {
+  const TEXT = /cookie|consent|gdpr|privacy|datenschutz|confidentialit/i;
+  const ACCEPT = /accept|agree|allow|got it|^ok$|akzeptieren|zustimmen|accepter|aceptar|accetta/i;
+  for (const el of document.querySelectorAll('body *')) {
+    const style = window.getComputedStyle(el);
+    if (!['fixed', 'sticky'].includes(style.position) || style.display === 'none' || style.visibility === 'hidden') continue;
+    if (el.getClientRects().length === 0 || !TEXT.test(el.textContent || '')) continue;
+    const accept = Array.from(el.querySelectorAll('button, a, [role="button"], input[type="button"], input[type="submit"]'))
+      .some(button => ACCEPT.test((button.innerText || button.value || '').trim()));
+    if (!accept) continue;
+    return {
+      selector: el.id ? `#${el.id}` : `${el.tagName.toLowerCase()}${el.classList[0] ? `.${el.classList[0]}` : ''}`,
+      text: (el.innerText || '').replace(/\s+/g, ' ').trim().slice(0, 200)
+    };
+  }
+  return null;
+};
+
+/**
+ * Load the page with security and network recording and run every check
+ * @param {Object} params - { context, url, guard, timeout, waitUntil }
+ * @returns {Object} - { audited_at, url, final_url, tls, https_redirect, headers, mixed_content, exposed_emails, cookies, consent, tracking_before_consent, summary, issues }
+ */
+async function auditSecurity({ context, url, guard, timeout = 60000, waitUntil = 'networkidle2' }) {
+  const issues = [];
+  const add = (check, severity, message, extra = {}) => issues.push({ check, severity, message, ...extra });
+
+  const page = await context.newPage();
+  try {
+    if (guard) await guard.attach(page);
+    const client = await page.createCDPSession();
+
+    let securityState = null;
+    client.on('Security.visibleSecurityStateChanged', ({ visibleSecurityState }) => {
+      securityState = visibleSecurityState;
+    });
+    const mixedContent = [];
+    const trackers = new Map(); // pattern -> { company, category, host, requests, example_url }
+    client.on('Network.requestWillBeSent', ({ request, type }) => {
+      if (request.mixedContentType && request.mixedContentType !== 'none' && mixedContent.length < MAX_LISTED) {
+        mixedContent.push({ url: request.url.slice(0, 300), type: (type || 'other').toLowerCase(), mixed_content_type: request.mixedContentType });
+      }
+      const tracker = trackerOf(request.url);
+      if (!tracker) return;
+      const entry = trackers.get(tracker.pattern) || {
+        company: tracker.company,
+        category: tracker.category,
+        host: new URL(request.url).hostname,
+        requests: 0,
+        example_url: request.url.slice(0, 300)
+      };
+      entry.requests += 1;
+      trackers.set(tracker.pattern, entry);
+    });
+    await client.send('Security.enable');
+    await client.send('Network.enable');
+
+    const response = await page.goto(url, { waitUntil, timeout });
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+    const finalUrl = page.url();
+    const isHttps = finalUrl.startsWith('https:');
+    const headers = response ? response.headers() : {};
+
+    // Transport
+    if (!isHttps) add('https_missing', 'critical', 'The site is served over plain HTTP');
+    const tls = isHttps ? auditTls(securityState, response, add) : null;
+    const httpsRedirect = await auditHttpsRedirect(finalUrl, guard, add);
+    const headerReport = auditHeaders(headers, isHttps, add);
+    if (mixedContent.length > 0) {
+      const blockable = mixedContent.filter(item => item.mixed_content_type === 'blockable').length;
+      add('mixed_content', blockable > 0 ? 'high' : 'medium', `${mixedContent.length} resource(s) are loaded over HTTP on an HTTPS page`, {
+        details: mixedContent.slice(0, 10)
+      });
+    }
+
+    // Email addresses bots can harvest from the source
+    const html = await page.content();
+    const mailtoEmails = new Set(findEmails((await page.$$eval('a[href^="mailto:"]', links => links.map(link => link.href))).join(' ')));
+    const exposedEmails = findEmails(html).slice(0, MAX_LISTED).map(email => ({ email, mailto: mailtoEmails.has(email) }));
+    if (exposedEmails.length > 0) {
+      add('emails_exposed', 'low', `${exposedEmails.length} email address(es) appear in the page source unobfuscated`, {
+        details: exposedEmails.map(item => item.email)
+      });
+    }
+
+    // Cookies set before any consent
+    const { cookies: rawCookies = [] } = await client.send('Network.getAllCookies');
+    const cookies = rawCookies.slice(0, MAX_LISTED * 2).map((cookie) => {
+      const [technology] = detectTechnologies({ cookies: { [cookie.name]: cookie.value } });
+      return {
+        name: cookie.name,
+        domain: cookie.domain,
+        party: isFirstParty(cookie.domain, finalUrl) ? 'first' : 'third',
+        secure: cookie.secure,
+        http_only: cookie.httpOnly,
+        same_site: cookie.sameSite || null,
+        session: cookie.session,
+        expires: cookie.session ? null : new Date(cookie.expires * 1000).toISOString(),
+        technology: technology ? technology.name : null,
+        technology_category: technology ? technology.category : null
+      };
+    });
+    const thirdPartyCookies = cookies.filter(cookie => cookie.party === 'third');
+    if (isHttps) {
+      const insecure = cookies.filter(cookie => cookie.party === 'first' && !cookie.secure);
+      if (insecure.length > 0) {
+        add('cookies_not_secure', 'low', `${insecure.length} first-party cookie(s) lack the Secure flag`, { details: insecure.map(cookie => cookie.name) });
+      }
+    }
+
+    // Consent
+    const signals = await collectSignals(page, response);
+    const platforms = detectTechnologies(signals).filter(technology => technology.category === 'consent').map(technology => technology.name);
+    const banner = await page.evaluate(FIND_CONSENT_BANNER);
+    const tcf = await page.evaluate(() => typeof window.__tcfapi === 'function');
+    const consent = { banner_detected: platforms.length > 0 || !!banner || tcf, platforms, tcf, banner };
+
+    const tracking = [...trackers.values()];
+    const trackingCookies = cookies.filter(cookie =>
+      cookie.party === 'third' || TRACKING_CATEGORIES.includes(cookie.technology_category));
+    if (tracking.length > 0 || trackingCookies.length > 0) {
+      const details = {
+        trackers: tracking.map(tracker => `${tracker.company} (${tracker.host})`),
+        cookies: trackingCookies.map(cookie => `${cookie.name} (${cookie.domain})`).slice(0, 20)
+      };
+      if (!consent.banner_detected) {
+        add('consent_banner_missing', 'high', 'Trackers or third-party cookies are used and no consent banner was found', { details });
+      } else {
+        add('tracking_before_consent', 'high', 'Trackers or third-party cookies load before the visitor gives consent', { details });
+      }
+    }
+
+    issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    return {
+      audited_at: new Date().toISOString(),
+      url,
+      final_url: finalUrl,
+      tls,
+      https_redirect: httpsRedirect,
+      headers: headerReport,
+      mixed_content: mixedContent,
+      exposed_emails: exposedEmails,
+      cookies: {
+        total: cookies.length,
+        first_party: cookies.length - thirdPartyCookies.length,
+        third_party: thirdPartyCookies.length,
+        items: cookies
+      },
+      consent,
+      tracking_before_consent: tracking,
+      summary: Object.fromEntries(SEVERITIES.map(severity => [severity, issues.filter(issue => issue.severity === severity).length])),
+      issues
+    };
+  } finally {
+    try { await page.close(); } catch {}
+  }
+}
+
+export { validateSecurityAuditOptions, trackerOf, auditHeaders, auditSecurity };
@@ -0,0 +1,363 @@
+import { fetchStatus, fetchText } from '../utils/http.js';
+import { isAllowedByRobots, parseRobotsTxt, validateRobotsTxt } from '../utils/robots.js';
+import { canonicalizeUrl, isSameSite } from '../utils/url.js';
+
+// SEO audit. `extractSeoSignals` runs on every crawled page; `auditSeo` then
+// checks robots.txt and the sitemap, compares pages with each other (duplicate
+// titles and descriptions), checks the internal links found on them and
+// returns the issue list.
+//
+// Issue: { check, severity, message, url?, details? }
+// Severities, most urgent first: critical, high, medium, low, info
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+// Internal links checked per audit (crawled pages don't count) and checks in flight
+const MAX_LINK_CHECKS = parseInt(process.env.SEO_MAX_LINK_CHECKS, 10) || 50;
+const LINK_CHECK_CONCURRENCY = 5;
+const MAX_LINKS_PER_PAGE = 200;
+
+const TITLE_LENGTH = { min: 10, max: 60 };
+const DESCRIPTION_LENGTH = { min: 50, max: 160 };
+const OPENGRAPH_REQUIRED = ['title', 'type', 'image', 'url'];
+
+// BCP 47 language (and optional region/script) or x-default
+const HREFLANG_PATTERN = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+/**
+ * Validate options.seoAudit
+ * @returns {Array} - Error messages; empty when valid
+ */
+function validateSeoAuditOptions(value) {
+  return value === undefined || typeof value === 'boolean' ? [] : ['seoAudit must be a boolean'];
+}
+
+/**
+ * Page-level SEO facts of a loaded page
+ * @param {Object} page - Puppeteer page
+ * @param {Object} pageContext - { response } of the page load
+ * @returns {Object} - { title, meta_description, robots_meta, lang, canonical, hreflang, headings, images, opengraph, json_ld, links, redirects }
+ */
+async function extractSeoSignals(page, { response } = {}) {
+  const signals = await page.evaluate((maxLinks) => {
+    const attributes = (selector, name) => Array.from(document.querySelectorAll(selector)).map(el => el.getAttribute(name) || '');
+
+    const opengraph = {};
+    document.querySelectorAll('meta[property^="og:"]').forEach(meta => {
+      const key = meta.getAttribute('property').slice(3);
+      if (meta.content && opengraph[key] === undefined) opengraph[key] = meta.content;
+    });
+
+    // JSON-LD problems only; the content itself is read by the structured data extractor
+    const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]')).map((script, index) => {
+      try {
+        const data = JSON.parse(script.textContent);
+        const items = [].concat(data?.['@graph'] || data);
+        return {
+          index,
+          valid: true,
+          missing_context: !Array.isArray(data) && !data?.['@context'],
+          missing_type: items.filter(item => !item?.['@type']).length
+        };
+      } catch (error) {
+        return { index, valid: false, error: error.message };
+      }
+    });
+
+    const images = Array.from(document.images);
+    return {
+      title: document.title.trim(),
+      meta_description: document.querySelector('meta[name="description"]')?.content?.trim() ?? null,
+      robots_meta: document.querySelector('meta[name="robots"]')?.content ?? null,
+      lang: document.documentElement.getAttribute('lang'),
+      canonical: attributes('link[rel="canonical"]', 'href'),
+      hreflang: Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]')).map(link => ({
+        lang: link.getAttribute('hreflang'),
+        href: link.getAttribute('href') || ''
+      })),
+      headings: Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(heading => ({
+        level: Number(heading.tagName[1]),
+        text: heading.textContent.replace(/\s+/g, ' ').trim().slice(0, 100)
+      })),
+      images: {
+        total: images.length,
+        // alt="" is the right markup for decorative images, so presence is what counts
+        with_alt: images.filter(image => image.hasAttribute('alt')).length
+      },
+      opengraph,
+      json_ld: jsonLd,
+      links: [...new Set(Array.from(document.links)
+        .filter(link => link.origin === location.origin && /^https?:$/.test(link.protocol))
+        .map(link => link.href.split('#')[0]))].slice(0, maxLinks)
+    };
+  }, MAX_LINKS_PER_PAGE);
+
+  // Redirects the browser followed to reach the page
+  const request = response?.request();
+  signals.redirects = request
+    ? request.redirectChain().map(hop => ({ url: hop.url(), status: hop.response()?.status() ?? null }))
+    : [];
+  return signals;
+}
+
+// Collects issues in the shared shape
+function createIssueList() {
+  const issues = [];
+  const add = (check, severity, message, extra = {}) => issues.push({ check, severity, message, ...extra });
+  return { issues, add };
+}
+
+/**
+ * robots.txt checks: presence, syntax, whether the entry page may be crawled
+ */
+async function auditRobotsTxt(entryUrl, guard, add) {
+  const url = new URL('/robots.txt', entryUrl).toString();
+  const text = await fetchText(url, { guard });
+  if (text === null) {
+    add('robots_txt_missing', 'medium', 'robots.txt is missing or unreachable', { url });
+    return { found: false, url, sitemaps: [], errors: [] };
+  }
+
+  const errors = validateRobotsTxt(text);
+  if (errors.length > 0) {
+    add('robots_txt_invalid', 'low', `robots.txt has ${errors.length} invalid line(s)`, { url, details: errors.slice(0, 20) });
+  }
+  const allowsEntry = ['Googlebot', 'Bingbot'].every(agent => isAllowedByRobots(parseRobotsTxt(text, agent), entryUrl));
+  if (!allowsEntry) {
+    add('robots_txt_blocks_site', 'critical', 'robots.txt blocks search engines from the home page', { url });
+  }
+  return { found: true, url, sitemaps: parseRobotsTxt(text).sitemaps, errors, allows_entry: allowsEntry };
+}
+
+/**
+ * Sitemap checks: the first sitemap listed in robots.txt, else /sitemap.xml
+ */
+async function auditSitemap(entryUrl, robotsSitemaps, guard, add) {
+  const url = robotsSitemaps[0] || new URL('/sitemap.xml', entryUrl).toString();
+  const xml = await fetchText(url, { guard });
+  if (xml === null) {
+    add('sitemap_missing', 'medium', 'No XML sitemap found', { url });
+    return { found: false, url, valid: false, url_count: 0 };
+  }
+
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const locs = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]\s]+)\s*(?:\]\]>)?\s*<\/loc>/gi)].map(match => match[1]);
+  const valid = (isIndex || /<urlset[\s>]/i.test(xml)) && locs.length > 0;
+  if (!valid) {
+    add('sitemap_invalid', 'high', 'The sitemap is not a valid urlset or sitemap index, or lists no URLs', { url });
+  } else {
+    const foreign = locs.filter(loc => !canonicalizeUrl(loc) || !isSameSite(loc, entryUrl));
+    if (foreign.length > 0) {
+      add('sitemap_foreign_urls', 'medium', `The sitemap lists ${foreign.length} URL(s) that are relative or on another host`, {
+        url,
+        details: foreign.slice(0, 10)
+      });
+    }
+  }
+  if (robotsSitemaps.length === 0) add('sitemap_not_in_robots', 'info', 'robots.txt does not point to the sitemap', { url });
+  return { found: true, url, valid, type: isIndex ? 'index' : 'urlset', url_count: locs.length };
+}
+
+// Pages sharing a value (title or description), as [value, urls] pairs
+const duplicatesOf = (pages, key) => {
+  const byValue = new Map();
+  for (const page of pages) {
+    const value = page.seo[key];
+    if (!value) continue;
+    byValue.set(value, [...(byValue.get(value) || []), page.url]);
+  }
+  return [...byValue.entries()].filter(([, urls]) => urls.length > 1);
+};
+
+/**
+ * Checks on one page's signals
+ */
+function auditPage({ url, seo }, add) {
+  const issue = (check, severity, message, details) => add(check, severity, message, { url, ...(details && { details }) });
+
+  if (/noindex/i.test(seo.robots_meta || '')) issue('noindex', 'high', 'Page is excluded from search results (meta robots noindex)');
+
+  if (!seo.title) issue('title_missing', 'high', 'Page has no title');
+  else if (seo.title.length < TITLE_LENGTH.min || seo.title.length > TITLE_LENGTH.max) {
+    issue('title_length', 'low', `Title is ${seo.title.length} characters (${TITLE_LENGTH.min}-${TITLE_LENGTH.max} recommended)`);
+  }
+  if (!seo.meta_description) issue('description_missing', 'medium', 'Page has no meta description');
+  else if (seo.meta_description.length < DESCRIPTION_LENGTH.min || seo.meta_description.length > DESCRIPTION_LENGTH.max) {
+    issue('description_length', 'low',
+      `Meta description is ${seo.meta_description.length} characters (${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max} recommended)`);
+  }
+  if (!seo.lang) issue('lang_missing', 'low', 'The html element has no lang attribute');
+
+  // Canonical
+  if (seo.canonical.length === 0) issue('canonical_missing', 'low', 'Page has no canonical link');
+  else if (seo.canonical.length > 1) issue('canonical_multiple', 'medium', `Page has ${seo.canonical.length} canonical links`, seo.canonical);
+  else {
+    const [href] = seo.canonical;
+    if (!/^https?:\/\//i.test(href)) issue('canonical_relative', 'low', 'Canonical link is not an absolute URL', { href });
+    else if (!isSameSite(href, url)) issue('canonical_other_host', 'medium', 'Canonical link points to another host', { href });
+  }
+
+  // hreflang
+  if (seo.hreflang.length > 0) {
+    const invalid = seo.hreflang.filter(alternate => !HREFLANG_PATTERN.test(alternate.lang));
+    if (invalid.length > 0) issue('hreflang_invalid', 'medium', 'hreflang has invalid language codes', invalid);
+    const relative = seo.hreflang.filter(alternate => !/^https?:\/\//i.test(alternate.href));
+    if (relative.length > 0) issue('hreflang_relative', 'low', 'hreflang links must be absolute URLs', relative);
+    const self = canonicalizeUrl(url);
+    const resolve = href => {
+      try {
+        return canonicalizeUrl(new URL(href, url).toString());
+      } catch {
+        return null;
+      }
+    };
+    if (!seo.hreflang.some(alternate => resolve(alternate.href) === self)) {
+      issue('hreflang_no_self_reference', 'low', 'hreflang alternates do not include the page itself');
+    }
+    if (!seo.hreflang.some(alternate => alternate.lang.toLowerCase() === 'x-default')) {
+      issue('hreflang_no_x_default', 'info', 'hreflang alternates have no x-default');
+    }
+  }
+
+  // Heading hierarchy
+  const h1Count = seo.headings.filter(heading => heading.level === 1).length;
+  if (h1Count === 0) issue('h1_missing', 'high', 'Page has no h1 heading');
+  if (h1Count > 1) issue('h1_multiple', 'low', `Page has ${h1Count} h1 headings`);
+  const skipped = [];
+  seo.headings.forEach((heading, index) => {
+    const previous = seo.headings[index - 1];
+    if (previous && heading.level > previous.level + 1) skipped.push({ from: previous.level, to: heading.level, heading: heading.text });
+  });
+  if (skipped.length > 0) issue('heading_level_skipped', 'low', 'Heading levels are skipped', skipped.slice(0, 10));
+
+  // Image alt text
+  if (seo.images.total > 0 && seo.images.with_alt < seo.images.total) {
+    const ratio = seo.images.with_alt / seo.images.total;
+    issue('image_alt_missing', ratio < 0.5 ? 'medium' : 'low',
+      `${seo.images.total - seo.images.with_alt} of ${seo.images.total} images have no alt attribute`,
+      { alt_ratio: Number(ratio.toFixed(2)) });
+  }
+
+  // Open Graph
+  const missingOpengraph = OPENGRAPH_REQUIRED.filter(key => !seo.opengraph[key]);
+  if (missingOpengraph.length === OPENGRAPH_REQUIRED.length) issue('opengraph_missing', 'medium', 'Page has no Open Graph tags');
+  else if (missingOpengraph.length > 0) {
+    issue('opengraph_incomplete', 'low', `Open Graph tags missing: ${missingOpengraph.map(key => `og:${key}`).join(', ')}`);
+  }
+
+  // Structured data
+  for (const block of seo.json_ld) {
+    if (!block.valid) issue('structured_data_invalid', 'high', `JSON-LD block ${block.index + 1} is not valid JSON`, { error: block.error });
+    else if (block.missing_context) issue('structured_data_no_context', 'medium', `JSON-LD block ${block.index + 1} has no @context`);
+    else if (block.missing_type > 0) issue('structured_data_no_type', 'medium', `JSON-LD block ${block.index + 1} has items without @type`);
+  }
+
+  // Redirects on the way to the page
+  if (seo.redirects.length > 1) {
+    issue('redirect_chain', 'medium', `Page is reached through ${seo.redirects.length} redirects`, seo.redirects);
+  }
+}
+
+/**
+ * Status of the internal links found on crawled pages that weren't crawled
+ * themselves; broken links and redirecting links become issues
+ */
+async function auditLinks(pages, guard, add) {
+  const known = new Map();
+  for (const page of pages) known.set(canonicalizeUrl(page.url), page.status);
+
+  const linkedFrom = new Map();
+  for (const page of pages) {
+    for (const link of page.seo.links) {
+      const canonical = canonicalizeUrl(link);
+      if (!canonical) continue;
+      if (!linkedFrom.has(canonical)) linkedFrom.set(canonical, { url: link, pages: [] });
+      linkedFrom.get(canonical).pages.push(page.url);
+    }
+  }
+
+  const toCheck = [...linkedFrom.entries()].filter(([canonical]) => !known.has(canonical)).slice(0, MAX_LINK_CHECKS);
+  const results = [];
+  for (let index = 0; index < toCheck.length; index += LINK_CHECK_CONCURRENCY) {
+    const slice = toCheck.slice(index, index + LINK_CHECK_CONCURRENCY);
+    results.push(...await Promise.all(slice.map(async ([, link]) => ({ link, result: await fetchStatus(link.url, { guard }) }))));
+  }
+
+  let broken = 0;
+  for (const { link, result } of results) {
+    const extra = { url: link.url, details: { status: result.status, linked_from: link.pages.slice(0, 5) } };
+    if (result.error === 'blocked by URL policy') continue;
+    if (result.status === null) {
+      broken += 1;
+      add('broken_internal_link', 'medium', `Internal link is unreachable (${result.error})`, extra);
+    } else if (result.status >= 400) {
+      broken += 1;
+      add('broken_internal_link', result.status >= 500 || result.status === 404 || result.status === 410 ? 'high' : 'medium',
+        `Internal link returns HTTP ${result.status}`, extra);
+    }
+    if (result.chain.length > 1) {
+      add('redirect_chain', 'medium', `Internal link goes through ${result.chain.length} redirects`, {
+        url: link.url,
+        details: { chain: result.chain, final_url: result.final_url, linked_from: link.pages.slice(0, 5) }
+      });
+    } else if (result.chain.length === 1 && result.status !== null && result.status < 400) {
+      add('link_to_redirect', 'low', 'Internal link points to a redirect', {
+        url: link.url,
+        details: { status: result.chain[0].status, final_url: result.final_url, linked_from: link.pages.slice(0, 5) }
+      });
+    }
+  }
+
+  // Crawled pages that failed
+  for (const page of pages) {
+    if (page.status >= 400) add('broken_internal_link', 'high', `Crawled page returns HTTP ${page.status}`, { url: page.url });
+  }
+  return { found: linkedFrom.size, checked: results.length, broken };
+}
+
+/**
+ * Run the site-level checks over the crawled pages
+ * @param {Object} params
+ * @param {String} params.entryUrl - Page the analysis started from
+ * @param {Array} params.pages - [{ url, status, seo }] crawled pages with extractSeoSignals output
+ * @param {Object} params.guard - URL policy guard for robots.txt, sitemap and link checks
+ * @returns {Object} - { audited_at, pages_audited, robots_txt, sitemap, images, links, summary, issues }
+ */
+async function auditSeo({ entryUrl, pages, guard }) {
+  const { issues, add } = createIssueList();
+  const audited = pages.filter(page => page.seo);
+
+  const robotsTxt = await auditRobotsTxt(entryUrl, guard, add);
+  const sitemap = await auditSitemap(entryUrl, robotsTxt.sitemaps, guard, add);
+
+  for (const page of audited) auditPage(page, add);
+  for (const [title, urls] of duplicatesOf(audited, 'title')) {
+    add('title_duplicate', 'medium', `${urls.length} pages share the title "${title.slice(0, 80)}"`, { details: urls });
+  }
+  for (const [description, urls] of duplicatesOf(audited, 'meta_description')) {
+    add('description_duplicate', 'medium', `${urls.length} pages share the meta description "${description.slice(0, 80)}"`, { details: urls });
+  }
+
+  const links = await auditLinks(audited, guard, add);
+
+  const images = audited.reduce((totals, page) => ({
+    total: totals.total + page.seo.images.total,
+    with_alt: totals.with_alt + page.seo.images.with_alt
+  }), { total: 0, with_alt: 0 });
+  images.alt_ratio = images.total > 0 ? Number((images.with_alt / images.total).toFixed(2)) : null;
+
+  issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, issues.filter(issue => issue.severity === severity).length]));
+  return {
+    audited_at: new Date().toISOString(),
+    pages_audited: audited.length,
+    robots_txt: robotsTxt,
+    sitemap,
+    images,
+    links,
+    summary,
+    issues
+  };
+}
+
+export { SEVERITIES, validateSeoAuditOptions, extractSeoSignals, auditPage, auditSeo };
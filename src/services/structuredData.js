@@ -0,0 +1,274 @@
+// Structured data published by the site itself: schema.org JSON-LD,
+// Microdata and RDFa, plus OpenGraph and Twitter Card meta tags.
+
+// schema.org types we treat as "the business"
+const BUSINESS_TYPES = /^(Organization|Corporation|LocalBusiness|OnlineBusiness|OnlineStore|NGO|EducationalOrganization|MedicalOrganization|SportsOrganization|Store|Restaurant|FoodEstablishment|ProfessionalService|HomeAndConstructionBusiness|HealthAndBeautyBusiness|AutomotiveBusiness|LegalService|FinancialService|LodgingBusiness|EntertainmentBusiness|Dentist|Physician|Attorney|RealEstateAgent|TravelAgency|CafeOrCoffeeShop|Bakery|BarOrPub|Hotel|.+Business|.+Store|.+Service)$/;
+
+const SOCIAL_DOMAINS = {
+  facebook: /facebook\.com/,
+  instagram: /instagram\.com/,
+  twitter: /(twitter|x)\.com/,
+  linkedin: /linkedin\.com/,
+  youtube: /youtube\.com|youtu\.be/,
+  tiktok: /tiktok\.com/,
+  pinterest: /pinterest\.com/,
+  yelp: /yelp\.com/
+};
+
+/**
+ * Collect raw structured data from a loaded page
+ * @returns {Object} - { json_ld, microdata, rdfa, opengraph, twitter, errors }
+ */
+async function extractPageStructuredData(page) {
+  const raw = await page.evaluate(() => {
+    const shortType = value => String(value || '').split(/[/#:]/).pop();
+    const errors = [];
+
+    // JSON-LD
+    const jsonLd = [];
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((script, index) => {
+      try {
+        jsonLd.push(JSON.parse(script.textContent));
+      } catch (error) {
+        errors.push({ format: 'json-ld', index, message: error.message });
+      }
+    });
+
+    // Microdata / RDFa share one walker: props belong to the nearest enclosing scope
+    const readValue = (el, ...attributes) => {
+      for (const attribute of attributes) {
+        const value = el.getAttribute(attribute);
+        if (value) return attribute === 'href' || attribute === 'src' ? el[attribute] || value : value;
+      }
+      return el.textContent.replace(/\s+/g, ' ').trim();
+    };
+    const parseScope = (scope, scopeAttr, typeAttr, propAttr, valueAttrs) => {
+      const item = { '@type': (scope.getAttribute(typeAttr) || '').split(/\s+/).filter(Boolean).map(shortType) };
+      if (item['@type'].length === 1) item['@type'] = item['@type'][0];
+      scope.querySelectorAll(`[${propAttr}]`).forEach(el => {
+        if (el.parentElement?.closest(`[${scopeAttr}]`) !== scope) return;
+        const value = el.hasAttribute(scopeAttr)
+          ? parseScope(el, scopeAttr, typeAttr, propAttr, valueAttrs)
+          : readValue(el, ...valueAttrs);
+        for (const name of el.getAttribute(propAttr).split(/\s+/).map(shortType)) {
+          if (item[name] === undefined) item[name] = value;
+          else item[name] = [].concat(item[name], value);
+        }
+      });
+      return item;
+    };
+
+    const microdata = Array.from(document.querySelectorAll('[itemscope]:not([itemprop])')).map(scope =>
+      parseScope(scope, 'itemscope', 'itemtype', 'itemprop', ['content', 'href', 'src', 'datetime'])
+    );
+    const rdfa = Array.from(document.querySelectorAll('[typeof]')).filter(scope =>
+      !scope.hasAttribute('property') && !scope.parentElement?.closest('[typeof]')
+    ).map(scope =>
+      parseScope(scope, 'typeof', 'typeof', 'property', ['content', 'href', 'resource', 'src'])
+    );
+
+    // OpenGraph and Twitter Card tags
+    const metaTags = prefix => {
+      const tags = {};
+      document.querySelectorAll(`meta[property^="${prefix}:"], meta[name^="${prefix}:"]`).forEach(meta => {
+        const key = (meta.getAttribute('property') || meta.getAttribute('name')).slice(prefix.length + 1);
+        if (meta.content && tags[key] === undefined) tags[key] = meta.content;
+      });
+      return tags;
+    };
+
+    return { json_ld: jsonLd, microdata, rdfa, opengraph: metaTags('og'), twitter: metaTags('twitter'), errors };
+  });
+
+  return { ...raw, entities: normalizeEntities(raw) };
+}
+
+const typesOf = entity => [].concat(entity['@type'] || []).map(type => String(type).split(/[/#:]/).pop());
+
+/**
+ * Flatten JSON-LD (@graph, top-level arrays) and microdata/RDFa items
+ * into one list of entities with a `_format` marker
+ */
+function normalizeEntities(raw) {
+  const entities = [];
+  const visit = (node, format) => {
+    if (Array.isArray(node)) return node.forEach(child => visit(child, format));
+    if (!node || typeof node !== 'object') return;
+    if (node['@graph']) visit(node['@graph'], format);
+    if (node['@type']) entities.push({ ...node, _format: format });
+  };
+  visit(raw.json_ld, 'json-ld');
+  visit(raw.microdata, 'microdata');
+  visit(raw.rdfa, 'rdfa');
+  return entities;
+}
+
+/**
+ * The entity describing the business itself, preferring the most specific
+ * LocalBusiness subtype and JSON-LD over Microdata/RDFa
+ */
+function findBusinessEntity(entities) {
+  const candidates = entities.filter(entity => typesOf(entity).some(type => BUSINESS_TYPES.test(type)));
+  const specificity = entity => (typesOf(entity).some(type => type !== 'Organization' && type !== 'Corporation') ? 1 : 0);
+  return candidates.sort((a, b) =>
+    specificity(b) - specificity(a) || (a._format === 'json-ld' ? -1 : 0) - (b._format === 'json-ld' ? -1 : 0)
+  )[0] || null;
+}
+
+const first = value => (Array.isArray(value) ? value[0] : value);
+const text = value => {
+  const single = first(value);
+  if (single === undefined || single === null) return '';
+  if (typeof single === 'object') return single.name || single['@id'] || '';
+  return String(single).trim();
+};
+const list = value => [].concat(value || []).map(item => (typeof item === 'object' ? item?.name : item)).filter(Boolean).map(String);
+
+function formatAddress(address) {
+  const value = first(address);
+  if (!value) return '';
+  if (typeof value === 'string') return value.trim();
+  return [
+    value.streetAddress,
+    value.addressLocality,
+    [value.addressRegion, value.postalCode].filter(Boolean).join(' '),
+    text(value.addressCountry)
+  ].map(part => (typeof part === 'string' ? part.trim() : '')).filter(Boolean).join(', ');
+}
+
+function formatOpeningHours(entity) {
+  if (entity.openingHours) return list(entity.openingHours).join('; ');
+  // Entries in the wild can be null or strings; only plain objects are specifications
+  const specs = [].concat(entity.openingHoursSpecification || [])
+    .filter(spec => spec && typeof spec === 'object' && !Array.isArray(spec));
+  return specs
+    .map(spec => {
+      const days = list(spec.dayOfWeek).map(day => day.split('/').pop()).join(', ');
+      return spec.opens && spec.closes ? `${days} ${spec.opens}-${spec.closes}` : days;
+    })
+    .filter(Boolean)
+    .join('; ');
+}
+
+function formatEmployees(value) {
+  const single = first(value);
+  if (!single) return '';
+  if (typeof single !== 'object') return String(single);
+  if (single.value) return String(single.value);
+  if (single.minValue || single.maxValue) return `${single.minValue ?? ''}-${single.maxValue ?? ''}`;
+  return '';
+}
+
+/**
+ * Map structured data onto result fields
+ * @returns {Object} - path -> { value, selector }
+ */
+function mapStructuredFields(structured) {
+  const fields = {};
+  const set = (path, value, selector) => {
+    const empty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    if (!empty && !fields[path]) fields[path] = { value, selector };
+  };
+
+  const entity = findBusinessEntity(structured.entities || []);
+  if (entity) {
+    const selector = entity._format === 'json-ld'
+      ? 'script[type="application/ld+json"]'
+      : entity._format === 'microdata' ? '[itemscope][itemtype]' : '[typeof]';
+
+    set('basic_info.business_name', text(entity.name) || text(entity.legalName), selector);
+    set('basic_info.business_description', text(entity.description), selector);
+    set('basic_info.contact_email', text(entity.email).replace(/^mailto:/i, ''), selector);
+    set('basic_info.phone_number', text(entity.telephone), selector);
+    set('basic_info.physical_address', formatAddress(entity.address), selector);
+    set('basic_info.operating_hours', formatOpeningHours(entity), selector);
+    set('basic_info.business_type', typesOf(entity).join(', '), selector);
+    set('basic_info.year_established', (text(entity.foundingDate).match(/\d{4}/) || [''])[0], selector);
+    set('basic_info.employee_count_range', formatEmployees(entity.numberOfEmployees), selector);
+
+    const sameAs = list(entity.sameAs);
+    const social = sameAs.filter(link => Object.values(SOCIAL_DOMAINS).some(pattern => pattern.test(link)));
+    set('social_presence.social_media_links', social, `${selector} sameAs`);
+    set(
+      'social_presence.social_media_platforms',
+      Object.keys(SOCIAL_DOMAINS).filter(platform => social.some(link => SOCIAL_DOMAINS[platform].test(link))),
+      `${selector} sameAs`
+    );
+
+    const rating = first(entity.aggregateRating);
+    if (rating && typeof rating === 'object') {
+      set('reviews_reputation.average_rating', text(rating.ratingValue), `${selector} aggregateRating`);
+      set('reviews_reputation.total_review_count', text(rating.reviewCount) || text(rating.ratingCount), `${selector} aggregateRating`);
+    }
+
+    set('business_operations.price_range', text(entity.priceRange), selector);
+    set('business_operations.payment_methods', list(entity.paymentAccepted).flatMap(item => item.split(/\s*,\s*/)), selector);
+    set('business_operations.service_areas', list(entity.areaServed), selector);
+  }
+
+  // OpenGraph / Twitter Card fallbacks
+  const og = structured.opengraph || {};
+  const twitter = structured.twitter || {};
+  set('basic_info.business_name', og.site_name, 'meta[property="og:site_name"]');
+  set('basic_info.business_description', og.description, 'meta[property="og:description"]');
+  if (twitter.site) {
+    const handle = twitter.site.replace(/^@/, '');
+    set('social_presence.social_media_links', [`https://twitter.com/${handle}`], 'meta[name="twitter:site"]');
+    set('social_presence.social_media_platforms', ['twitter'], 'meta[name="twitter:site"]');
+  }
+
+  return fields;
+}
+
+/**
+ * Provenance candidates (source `structured_data`) from the structured data of each page
+ * @param {Array} pages - [{ url, structured }] in priority order
+ */
+function structuredDataCandidates(pages) {
+  const candidates = {};
+  for (const { url, structured } of pages) {
+    if (!structured) continue;
+    for (const [path, { value, selector }] of Object.entries(mapStructuredFields(structured))) {
+      (candidates[path] = candidates[path] || []).push({
+        value,
+        source: 'structured_data',
+        selector,
+        page_url: url,
+        excerpt: JSON.stringify(value).slice(0, 200),
+        confidence: selector.startsWith('meta[') ? 0.75 : 0.9
+      });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Compact summary kept in the result (entity types, business entity, tags)
+ */
+function summarizeStructuredData(structured) {
+  if (!structured) return null;
+  const business = findBusinessEntity(structured.entities || []);
+  return {
+    formats: {
+      json_ld: structured.json_ld.length,
+      microdata: structured.microdata.length,
+      rdfa: structured.rdfa.length,
+      opengraph: Object.keys(structured.opengraph).length,
+      twitter: Object.keys(structured.twitter).length
+    },
+    entity_types: [...new Set((structured.entities || []).flatMap(typesOf))],
+    business_entity: business,
+    opengraph: structured.opengraph,
+    twitter: structured.twitter,
+    errors: structured.errors
+  };
+}
+
+export {
+  extractPageStructuredData,
+  normalizeEntities,
+  findBusinessEntity,
+  mapStructuredFields,
+  structuredDataCandidates,
+  summarizeStructuredData
+};
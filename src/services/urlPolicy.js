@@ -0,0 +1,209 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+// URL policy for everything the server fetches on behalf of a caller: the
+// analyzed site (page loads, redirects, subresources, robots.txt, sitemaps)
+// and webhook endpoints. Only http(s) on allowed ports, no credentials in
+// the URL, and hosts must resolve to public addresses only. Tenants (API
+// keys) can narrow this further with allow / deny domain lists.
+//
+// Rejections: { ok: false, code, reason, status } where status is the HTTP
+// status to answer with.
+
+// Ranges we never connect to: private, loopback, link-local (cloud metadata
+// at 169.254.169.254), CGNAT, documentation/benchmark, multicast, reserved
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64 (can reach private IPv4)
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) blockList.addSubnet(address, prefix, type);
+
+const listFromEnv = value => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+const ALLOWED_PORTS = listFromEnv(process.env.URL_ALLOWED_PORTS || '80,443,8080,8443');
+const GLOBAL_DENY_DOMAINS = listFromEnv(process.env.URL_DENY_DOMAINS);
+const INTERNAL_SUFFIXES = ['localhost', 'local', 'internal', 'localdomain', 'home.arpa'];
+
+// 4xx per rejection code
+const REJECTION_STATUS = {
+  invalid_url: 400,
+  unsupported_protocol: 400,
+  credentials_not_allowed: 400,
+  port_not_allowed: 400,
+  internal_host: 403,
+  private_address: 403,
+  domain_denied: 403,
+  domain_not_allowed: 403,
+  dns_failure: 422,
+};
+
+const reject = (code, reason) => ({ ok: false, code, reason, status: REJECTION_STATUS[code] });
+
+/**
+ * True for addresses in a blocked range (IPv4-mapped IPv6 included)
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// host equals `domain` or is a subdomain of it
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Normalize user input into an absolute URL. Scheme-less input ("example.com",
+ * "localhost:27017") is treated as https.
+ * @returns {URL|null}
+ */
+function normalizeUrl(input) {
+  if (typeof input !== 'string' || !input.trim()) return null;
+  const trimmed = input.trim();
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) || /^[a-z][a-z0-9+.-]*:[^\d]/i.test(trimmed)
+    ? trimmed
+    : `https://${trimmed}`;
+  try {
+    return new URL(withScheme);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks that need no network: scheme, credentials, port, host name and the
+ * domain lists
+ * @param {Object} policy - { allowDomains, denyDomains } of the tenant
+ */
+function checkUrlSyntax(input, policy = {}) {
+  const parsed = input instanceof URL ? input : normalizeUrl(input);
+  if (!parsed) return reject('invalid_url', 'Not a valid URL');
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return reject('unsupported_protocol', `${parsed.protocol.replace(/:$/, '')} URLs are not allowed, use http or https`);
+  }
+  if (parsed.username || parsed.password) return reject('credentials_not_allowed', 'URLs with credentials are not allowed');
+
+  const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80');
+  if (!ALLOWED_PORTS.includes(port)) return reject('port_not_allowed', `Port ${port} is not allowed`);
+
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) return reject('private_address', `${host} is a private or reserved address`);
+  } else if (!host.includes('.') || INTERNAL_SUFFIXES.some(suffix => matchesDomain(host, suffix))) {
+    return reject('internal_host', `${host} is not a public host name`);
+  }
+
+  const deny = [...GLOBAL_DENY_DOMAINS, ...(policy.denyDomains || []).map(domain => domain.toLowerCase())];
+  if (deny.some(domain => matchesDomain(host, domain))) return reject('domain_denied', `${host} is on the deny list`);
+  const allow = (policy.allowDomains || []).map(domain => domain.toLowerCase());
+  if (allow.length > 0 && !allow.some(domain => matchesDomain(host, domain))) {
+    return reject('domain_not_allowed', `${host} is not on the allow list`);
+  }
+
+  return { ok: true, url: parsed.toString(), host };
+}
+
+/**
+ * Full check: syntax, domain lists and DNS (every resolved address must be public)
+ * @param {String} input - URL as given by the caller
+ * @param {Object} policy - { allowDomains, denyDomains }
+ * @returns {Object} - { ok: true, url, host, addresses } or a rejection
+ */
+async function checkUrl(input, policy = {}) {
+  const syntax = checkUrlSyntax(input, policy);
+  if (!syntax.ok) return syntax;
+  if (net.isIP(syntax.host)) return { ...syntax, addresses: [syntax.host] };
+
+  let records;
+  try {
+    records = await dns.lookup(syntax.host, { all: true, verbatim: true });
+  } catch (error) {
+    return reject('dns_failure', `${syntax.host} could not be resolved (${error.code || error.message})`);
+  }
+  const blocked = records.find(record => isBlockedAddress(record.address));
+  if (blocked) return reject('private_address', `${syntax.host} resolves to ${blocked.address}, a private or reserved address`);
+
+  return { ...syntax, addresses: records.map(record => record.address) };
+}
+
+/**
+ * Per-analysis guard with a host cache, used for every request the browser
+ * and crawler make. `attach(page)` enables request interception so
+ * redirects and subresources are checked as well as navigations. The
+ * tenant's domain lists only apply to pages (navigations); subresources
+ * such as CDN scripts only have to pass the safety checks.
+ *
+ * Chromium resolves host names itself, so a host that changes its DNS
+ * answer between our check and the browser's connect isn't caught; the
+ * check still stops every request to a host that resolves privately.
+ * @param {Object} policy - { allowDomains, denyDomains }
+ */
+function createUrlGuard(policy = {}) {
+  const hostChecks = new Map(); // "<mode> <origin>" -> Promise<result>
+  const blocked = []; // [{ url, code, reason }]
+
+  const check = async (url, { navigation = true } = {}) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return reject('invalid_url', 'Not a valid URL');
+    }
+    const key = `${navigation ? 'page' : 'resource'} ${parsed.protocol}//${parsed.host}`;
+    if (!hostChecks.has(key)) hostChecks.set(key, checkUrl(parsed, navigation ? policy : {}));
+    return hostChecks.get(key);
+  };
+
+  const allows = async (url, options) => {
+    const result = await check(url, options);
+    if (!result.ok && blocked.length < 100) blocked.push({ url, code: result.code, reason: result.reason });
+    return result.ok;
+  };
+
+  const attach = async (page) => {
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      const url = request.url();
+      // Inline resources never leave the browser
+      if (/^(data|blob):/i.test(url)) return request.continue();
+      let allowed = false;
+      try {
+        allowed = await allows(url, { navigation: request.isNavigationRequest() });
+      } catch (error) {
+        console.warn(`URL policy check failed for ${url}:`, error.message);
+      }
+      if (request.isInterceptResolutionHandled()) return;
+      if (allowed) {
+        request.continue();
+      } else {
+        request.abort('blockedbyclient');
+      }
+    });
+  };
+
+  return { check, allows, attach, blocked };
+}
+
+export { checkUrl, checkUrlSyntax, normalizeUrl, isBlockedAddress, createUrlGuard };
@@ -0,0 +1,315 @@
+import os from 'os';
+import fetch from 'node-fetch';
+import mongoose from 'mongoose';
+import Analysis from '../models/analysis.js';
+import Webhook from '../models/webhook.js';
+import WebhookDelivery from '../models/webhookDelivery.js';
+import WebhookDeadLetter from '../models/webhookDeadLetter.js';
+import { formatResult, outputSchemaVersion } from './exportAdapters/index.js';
+import { checkUrl } from './urlPolicy.js';
+import { signPayload } from '../utils/signature.js';
+
+// Dispatcher settings (overridable through the environment)
+const CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 4;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 10000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const STALE_AFTER_MS = Math.max(60000, TIMEOUT_MS * 3);
+
+const WEBHOOK_EVENTS = ['analysis.completed', 'analysis.failed', 'analysis.changed'];
+const USER_AGENT = `TILBizAnalyzer-Webhooks (${os.hostname()})`;
+
+let running = false;
+let activeDeliveries = 0;
+let pollTimer = null;
+
+// Endpoints that receive `event` for this analysis
+async function endpointsFor(event, analysis) {
+  // Global subscriptions plus those of the key that started the analysis
+  const owners = analysis.owner ? [null, analysis.owner] : [null];
+  const subscriptions = await Webhook.find({ active: true, events: event, owner: { $in: owners } });
+  const endpoints = subscriptions.map(webhook => ({
+    target: 'subscription',
+    webhookId: webhook._id,
+    owner: webhook.owner,
+    url: webhook.url,
+    output: webhook.output,
+  }));
+
+  // Callbacks are for the caller waiting on this one analysis
+  if (analysis.callbackUrl && event !== 'analysis.changed') {
+    endpoints.push({ target: 'callback', owner: analysis.owner, url: analysis.callbackUrl, output: analysis.output });
+  }
+  // The Make.com scenario only wants finished results, as bare 1.0.0 columns
+  // (plus analysisId, which it sends back with enrichment)
+  if (process.env.MAKE_WEBHOOK_URL && event === 'analysis.completed') {
+    endpoints.push({ target: 'make', url: process.env.MAKE_WEBHOOK_URL, output: { format: 'make' } });
+  }
+  return endpoints;
+}
+
+function buildPayload(eventId, event, analysis, endpoint, changes) {
+  const result = analysis.result ? formatResult(analysis.result, endpoint.output) : undefined;
+  if (endpoint.target === 'make') return { analysisId: String(analysis._id), ...result };
+
+  return {
+    id: eventId,
+    event,
+    created_at: new Date().toISOString(),
+    analysis: {
+      id: analysis._id,
+      url: analysis.url,
+      status: analysis.status,
+      attempts: analysis.attempts,
+      start_time: analysis.startTime,
+      completed_time: analysis.completedTime,
+      error: analysis.error,
+      schema_version: result ? outputSchemaVersion(endpoint.output) : undefined,
+    },
+    changes,
+    result,
+  };
+}
+
+/**
+ * Queue one delivery per subscribed endpoint for a finished analysis
+ * (`analysis.completed` or, once it has run out of attempts, `analysis.failed`)
+ * @param {Object} analysis
+ * @param {Object} params - Other events: { event: 'analysis.changed', changes }
+ * @returns {Array} - Created deliveries
+ */
+async function dispatchAnalysisEvent(analysis, { event: eventName, changes } = {}) {
+  const event = eventName || (analysis.status === 'completed' ? 'analysis.completed' : 'analysis.failed');
+  const endpoints = await endpointsFor(event, analysis);
+  if (endpoints.length === 0) return [];
+
+  // Same event id for every endpoint (and for replays) so receivers can de-duplicate
+  const eventId = new mongoose.Types.ObjectId().toString();
+  const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+    target: endpoint.target,
+    webhookId: endpoint.webhookId,
+    owner: endpoint.owner,
+    analysisId: analysis._id,
+    event,
+    url: endpoint.url,
+    payload: buildPayload(eventId, event, analysis, endpoint, changes),
+    maxAttempts: MAX_ATTEMPTS,
+  })));
+  wakeDispatcher();
+  return deliveries;
+}
+
+async function secretFor(delivery) {
+  if (delivery.target === 'make') return process.env.MAKE_WEBHOOK_SECRET;
+  if (delivery.target === 'callback') {
+    const analysis = await Analysis.findById(delivery.analysisId).select('callbackSecret');
+    return analysis?.callbackSecret;
+  }
+  const webhook = await Webhook.findById(delivery.webhookId).select('secret');
+  if (!webhook) throw new Error('Webhook subscription no longer exists');
+  return webhook.secret;
+}
+
+// Exponential backoff: base, 2x base, 4x base, ...
+function retryDelay(attempts) {
+  return RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+}
+
+/**
+ * POST a claimed delivery once and record the outcome
+ */
+async function attemptDelivery(delivery) {
+  const started = Date.now();
+  const attempt = { at: new Date() };
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    // Re-checked on every attempt: DNS may have changed since the endpoint was registered.
+    // MAKE_WEBHOOK_URL is our own configuration and trusted.
+    const target = delivery.target === 'make' ? { ok: true } : await checkUrl(delivery.url);
+    if (!target.ok) throw new Error(`Blocked by URL policy: ${target.reason}`);
+
+    const secret = await secretFor(delivery);
+    const body = JSON.stringify(delivery.payload ?? null);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      'X-Webhook-Id': String(delivery._id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+    };
+    if (secret) headers['X-Webhook-Signature'] = signPayload(secret, timestamp, body);
+
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: controller.signal,
+    });
+    attempt.responseStatus = response.status;
+    attempt.responseBody = (await response.text()).slice(0, 1000);
+    if (!response.ok) attempt.error = `HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'AbortError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message;
+  } finally {
+    clearTimeout(timer);
+    attempt.durationMs = Date.now() - started;
+  }
+
+  delivery.history.push(attempt);
+  delivery.lockedAt = undefined;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.completedAt = new Date();
+  } else if (delivery.attempts < delivery.maxAttempts) {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+    console.warn(`Webhook delivery ${delivery._id} to ${delivery.url} failed (${attempt.error}), retrying at ${delivery.nextAttemptAt.toISOString()}`);
+  } else {
+    delivery.status = 'dead';
+    delivery.completedAt = new Date();
+    await WebhookDeadLetter.create({
+      deliveryId: delivery._id,
+      webhookId: delivery.webhookId,
+      owner: delivery.owner,
+      analysisId: delivery.analysisId,
+      event: delivery.event,
+      url: delivery.url,
+      payload: delivery.payload,
+      attempts: delivery.attempts,
+      lastError: attempt.error,
+    });
+    console.error(`Webhook delivery ${delivery._id} to ${delivery.url} failed ${delivery.attempts} time(s), moved to dead letters`);
+  }
+  await delivery.save();
+  return delivery;
+}
+
+async function claimNextDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { status: 'delivering', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// Deliveries stuck in `delivering` after a crash go back on the queue
+async function recoverStaleDeliveries() {
+  const cutoff = new Date(Date.now() - STALE_AFTER_MS);
+  const { modifiedCount } = await WebhookDelivery.updateMany(
+    { status: 'delivering', lockedAt: { $lt: cutoff } },
+    { $set: { status: 'pending', nextAttemptAt: new Date() }, $unset: { lockedAt: '' } }
+  );
+  if (modifiedCount > 0) console.log(`Recovered ${modifiedCount} stale webhook deliveries`);
+  return modifiedCount;
+}
+
+async function fillSlots() {
+  while (running && activeDeliveries < CONCURRENCY) {
+    // Reserve the slot before the claim so concurrent fill loops can't overshoot
+    activeDeliveries += 1;
+    let delivery;
+    try {
+      delivery = await claimNextDelivery();
+    } catch (error) {
+      activeDeliveries -= 1;
+      console.error('Failed to claim webhook delivery:', error.message);
+      return;
+    }
+    if (!delivery) {
+      activeDeliveries -= 1;
+      return;
+    }
+
+    attemptDelivery(delivery)
+      .catch(error => console.error(`Webhook delivery ${delivery._id} failed unexpectedly:`, error))
+      .finally(() => {
+        activeDeliveries -= 1;
+        wakeDispatcher();
+      });
+  }
+}
+
+function wakeDispatcher() {
+  if (!running) return;
+  fillSlots().catch(error => console.error('Webhook dispatcher error:', error));
+}
+
+/**
+ * Queue a fresh copy of a delivery (same payload and event id, new attempts)
+ * @returns {Object|null} - The new delivery, or null when `id` is unknown
+ */
+async function replayDelivery(id) {
+  const original = await WebhookDelivery.findById(id);
+  if (!original) return null;
+  const replay = await WebhookDelivery.create({
+    target: original.target,
+    webhookId: original.webhookId,
+    owner: original.owner,
+    analysisId: original.analysisId,
+    event: original.event,
+    url: original.url,
+    payload: original.payload,
+    replayOf: original._id,
+    maxAttempts: MAX_ATTEMPTS,
+  });
+  wakeDispatcher();
+  return replay;
+}
+
+/**
+ * Replay a dead-lettered delivery and mark the dead letter as replayed
+ * @returns {Object|null} - The new delivery, or null when `id` is unknown
+ */
+async function replayDeadLetter(id) {
+  const deadLetter = await WebhookDeadLetter.findById(id);
+  if (!deadLetter) return null;
+  const replay = await replayDelivery(deadLetter.deliveryId);
+  if (!replay) return null;
+  deadLetter.replayedAt = new Date();
+  deadLetter.replayDeliveryId = replay._id;
+  await deadLetter.save();
+  return replay;
+}
+
+async function startWebhookDispatcher() {
+  if (running) return;
+  running = true;
+
+  try {
+    await recoverStaleDeliveries();
+  } catch (error) {
+    console.error('Failed to recover stale webhook deliveries:', error.message);
+  }
+
+  pollTimer = setInterval(() => {
+    recoverStaleDeliveries()
+      .catch(error => console.error('Failed to recover stale webhook deliveries:', error.message))
+      .finally(wakeDispatcher);
+  }, POLL_INTERVAL_MS);
+
+  console.log(`Webhook dispatcher started (${CONCURRENCY} concurrent deliveries)`);
+  wakeDispatcher();
+}
+
+function stopWebhookDispatcher() {
+  running = false;
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+export {
+  WEBHOOK_EVENTS,
+  dispatchAnalysisEvent,
+  attemptDelivery,
+  replayDelivery,
+  replayDeadLetter,
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+};
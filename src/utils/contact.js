@@ -0,0 +1,204 @@
+import { parsePhoneNumberFromString, findPhoneNumbersInText } from 'libphonenumber-js';
+
+// Country-code TLDs that don't match their ISO code, and second-level ccTLDs
+const TLD_COUNTRIES = { uk: 'GB', el: 'GR' };
+const GENERIC_TLDS = ['com', 'net', 'org', 'info', 'biz', 'io', 'co', 'app', 'dev', 'ai', 'me', 'tv'];
+
+const COUNTRY_NAMES = {
+  'united states': 'US', usa: 'US', 'u.s.a.': 'US', us: 'US',
+  'united kingdom': 'GB', uk: 'GB', england: 'GB', scotland: 'GB', wales: 'GB',
+  canada: 'CA', australia: 'AU', 'new zealand': 'NZ', ireland: 'IE',
+  germany: 'DE', deutschland: 'DE', france: 'FR', spain: 'ES', españa: 'ES', italy: 'IT', italia: 'IT',
+  netherlands: 'NL', belgium: 'BE', austria: 'AT', österreich: 'AT', switzerland: 'CH', schweiz: 'CH',
+  sweden: 'SE', norway: 'NO', denmark: 'DK', finland: 'FI', portugal: 'PT', poland: 'PL',
+  mexico: 'MX', méxico: 'MX', brazil: 'BR', brasil: 'BR', india: 'IN', japan: 'JP', singapore: 'SG',
+  'south africa': 'ZA'
+};
+
+const US_STATES = 'AL|AK|AZ|AR|CA|CO|CT|DE|DC|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY';
+const CA_PROVINCES = 'AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT';
+const AU_STATES = 'NSW|VIC|QLD|WA|SA|TAS|ACT|NT';
+
+// Postal code shapes, most specific first
+const POSTAL_PATTERNS = [
+  { country: 'US', pattern: new RegExp(`\\b(${US_STATES})\\s+(\\d{5}(?:-\\d{4})?)\\b`) },
+  { country: 'CA', pattern: new RegExp(`\\b(${CA_PROVINCES})\\s+([A-Z]\\d[A-Z]\\s?\\d[A-Z]\\d)\\b`, 'i') },
+  { country: 'AU', pattern: new RegExp(`\\b(${AU_STATES})\\s+(\\d{4})\\b`) },
+  { country: 'GB', pattern: /()\b([A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2})\b/i },
+  { country: 'NL', pattern: /()\b(\d{4}\s?[A-Z]{2})\b/ },
+  // Bare codes (country from context); only accepted next to a street
+  { country: null, countries: ['DE', 'FR', 'ES', 'IT', 'FI', 'SE', 'MX', 'US', 'PL', 'PT'], pattern: /()\b(\d{5})\b/ },
+  { country: null, countries: ['AT', 'CH', 'BE', 'DK', 'NO', 'AU', 'NZ', 'ZA', 'HU', 'LU'], pattern: /()\b(\d{4})\b/ }
+];
+
+// A street needs a house number next to a street-type word ("12 Main St",
+// "12 rue de la Paix", "Via Roma 5", "Hauptstraße 5") or a PO box; a digit
+// followed by letters alone ("9am") is not enough
+const STREET_TYPES = 'street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|way|court|ct|place|pl|square|sq|terrace|parkway|pkwy|highway|hwy|rue|chemin|quai|via|viale|piazza|calle|avenida|plaza|rua|carrer|paseo';
+const STREET_SUFFIXES = 'str\\.|straße|strasse|weg|gasse|platz|allee|ring|damm|straat|laan|gracht|plein|kade|vej|gatan|gata|veien';
+const STREET_HINT = new RegExp([
+  `\\b\\d+[A-Za-z]?\\s+(?:[A-Za-zÀ-ÿ.'-]+\\s+){0,4}?(?:${STREET_TYPES})\\b`,
+  `\\b(?:${STREET_TYPES})\\s+[^,\\d]{1,40}?\\s\\d+[A-Za-z]?\\b`,
+  `[A-Za-zÀ-ÿ]+(?:${STREET_SUFFIXES})\\s*\\d+`,
+  '\\bp\\.?\\s?o\\.?\\s?box\\b'
+].join('|'), 'i');
+
+/**
+ * Best guess of the country a site serves, used as the default region for
+ * phone numbers without a +country prefix
+ * @param {Object} hints - { url, lang, addressCountry }
+ * @returns {String|null} - ISO 3166-1 alpha-2 code
+ */
+export const inferCountry = ({ url, lang, addressCountry } = {}) => {
+  if (addressCountry) {
+    const code = toCountryCode(addressCountry);
+    if (code) return code;
+  }
+  try {
+    const labels = new URL(url).hostname.toLowerCase().split('.');
+    const tld = labels[labels.length - 1];
+    if (!GENERIC_TLDS.includes(tld) && tld.length === 2) return TLD_COUNTRIES[tld] || tld.toUpperCase();
+  } catch {}
+  const region = (lang || '').split(/[-_]/)[1];
+  if (region && region.length === 2) return region.toUpperCase();
+  return null;
+};
+
+export const toCountryCode = (value) => {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+  if (/^[A-Za-z]{2}$/.test(trimmed)) return trimmed.toUpperCase() === 'UK' ? 'GB' : trimmed.toUpperCase();
+  return COUNTRY_NAMES[trimmed.toLowerCase()] || null;
+};
+
+const describePhone = (phone, raw) => ({
+  e164: phone.number,
+  national: phone.formatNational(),
+  international: phone.formatInternational(),
+  country: phone.country || null,
+  type: phone.getType() || null,
+  raw: raw.trim()
+});
+
+/**
+ * Parse and validate a phone number (from a tel: href or text)
+ * @returns {Object|null} - { e164, national, international, country, type, raw }
+ */
+export const normalizePhone = (raw, defaultCountry) => {
+  if (!raw) return null;
+  let cleaned = String(raw);
+  try {
+    cleaned = decodeURIComponent(cleaned);
+  } catch {}
+  cleaned = cleaned.replace(/^tel:/i, '').replace(/^callto:/i, '');
+  const phone = parsePhoneNumberFromString(cleaned, defaultCountry || undefined);
+  return phone && phone.isValid() ? describePhone(phone, cleaned) : null;
+};
+
+/**
+ * Find valid phone numbers anywhere in a block of text
+ */
+export const findPhones = (text, defaultCountry) => {
+  if (!text) return [];
+  return findPhoneNumbersInText(text, defaultCountry || undefined)
+    .filter(match => match.number.isValid())
+    .map(match => describePhone(match.number, text.slice(match.startsAt, match.endsAt)));
+};
+
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+'-]+@(?:[A-Za-z0-9-]+\.)+[A-Za-z]{2,24}$/;
+// Matches that look like emails but aren't contact addresses
+const NOT_CONTACT_EMAIL = /\.(png|jpe?g|gif|svg|webp|css|js)$|@(example|domain|email|yourdomain|sentry[\w.-]*|wixpress)\.(com|io|org)$/i;
+
+/**
+ * Validate and normalize an email (from a mailto: href or text)
+ * @returns {String|null} - Lowercased address
+ */
+export const normalizeEmail = (raw) => {
+  if (!raw) return null;
+  let value = String(raw).trim().replace(/^mailto:/i, '').split('?')[0];
+  try {
+    value = decodeURIComponent(value);
+  } catch {}
+  value = value.trim().replace(/^[<("']+|[>)"'.,;:]+$/g, '').toLowerCase();
+  if (!EMAIL_PATTERN.test(value) || NOT_CONTACT_EMAIL.test(value)) return null;
+  return value;
+};
+
+export const findEmails = (text) => {
+  if (!text) return [];
+  const matches = text.match(/[A-Za-z0-9._%+'-]+@(?:[A-Za-z0-9-]+\.)+[A-Za-z]{2,24}/g) || [];
+  return [...new Set(matches.map(normalizeEmail).filter(Boolean))];
+};
+
+/**
+ * Split a postal address into components. Understands US/CA/AU
+ * "City, ST 12345", UK postcodes and European "12345 City" forms.
+ * Returns null for text that doesn't look like an address (no street
+ * number and no postal code) - class names like "location" match a lot of
+ * things that aren't addresses.
+ * @returns {Object|null} - { street, city, region, postal_code, country, formatted, raw }
+ */
+export const parseAddress = (raw, defaultCountry) => {
+  if (!raw) return null;
+  const text = String(raw).replace(/\s+/g, ' ').trim();
+  if (text.length < 8 || text.length > 300) return null;
+
+  const parts = text.split(/\s*[,\n]\s*/).filter(Boolean);
+
+  // Trailing country name
+  let country = null;
+  const last = parts[parts.length - 1];
+  if (parts.length > 1 && toCountryCode(last) && !/\d/.test(last)) {
+    country = toCountryCode(last);
+    parts.pop();
+  }
+
+  const body = parts.join(', ');
+  let postal = null;
+  let region = null;
+  const knownCountry = country || toCountryCode(defaultCountry);
+  for (const { country: postalCountry, countries, pattern } of POSTAL_PATTERNS) {
+    if (postalCountry && country && postalCountry !== country) continue;
+    if (!postalCountry && (!STREET_HINT.test(body) || (knownCountry && !countries.includes(knownCountry)))) continue;
+    const match = body.match(pattern);
+    if (!match) continue;
+    // Bare 4/5 digit numbers are only postal codes when they aren't the house number
+    if (!postalCountry && parts.findIndex(part => part.includes(match[2])) === 0 && parts.length > 1 && /^\d+\s/.test(parts[0])) {
+      const later = parts.slice(1).join(', ').match(pattern);
+      if (!later) continue;
+      postal = later[2];
+    } else {
+      postal = match[2];
+    }
+    region = match[1] || null;
+    country = country || postalCountry || defaultCountry || null;
+    break;
+  }
+
+  const hasStreet = STREET_HINT.test(parts[0] || '');
+  if (!postal && !hasStreet) return null;
+
+  // Street is the first part; city is the part holding the postal code (minus code/region) or the one after the street
+  const street = hasStreet ? parts[0] : null;
+  let city = null;
+  const postalPart = postal ? parts.find(part => part.includes(postal)) : null;
+  if (postalPart && postalPart !== street) {
+    city = postalPart.replace(postal, '').replace(region || '\u0000', '').replace(/\s+/g, ' ').trim() || null;
+  }
+  if (!city) {
+    const candidates = parts.slice(street ? 1 : 0).filter(part => part !== postalPart);
+    city = candidates[candidates.length - 1] || null;
+  }
+  if (!postal && !city) return null;
+
+  return {
+    street,
+    city,
+    region,
+    postal_code: postal ? postal.toUpperCase() : null,
+    country: country || defaultCountry || null,
+    formatted: [street, city, [region, postal && postal.toUpperCase()].filter(Boolean).join(' '), country]
+      .filter(Boolean).join(', '),
+    raw: text
+  };
+};
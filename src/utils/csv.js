@@ -0,0 +1,59 @@
+// RFC 4180 CSV: comma separated, fields may be quoted with "" as the escape
+// for a quote, CRLF or LF line endings.
+
+/**
+ * Parse CSV text into rows of strings. Blank lines are skipped.
+ * @returns {Array} - [[cell, ...], ...]
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+// Quote a value when it contains a separator, quote or line break
+export const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line (CRLF terminated) for the given values
+ */
+export const csvLine = values => `${values.map(csvCell).join(',')}\r\n`;
@@ -0,0 +1,83 @@
+import fetch from 'node-fetch';
+
+export const CRAWLER_USER_AGENT = process.env.CRAWLER_USER_AGENT || 'TILBizAnalyzer';
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Fetch a text resource with a timeout. Resolves to null on network errors
+ * or non-2xx responses so callers can treat "missing" and "broken" alike.
+ * With a `guard` (see services/urlPolicy.js) the URL and every redirect hop
+ * must pass the URL policy.
+ */
+export const fetchText = async (url, { timeout = 10000, maxBytes = 2 * 1024 * 1024, guard } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    let target = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+      if (guard && !(await guard.allows(target))) return null;
+      const response = await fetch(target, {
+        signal: controller.signal,
+        headers: { 'User-Agent': CRAWLER_USER_AGENT },
+        size: maxBytes,
+        redirect: guard ? 'manual' : 'follow',
+      });
+      const location = response.headers.get('location');
+      if (guard && response.status >= 300 && response.status < 400 && location) {
+        target = new URL(location, target).toString();
+        continue;
+      }
+      if (!response.ok) return null;
+      return await response.text();
+    }
+    return null;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Status of a URL with its redirect chain. Redirects are followed by hand
+ * (each hop through the `guard`, when given); HEAD is tried first and GET
+ * used when the server rejects it.
+ * @returns {Object} - { status, final_url, chain: [{ url, status }], error }
+ */
+export const fetchStatus = async (url, { timeout = 10000, guard } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const chain = [];
+  try {
+    let target = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+      if (guard && !(await guard.allows(target))) {
+        return { status: null, final_url: target, chain, error: 'blocked by URL policy' };
+      }
+      const request = method => fetch(target, {
+        method,
+        signal: controller.signal,
+        headers: { 'User-Agent': CRAWLER_USER_AGENT },
+        redirect: 'manual',
+      });
+      let response = await request('HEAD');
+      if (response.status === 405 || response.status === 501) response = await request('GET');
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        chain.push({ url: target, status: response.status });
+        target = new URL(location, target).toString();
+        continue;
+      }
+      return { status: response.status, final_url: target, chain, error: null };
+    }
+    return { status: null, final_url: target, chain, error: 'too many redirects' };
+  } catch (error) {
+    return { status: null, final_url: url, chain, error: error.name === 'AbortError' ? 'timeout' : error.message };
+  } finally {
+    clearTimeout(timer);
+    // Also drops any GET body we didn't read
+    controller.abort();
+  }
+};
@@ -0,0 +1,66 @@
+// Minimal JSON Schema validator for the subset the analyzer generates:
+// type (single or list), properties, required, items, additionalProperties
+// (false or a schema), pattern, minLength
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, expected) => {
+  const actual = typeOf(value);
+  return [].concat(expected).some(type => type === actual || (type === 'number' && actual === 'integer'));
+};
+
+/**
+ * Validate `value` against `schema`
+ * @returns {Array} - [{ path, keyword, message }]; empty when valid
+ */
+export const validateSchema = (schema, value, path = '') => {
+  const errors = [];
+  const at = key => (path ? `${path}.${key}` : String(key));
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, keyword: 'type', message: `must be ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}` });
+    return errors;
+  }
+
+  if (typeOf(value) === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, keyword: 'minLength', message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, keyword: 'pattern', message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: at(key), keyword: 'required', message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(propertySchema, value[key], at(key)));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) {
+          errors.push({ path: at(key), keyword: 'additionalProperties', message: 'is not allowed' });
+        }
+      }
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) errors.push(...validateSchema(schema.additionalProperties, value[key], at(key)));
+      }
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, at(index))));
+  }
+
+  return errors;
+};
@@ -0,0 +1,138 @@
+import { fetchText, CRAWLER_USER_AGENT } from './http.js';
+
+/**
+ * Parse robots.txt into the rule group that applies to `userAgent`
+ * (falling back to `*`) plus any Sitemap directives.
+ * @returns {Object} - { rules: [{ allow, path }], crawlDelay, sitemaps }
+ */
+export const parseRobotsTxt = (text, userAgent = CRAWLER_USER_AGENT) => {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  const token = userAgent.toLowerCase();
+  const group =
+    groups.find(g => g.agents.some(agent => agent !== '*' && token.includes(agent))) ||
+    groups.find(g => g.agents.includes('*'));
+
+  return {
+    rules: group ? group.rules : [],
+    crawlDelay: group ? group.crawlDelay : null,
+    sitemaps,
+  };
+};
+
+// Robots path patterns support `*` wildcards and a trailing `$` anchor
+const patternToRegex = pattern => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Whether `url` may be crawled under the parsed robots rules. The longest
+ * matching rule wins; Allow wins ties.
+ */
+export const isAllowedByRobots = (robots, url) => {
+  if (!robots || robots.rules.length === 0) return true;
+
+  let path;
+  try {
+    const parsed = new URL(url);
+    path = parsed.pathname + parsed.search;
+  } catch {
+    return false;
+  }
+
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!patternToRegex(rule.path).test(path)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+};
+
+const KNOWN_DIRECTIVES = ['user-agent', 'allow', 'disallow', 'crawl-delay', 'sitemap', 'host', 'clean-param'];
+
+/**
+ * Problems in a robots.txt: lines that aren't directives, unknown
+ * directives, rules outside a User-agent group and relative Sitemap URLs
+ * @returns {Array} - [{ line, message }]
+ */
+export const validateRobotsTxt = (text) => {
+  const errors = [];
+  let inGroup = false;
+  (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      errors.push({ line: index + 1, message: `Not a directive: ${line.slice(0, 100)}` });
+      return;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    if (!KNOWN_DIRECTIVES.includes(field)) {
+      errors.push({ line: index + 1, message: `Unknown directive: ${field.slice(0, 100)}` });
+    } else if (field === 'user-agent') {
+      inGroup = true;
+    } else if ((field === 'allow' || field === 'disallow' || field === 'crawl-delay') && !inGroup) {
+      errors.push({ line: index + 1, message: `${field} before any User-agent line` });
+    } else if (field === 'crawl-delay' && Number.isNaN(parseFloat(value))) {
+      errors.push({ line: index + 1, message: 'Crawl-delay is not a number' });
+    } else if (field === 'sitemap' && !/^https?:\/\//i.test(value)) {
+      errors.push({ line: index + 1, message: 'Sitemap must be an absolute URL' });
+    }
+  });
+  return errors;
+};
+
+export const loadRobotsTxt = async (origin, { guard } = {}) => {
+  const text = await fetchText(new URL('/robots.txt', origin).toString(), { guard });
+  return { found: text !== null, ...parseRobotsTxt(text) };
+};
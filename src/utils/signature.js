@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as `X-Webhook-Signature: sha256=<hex>`
+// together with `X-Webhook-Timestamp` (unix seconds). The timestamp is part
+// of the signed content so captured requests can't be replayed later.
+
+export const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Check a signature produced by signPayload
+ * @param {Number} toleranceSeconds - Maximum age of the timestamp
+ * @returns {Boolean}
+ */
+export const verifySignature = (secret, timestamp, body, signature, toleranceSeconds = 300) => {
+  if (!secret || !timestamp || !signature) return false;
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
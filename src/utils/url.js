@@ -0,0 +1,55 @@
+// Query parameters that never change page content
+const TRACKING_PARAMS = [
+  /^utm_/i, /^gclid$/i, /^fbclid$/i, /^msclkid$/i, /^mc_(cid|eid)$/i, /^_ga$/i, /^ref$/i
+];
+
+/**
+ * Canonical form of a URL so the same page is only counted once:
+ * lowercased host, no fragment, no default port, no trailing slash,
+ * tracking parameters removed and the remaining query sorted.
+ * @param {String} input
+ * @param {Object} options
+ * @param {Boolean} options.stripQuery - Drop the query string entirely
+ * @returns {String|null} - null when the input is not an http(s) URL
+ */
+export const canonicalizeUrl = (input, { stripQuery = false } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(input);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  if ((parsed.protocol === 'http:' && parsed.port === '80') || (parsed.protocol === 'https:' && parsed.port === '443')) {
+    parsed.port = '';
+  }
+
+  if (stripQuery) {
+    parsed.search = '';
+  } else {
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+  }
+
+  // Collapse duplicate slashes and drop index documents / trailing slashes
+  let pathname = parsed.pathname.replace(/\/{2,}/g, '/').replace(/\/index\.(html?|php)$/i, '/');
+  if (pathname.length > 1 && pathname.endsWith('/')) pathname = pathname.slice(0, -1);
+  parsed.pathname = pathname;
+
+  return parsed.toString();
+};
+
+// True when both URLs point at the same host (a leading www. is ignored)
+export const isSameSite = (a, b) => {
+  try {
+    const strip = host => host.toLowerCase().replace(/^www\./, '');
+    return strip(new URL(a).hostname) === strip(new URL(b).hostname);
+  } catch {
+    return false;
+  }
+};
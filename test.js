@@ -5,6 +5,9 @@ dotenv.config();
 
 const BASE_URL = 'http://localhost:3000';
 
+// Requests are authenticated with an API key (or ADMIN_API_KEY)
+axios.defaults.headers.common['X-API-Key'] = process.env.API_KEY || process.env.ADMIN_API_KEY;
+
 async function testAnalyzer() {
   try {
     console.log('Testing business analyzer...');
@@ -31,37 +34,32 @@ async function testAnalyzer() {
         data: statusResponse.data
       });
 
-      // Poll status for up to 3 minutes
-      console.log('\n3. Polling status endpoint (up to 3 minutes)...');
-      let attempts = 0;
-      const maxAttempts = 36; // 36 * 5 seconds = 3 minutes
-      let lastStatus = null;
-      
-      while (attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
-        const pollResponse = await axios.get(`${BASE_URL}/api/status/${analyzeResponse.data.analysisId}`);
-        
-        // Only log if status changed
-        if (attempts === 0 || pollResponse.data.status !== lastStatus) {
-          console.log(`\nPoll ${attempts + 1}:`, {
-            status: pollResponse.status,
-            data: pollResponse.data
-          });
-        } else {
-          process.stdout.write('.'); // Show progress without cluttering console
-        }
-
-        // Store last status
-        lastStatus = pollResponse.data.status;
-
-        // Stop if analysis is complete or failed
-        if (pollResponse.data.status === 'completed' || pollResponse.data.status === 'error') {
-          console.log('\n\nAnalysis complete! Final result:', JSON.stringify(pollResponse.data, null, 2));
-          break;
+      // Follow progress over Server-Sent Events (up to 3 minutes)
+      console.log('\n3. Streaming /api/status/:id/events (up to 3 minutes)...');
+      const stream = await fetch(`${BASE_URL}/api/status/${analyzeResponse.data.analysisId}/events`, {
+        headers: { Accept: 'text/event-stream', 'X-API-Key': axios.defaults.headers.common['X-API-Key'] },
+        signal: AbortSignal.timeout(3 * 60 * 1000)
+      });
+      const decoder = new TextDecoder();
+      let buffered = '';
+      for await (const chunk of stream.body) {
+        buffered += decoder.decode(chunk, { stream: true });
+        const messages = buffered.split('\n\n');
+        buffered = messages.pop();
+        for (const message of messages) {
+          const event = message.match(/^event: (.*)$/m)?.[1];
+          const data = message.match(/^data: (.*)$/m)?.[1];
+          if (event === 'progress') {
+            const { stage, message: text } = JSON.parse(data);
+            console.log(`  [${stage}] ${text || ''}`);
+          } else if (event === 'end') {
+            console.log('  Finished:', data);
+          }
         }
-
-        attempts++;
       }
+
+      const finalResponse = await axios.get(`${BASE_URL}/api/status/${analyzeResponse.data.analysisId}`);
+      console.log('\n\nAnalysis complete! Final result:', JSON.stringify(finalResponse.data, null, 2));
     }
 
   } catch (error) {
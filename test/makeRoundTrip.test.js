@@ -0,0 +1,112 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Analysis from '../src/models/analysis.js';
+import MakeAnalysis from '../src/models/makeAnalysis.js';
+import Webhook from '../src/models/webhook.js';
+import WebhookDelivery from '../src/models/webhookDelivery.js';
+import { dispatchAnalysisEvent } from '../src/services/webhooks.js';
+import { mergeEnrichment } from '../src/services/enrichment.js';
+import { receiveAnalysis } from '../src/controllers/makeAnalysisController.js';
+import { signPayload } from '../src/utils/signature.js';
+
+const completedAnalysis = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  url: 'https://example.org',
+  status: 'completed',
+  result: {
+    schema_version: '2.0.0',
+    metadata: {
+      analysis_date: '2026-01-01T00:00:00.000Z',
+      url_analyzed: 'https://example.org',
+      analysis_status: 'completed',
+      ai_validation_status: 'valid',
+      field_groups: [{ name: 'BASIC_INFO', section: 'basic_info' }]
+    },
+    analysis: { basic_info: { business_name: 'Example', phone_number: '' } },
+    extracted: {},
+    provenance: { fields: { 'basic_info.business_name': { source: 'llm', confidence: 0.7 } } }
+  }
+});
+
+// Minimal Express request/response pair
+const inboundRequest = (body, secret) => {
+  const raw = JSON.stringify(body);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = { 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': signPayload(secret, timestamp, raw) };
+  return { body, rawBody: Buffer.from(raw), get: name => headers[name] };
+};
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.MAKE_WEBHOOK_URL;
+  delete process.env.MAKE_INBOUND_SECRET;
+});
+
+test('Make.com payload carries the analysis id that enrichment is posted back with', async () => {
+  process.env.MAKE_WEBHOOK_URL = 'https://hook.make.com/abc';
+  process.env.MAKE_INBOUND_SECRET = 'inbound-secret';
+  const analysis = completedAnalysis();
+
+  mock.method(Webhook, 'find', async () => []);
+  let deliveries = [];
+  mock.method(WebhookDelivery, 'insertMany', async (docs) => { deliveries = docs; return docs; });
+  await dispatchAnalysisEvent(analysis);
+
+  const makeDelivery = deliveries.find(delivery => delivery.target === 'make');
+  assert.ok(makeDelivery, 'a Make.com delivery is queued');
+  assert.equal(makeDelivery.payload.analysisId, String(analysis._id));
+  assert.equal(makeDelivery.payload.businessName, 'Example');
+
+  // The scenario sends the id back with what it found
+  mock.method(Analysis, 'findById', async id => (String(id) === String(analysis._id) ? analysis : null));
+  mock.method(MakeAnalysis, 'create', async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc, save: async () => {} }));
+  const updates = [];
+  mock.method(Analysis, 'updateOne', async (filter, update) => { updates.push({ filter, update }); return { modifiedCount: 1 }; });
+
+  const res = response();
+  await receiveAnalysis(inboundRequest({
+    analysisId: makeDelivery.payload.analysisId,
+    source: 'scenario',
+    enrichment: { basic_info: { phone_number: '+12125550100' } }
+  }, 'inbound-secret'), res);
+
+  assert.equal(res.statusCode, 201);
+  assert.deepEqual(res.body.makeAnalysis.mergedFields, ['basic_info.phone_number']);
+  const { $set } = updates[0].update;
+  assert.equal($set['result.analysis.basic_info.phone_number'], '+12125550100');
+  assert.equal($set['result.provenance.fields']['basic_info.phone_number'].source, 'enrichment');
+  assert.equal($set['result.provenance.fields']['basic_info.business_name'].source, 'llm');
+});
+
+test('an enrichment that lost the race is merged over the newer result', async () => {
+  const analysis = completedAnalysis();
+  const makeAnalysis = { _id: new mongoose.Types.ObjectId(), source: 'scenario', result: { basic_info: { phone_number: '+12125550100' } } };
+
+  // First write finds the result changed by another enrichment
+  const newer = {
+    ...analysis.result,
+    provenance: { fields: { ...analysis.result.provenance.fields, 'basic_info.industry': { source: 'enrichment' } } },
+    enrichments: [{ fields: ['basic_info.industry'] }]
+  };
+  const updates = [];
+  mock.method(Analysis, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: updates.length === 1 ? 0 : 1 };
+  });
+  mock.method(Analysis, 'findById', () => ({ select: () => ({ lean: async () => ({ result: newer }) }) }));
+
+  const merged = await mergeEnrichment(analysis, makeAnalysis);
+  assert.deepEqual(merged, ['basic_info.phone_number']);
+  assert.equal(updates.length, 2);
+  const fields = updates[1].update.$set['result.provenance.fields'];
+  assert.equal(fields['basic_info.industry'].source, 'enrichment');
+  assert.equal(fields['basic_info.phone_number'].source, 'enrichment');
+  assert.equal(updates[1].filter.$expr.$eq[1], 1);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapStructuredFields } from '../src/services/structuredData.js';
+
+test('opening hours skip null and string specification entries', () => {
+  const fields = mapStructuredFields({
+    entities: [{
+      '@type': 'LocalBusiness',
+      _format: 'json-ld',
+      name: 'Corner Bakery',
+      openingHoursSpecification: [
+        null,
+        'Mo-Fr 09:00-17:00',
+        { dayOfWeek: ['https://schema.org/Monday', 'https://schema.org/Tuesday'], opens: '09:00', closes: '17:00' }
+      ]
+    }]
+  });
+
+  assert.equal(fields['basic_info.operating_hours'].value, 'Monday, Tuesday 09:00-17:00');
+  assert.equal(fields['basic_info.business_name'].value, 'Corner Bakery');
+});